@@ -1,7 +1,20 @@
 // commands/bookclub.js — Optimized with SQL
-// ✅ Uses bc_club_info for club data (JSONB)
+// ✅ Club nominations, votes and picks in relational tables (utils/clubData.js)
 // ✅ Uses bc_reading_logs for member tracking
+// ✅ Nominations resolve to an exact Google Books edition
 // ✅ SQL-based voting and nominations
+// ✅ Discussion threads tied to the current pick
+// ✅ Reading schedules with spoiler-gated checkpoints
+// ✅ Ranked-choice ballots with instant-runoff tally
+// ✅ Timed vote rounds closed by utils/clubScheduler.js
+// ✅ Paginated history of past picks with member ratings
+// ✅ Named reading circles (every subcommand takes a circle option)
+// ✅ Meetings as Discord scheduled events with RSVPs and attendance
+// ✅ Meeting reminders with a per-member opt-out (utils/clubReminders.js)
+// ✅ Live progress board for the current pick with ahead/behind pace
+// ✅ Nomination cap, withdraw/edit for nominators, optional moderator approval queue
+// ✅ Themed nomination rounds with page-count / publication-year limits
+// ✅ Discussion question bank, posted weekly once the club reaches each question's pages
 
 import {
   SlashCommandBuilder,
@@ -14,84 +27,615 @@ import {
   TextInputStyle,
   StringSelectMenuBuilder,
   StringSelectMenuOptionBuilder,
+  UserSelectMenuBuilder,
+  ChannelType,
 } from "discord.js";
+import { config } from "../config.js";
 import { query } from "../utils/db.js";
 import { logger } from "../utils/logger.js";
+import {
+  DEFAULT_CIRCLE,
+  getCircles,
+  getCircle,
+  createCircle,
+  setCircleAdminRole,
+  joinCircle,
+  leaveCircle,
+  getCircleMembers,
+  circleMembersSql,
+  circleSlug,
+  getCurrentPick,
+  getPick,
+  getPickHistory,
+  pickBookFilter,
+  getNominations,
+  getNomination,
+  getMemberNominations,
+  getClubCounts,
+  addNomination,
+  updateNomination,
+  withdrawNomination,
+  approveNomination,
+  rejectNomination,
+  toggleVote,
+  setPickThread,
+  getOrCreateDiscussionThread,
+  promoteNomination,
+  getOpenVoteRound,
+  openVoteRound,
+  setBallotRank,
+  clearBallot,
+  closeBallotRound,
+  closeVoteRound,
+  isVotingClosed,
+  TIEBREAKS,
+} from "../utils/clubData.js";
+import {
+  RSVP_STATUSES,
+  eventUrl,
+  scheduleMeeting,
+  setRsvp,
+  getRsvpCounts,
+  getRsvpUsers,
+  getLatestMeetingPick,
+  getAttendees,
+  recordAttendance,
+  getAttendanceStats,
+} from "../utils/clubMeetings.js";
+import { setClubReminders } from "../utils/clubReminders.js";
+import {
+  getActiveNominationRound,
+  openNominationRound,
+  closeNominationRound,
+  checkRoundRules,
+  describeRoundRules,
+} from "../utils/nominationRounds.js";
+import {
+  parsePageRange,
+  findScheduleSection,
+  addQuestion,
+  getQuestion,
+  getPickQuestions,
+  removeQuestion,
+  postNextQuestion,
+} from "../utils/clubQuestions.js";
+import { parseMeetingDate } from "../utils/meetingTime.js";
+import { validateDeadline } from "../utils/validation.js";
+import { hybridSearchMany } from "../utils/search.js";
+import { saveSearchBook } from "../utils/books.js";
+import {
+  runoffEmbed,
+  historyEmbed,
+  historyComponents,
+  progressEmbed,
+  progressComponents,
+  questionListEmbed,
+  PROGRESS_PER_PAGE,
+} from "../views/bookclub.js";
+import {
+  parseSchedule,
+  getCurrentSection,
+  getMemberPosition,
+  getPaceOffset,
+  formatSectionLine,
+} from "../utils/readingSchedule.js";
 
 const PURPLE = 0x9b59b6;
 const GREEN = 0x2ecc71;
 const GOLD = 0xf59e0b;
 const BLUE = 0x3498db;
 
+const ORDINALS = ["1st", "2nd", "3rd", "4th"];
+
 // ===== DB Helpers =====
 
-async function getClubData() {
-  const res = await query(`SELECT value FROM bc_club_info WHERE key = 'club_data'`);
-  return res.rows[0]?.value || {
-    currentPick: null,
-    nominations: [],
-    history: [],
-  };
+// Server managers can run every circle; a circle's admin role can run that circle
+function isClubAdmin(member, circle = null) {
+  if (member?.permissions?.has("ManageGuild")) return true;
+  return Boolean(circle?.adminRoleId && member?.roles?.cache?.has(circle.adminRoleId));
 }
 
-async function saveClubData(data) {
-  await query(
-    `INSERT INTO bc_club_info (key, value) VALUES ('club_data', $1) 
-     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value`,
-    [data]
+async function resolveCircle(interaction) {
+  return getCircle(interaction.options.getString("circle") || DEFAULT_CIRCLE);
+}
+
+function circleLabel(circle) {
+  return circle.id === DEFAULT_CIRCLE ? "HL Book Club" : `HL Book Club • ${circle.name}`;
+}
+
+// With the approval queue on, nominations from non-moderators wait for review
+function needsApproval(member, circle) {
+  return config.bookclub.nominationApproval && !isClubAdmin(member, circle);
+}
+
+// Returns an error message when the member is at the open-nomination cap, otherwise null
+async function checkNominationLimit(circle, userId) {
+  const max = config.bookclub.maxOpenNominations;
+  if (!max) return null;
+
+  const open = await getMemberNominations(circle.id, userId);
+  if (open.length < max) return null;
+
+  return (
+    `❌ You already have **${open.length}** open nomination${open.length === 1 ? "" : "s"} in **${circle.name}** ` +
+    `(limit ${max}).\n\nWithdraw one with \`/bookclub withdraw${circleHint(circle)}\` first.`
   );
 }
 
+async function notifyNominator(client, userId, content) {
+  try {
+    const user = await client.users.fetch(userId);
+    await user.send({ content });
+  } catch (err) {
+    logger.warn("Failed to DM nominator", { userId, error: err.message });
+  }
+}
+
+// Appends " circle:<name>" to command hints for circles other than the default
+function circleHint(circle) {
+  return circle.id === DEFAULT_CIRCLE ? "" : ` circle:${circle.name}`;
+}
+
+async function getMemberPage(userId, pick) {
+  const filter = pickBookFilter(pick, 1);
+  const res = await query(`
+    SELECT rl.current_page
+    FROM bc_reading_logs rl
+    JOIN bc_books b ON rl.book_id = b.book_id
+    WHERE rl.user_id = $1 AND ${filter.sql}
+    ORDER BY rl.updated_at DESC
+    LIMIT 1
+  `, [userId, ...filter.params]);
+
+  return res.rows[0] ? Number(res.rows[0].current_page || 0) : null;
+}
+
+// Picks without an edition get their own book row so they can be tracked
+async function getPickBookId(pick) {
+  if (pick.bookId) return pick.bookId;
+
+  const bookId = `club_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+  await query(`
+    INSERT INTO bc_books (book_id, title, author)
+    VALUES ($1, $2, $3)
+  `, [bookId, pick.title, pick.author]);
+  return bookId;
+}
+
+// Ratings come from tracker entries, plus history ratings from members who never tracked the pick
+async function getPickStats(pick) {
+  const filter = pickBookFilter(pick);
+  const res = await query(`
+    WITH tracked AS (
+      SELECT rl.user_id, rl.status, rl.rating
+      FROM bc_reading_logs rl
+      JOIN bc_books b ON rl.book_id = b.book_id
+      WHERE ${filter.sql}
+    ), rated AS (
+      SELECT rating FROM tracked WHERE rating IS NOT NULL
+      UNION ALL
+      SELECT pr.rating
+      FROM bc_club_pick_ratings pr
+      WHERE pr.pick_id = $${filter.params.length + 1}
+        AND pr.user_id NOT IN (SELECT user_id FROM tracked WHERE rating IS NOT NULL)
+    )
+    SELECT
+      (SELECT COUNT(*) FROM tracked) AS readers,
+      (SELECT COUNT(*) FROM tracked WHERE status = 'completed') AS finished,
+      (SELECT AVG(rating) FROM rated) AS avg_rating,
+      (SELECT COUNT(*) FROM rated) AS ratings
+  `, [...filter.params, pick.id]);
+
+  const row = res.rows[0];
+  return {
+    readers: parseInt(row.readers),
+    finished: parseInt(row.finished),
+    avgRating: row.avg_rating ? Number(row.avg_rating) : null,
+    ratings: parseInt(row.ratings),
+  };
+}
+
 // ===== COMMAND DEFINITIONS =====
 
+function addCircleOption(sub, required = false) {
+  return sub.addStringOption((opt) =>
+    opt
+      .setName("circle")
+      .setDescription(required ? "Reading circle" : "Reading circle (default: Main Club)")
+      .setAutocomplete(true)
+      .setRequired(required)
+  );
+}
+
 export const definitions = [
   new SlashCommandBuilder()
     .setName("bookclub")
     .setDescription("Manage HL Book Club activities")
     .addSubcommand((sub) =>
-      sub.setName("current").setDescription("View current book club pick")
+      addCircleOption(
+        sub.setName("current").setDescription("View current book club pick")
+      )
+    )
+    .addSubcommand((sub) =>
+      addCircleOption(
+        sub.setName("picks").setDescription("View and vote on book nominations")
+      )
+    )
+    .addSubcommand((sub) =>
+      addCircleOption(
+        sub.setName("progress").setDescription("See how far everyone is in the current pick")
+      )
+    )
+    .addSubcommand((sub) =>
+      addCircleOption(
+        sub.setName("stats").setDescription("View book club statistics")
+      )
+    )
+    .addSubcommand((sub) =>
+      addCircleOption(
+        sub.setName("history").setDescription("Browse past club picks and rate them")
+      )
+    )
+    .addSubcommand((sub) =>
+      addCircleOption(
+        sub
+          .setName("nominate")
+          .setDescription("Nominate a book for the club to read")
+          .addStringOption((opt) =>
+            opt
+              .setName("title")
+              .setDescription("Book title — you'll pick the exact edition next")
+              .setRequired(true)
+          )
+          .addStringOption((opt) =>
+            opt.setName("author").setDescription("Book author").setRequired(true)
+          )
+          .addStringOption((opt) =>
+            opt
+              .setName("reason")
+              .setDescription("Why should the club read this?")
+              .setRequired(false)
+          )
+      )
+    )
+    .addSubcommand((sub) =>
+      addCircleOption(
+        sub
+          .setName("withdraw")
+          .setDescription("Withdraw one of your nominations")
+          .addStringOption((opt) =>
+            opt
+              .setName("nomination")
+              .setDescription("Your nomination")
+              .setAutocomplete(true)
+              .setRequired(true)
+          )
+      )
+    )
+    .addSubcommand((sub) =>
+      addCircleOption(
+        sub
+          .setName("edit-nomination")
+          .setDescription("Change the book or reason for one of your nominations")
+          .addStringOption((opt) =>
+            opt
+              .setName("nomination")
+              .setDescription("Your nomination")
+              .setAutocomplete(true)
+              .setRequired(true)
+          )
+      )
+    )
+    .addSubcommand((sub) =>
+      addCircleOption(
+        sub
+          .setName("review")
+          .setDescription("(Admin) Approve or reject nominations waiting for review")
+      )
+    )
+    .addSubcommand((sub) =>
+      addCircleOption(
+        sub
+          .setName("select")
+          .setDescription("(Admin) Select a book as the current club pick")
+          .addStringOption((opt) =>
+            opt
+              .setName("nomination_id")
+              .setDescription("ID of the nominated book")
+              .setRequired(true)
+          )
+          .addStringOption((opt) =>
+            opt
+              .setName("discussion_date")
+              .setDescription("Meeting date and time (e.g., Dec 15, 2025 7pm) — creates a server event")
+              .setRequired(false)
+          )
+          .addStringOption((opt) =>
+            opt
+              .setName("schedule")
+              .setDescription("Reading sections, e.g. Part One: 1-120 @ Dec 1, 2025; Part Two: 121-260 @ Dec 8, 2025")
+              .setRequired(false)
+          )
+      )
     )
     .addSubcommand((sub) =>
-      sub.setName("picks").setDescription("View and vote on book nominations")
+      addCircleOption(
+        sub
+          .setName("open-ballot")
+          .setDescription("(Admin) Open a ranked-choice ballot for the current nominations")
+          .addIntegerOption((opt) =>
+            opt
+              .setName("ranks")
+              .setDescription("How many nominations each member can rank (default: 3)")
+              .setMinValue(2)
+              .setMaxValue(ORDINALS.length)
+              .setRequired(false)
+          )
+      )
     )
     .addSubcommand((sub) =>
-      sub.setName("stats").setDescription("View book club statistics")
+      addCircleOption(
+        sub
+          .setName("close-ballot")
+          .setDescription("(Admin) Close the ranked-choice ballot and tally the results")
+      )
     )
     .addSubcommand((sub) =>
-      sub
-        .setName("nominate")
-        .setDescription("Nominate a book for the club to read")
-        .addStringOption((opt) =>
-          opt
-            .setName("title")
-            .setDescription("Book title")
-            .setRequired(true)
+      addCircleOption(
+        sub
+          .setName("open-vote")
+          .setDescription("(Admin) Open a timed vote that selects the next pick automatically")
+          .addStringOption((opt) =>
+            opt
+              .setName("deadline")
+              .setDescription("When voting closes (e.g., 48h, 3d, or Dec 15, 2025 20:00)")
+              .setRequired(true)
+          )
+          .addStringOption((opt) =>
+            opt
+              .setName("mode")
+              .setDescription("Voting style (default: one vote per book)")
+              .setChoices(
+                { name: "Plurality (vote for any books)", value: "plurality" },
+                { name: "Ranked choice ballot", value: "ballot" }
+              )
+              .setRequired(false)
+          )
+          .addStringOption((opt) =>
+            opt
+              .setName("tiebreak")
+              .setDescription("How to settle a tie")
+              .setChoices(
+                ...Object.entries(TIEBREAKS).map(([value, name]) => ({ name, value }))
+              )
+              .setRequired(false)
+          )
+          .addIntegerOption((opt) =>
+            opt
+              .setName("ranks")
+              .setDescription("Ranked choice only: how many books each member can rank (default: 3)")
+              .setMinValue(2)
+              .setMaxValue(ORDINALS.length)
+              .setRequired(false)
+          )
+          .addChannelOption((opt) =>
+            opt
+              .setName("channel")
+              .setDescription("Where to announce the winner (default: this channel)")
+              .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+              .setRequired(false)
+          )
+      )
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("round")
+        .setDescription("Themed nomination rounds")
+        .addSubcommand((sub) =>
+          addCircleOption(
+            sub
+              .setName("open")
+              .setDescription("(Admin) Start a themed nomination round")
+              .addStringOption((opt) =>
+                opt
+                  .setName("theme")
+                  .setDescription("Theme for this round (e.g., translated fiction)")
+                  .setMaxLength(100)
+                  .setRequired(true)
+              )
+              .addIntegerOption((opt) =>
+                opt
+                  .setName("max_pages")
+                  .setDescription("Longest book allowed")
+                  .setMinValue(1)
+                  .setRequired(false)
+              )
+              .addIntegerOption((opt) =>
+                opt
+                  .setName("min_year")
+                  .setDescription("Earliest publication year allowed")
+                  .setMinValue(0)
+                  .setMaxValue(9999)
+                  .setRequired(false)
+              )
+              .addIntegerOption((opt) =>
+                opt
+                  .setName("max_year")
+                  .setDescription("Latest publication year allowed")
+                  .setMinValue(0)
+                  .setMaxValue(9999)
+                  .setRequired(false)
+              )
+              .addStringOption((opt) =>
+                opt
+                  .setName("older")
+                  .setDescription("What happens to existing nominations (default: roll over if they fit)")
+                  .setChoices(
+                    { name: "Roll over the ones that fit the new rules", value: "rollover" },
+                    { name: "Expire all of them", value: "expire" }
+                  )
+                  .setRequired(false)
+              )
+          )
+        )
+        .addSubcommand((sub) =>
+          addCircleOption(
+            sub
+              .setName("close")
+              .setDescription("(Admin) End the themed round — its nominations stay open")
+          )
+        )
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("meeting")
+        .setDescription("Discussion meetings")
+        .addSubcommand((sub) =>
+          addCircleOption(
+            sub
+              .setName("schedule")
+              .setDescription("(Admin) Set or move the meeting for the current pick")
+              .addStringOption((opt) =>
+                opt
+                  .setName("date")
+                  .setDescription("Date and time (e.g., Dec 15, 2025 7pm or 2025-12-15 19:00 Europe/London)")
+                  .setRequired(true)
+              )
+          )
         )
-        .addStringOption((opt) =>
-          opt.setName("author").setDescription("Book author").setRequired(true)
+        .addSubcommand((sub) =>
+          addCircleOption(
+            sub
+              .setName("attendance")
+              .setDescription("(Admin) Record who came to the latest meeting")
+          )
         )
-        .addStringOption((opt) =>
-          opt
-            .setName("reason")
-            .setDescription("Why should the club read this?")
-            .setRequired(false)
+        .addSubcommand((sub) =>
+          sub
+            .setName("reminders")
+            .setDescription("Turn meeting reminders on or off for yourself")
+            .addBooleanOption((opt) =>
+              opt
+                .setName("enabled")
+                .setDescription("Receive reminders before club meetings")
+                .setRequired(true)
+            )
         )
     )
-    .addSubcommand((sub) =>
-      sub
-        .setName("select")
-        .setDescription("(Admin) Select a book as the current club pick")
-        .addStringOption((opt) =>
-          opt
-            .setName("nomination_id")
-            .setDescription("ID of the nominated book")
-            .setRequired(true)
+    .addSubcommandGroup((group) =>
+      group
+        .setName("question")
+        .setDescription("Discussion questions for the current pick")
+        .addSubcommand((sub) =>
+          addCircleOption(
+            sub
+              .setName("add")
+              .setDescription("Submit a discussion question for the current pick")
+              .addStringOption((opt) =>
+                opt
+                  .setName("question")
+                  .setDescription("The question to ask the club")
+                  .setRequired(true)
+                  .setMaxLength(500)
+              )
+              .addStringOption((opt) =>
+                opt
+                  .setName("pages")
+                  .setDescription("Pages it covers (e.g., 30-60, or 45 for everything up to page 45)")
+              )
+              .addStringOption((opt) =>
+                opt
+                  .setName("chapter")
+                  .setDescription("Chapter or schedule section it covers (e.g., Part Two)")
+                  .setMaxLength(80)
+              )
+          )
+        )
+        .addSubcommand((sub) =>
+          addCircleOption(
+            sub
+              .setName("list")
+              .setDescription("See the current pick's questions (spoilers hidden past your page)")
+          )
+        )
+        .addSubcommand((sub) =>
+          addCircleOption(
+            sub
+              .setName("remove")
+              .setDescription("Remove a question you submitted (admins: any question)")
+              .addIntegerOption((opt) =>
+                opt
+                  .setName("id")
+                  .setDescription("Question number from /bookclub question list")
+                  .setRequired(true)
+                  .setMinValue(1)
+              )
+          )
+        )
+        .addSubcommand((sub) =>
+          addCircleOption(
+            sub
+              .setName("post")
+              .setDescription("(Admin) Post the next eligible question now")
+          )
         )
-        .addStringOption((opt) =>
-          opt
-            .setName("discussion_date")
-            .setDescription("Discussion date (e.g., Dec 15, 2025)")
-            .setRequired(false)
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("circle")
+        .setDescription("Reading circles")
+        .addSubcommand((sub) =>
+          sub.setName("list").setDescription("List the server's reading circles")
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("create")
+            .setDescription("(Admin) Create a new reading circle")
+            .addStringOption((opt) =>
+              opt
+                .setName("name")
+                .setDescription("Circle name (e.g., Sci-Fi Circle)")
+                .setMaxLength(50)
+                .setRequired(true)
+            )
+            .addRoleOption((opt) =>
+              opt
+                .setName("admin_role")
+                .setDescription("Role that can run this circle")
+                .setRequired(false)
+            )
+        )
+        .addSubcommand((sub) =>
+          addCircleOption(
+            sub.setName("join").setDescription("Join a reading circle"),
+            true
+          )
+        )
+        .addSubcommand((sub) =>
+          addCircleOption(
+            sub.setName("leave").setDescription("Leave a reading circle"),
+            true
+          )
+        )
+        .addSubcommand((sub) =>
+          addCircleOption(
+            sub.setName("members").setDescription("See who's in a reading circle"),
+            true
+          )
+        )
+        .addSubcommand((sub) =>
+          addCircleOption(
+            sub
+              .setName("admin-role")
+              .setDescription("(Admin) Set the role that can run a circle")
+              .addRoleOption((opt) =>
+                opt
+                  .setName("role")
+                  .setDescription("Admin role for the circle")
+                  .setRequired(true)
+              ),
+            true
+          )
         )
     ),
 ].map((c) => c.toJSON());
@@ -99,58 +643,286 @@ export const definitions = [
 // ===== EXECUTE =====
 
 export async function execute(interaction) {
+  const group = interaction.options.getSubcommandGroup(false);
   const subcommand = interaction.options.getSubcommand();
 
+  if (group === "circle" && subcommand === "list") {
+    return handleCircleList(interaction);
+  } else if (group === "circle" && subcommand === "create") {
+    return handleCircleCreate(interaction);
+  } else if (group === "meeting" && subcommand === "reminders") {
+    return handleMeetingReminders(interaction);
+  }
+
+  const circle = await resolveCircle(interaction);
+  if (!circle) {
+    return interaction.reply({
+      content: "❌ Circle not found. Use `/bookclub circle list` to see the server's circles.",
+      flags: 1 << 6,
+    });
+  }
+
+  if (group === "circle") {
+    if (subcommand === "join") {
+      return handleCircleJoin(interaction, circle);
+    } else if (subcommand === "leave") {
+      return handleCircleLeave(interaction, circle);
+    } else if (subcommand === "members") {
+      return handleCircleMembers(interaction, circle);
+    } else if (subcommand === "admin-role") {
+      return handleCircleAdminRole(interaction, circle);
+    }
+    return;
+  }
+
+  if (group === "round") {
+    if (subcommand === "open") {
+      return handleRoundOpen(interaction, circle);
+    } else if (subcommand === "close") {
+      return handleRoundClose(interaction, circle);
+    }
+    return;
+  }
+
+  if (group === "question") {
+    if (subcommand === "add") {
+      return handleQuestionAdd(interaction, circle);
+    } else if (subcommand === "list") {
+      return handleQuestionList(interaction, circle);
+    } else if (subcommand === "remove") {
+      return handleQuestionRemove(interaction, circle);
+    } else if (subcommand === "post") {
+      return handleQuestionPost(interaction, circle);
+    }
+    return;
+  }
+
+  if (group === "meeting") {
+    if (subcommand === "schedule") {
+      return handleMeetingSchedule(interaction, circle);
+    } else if (subcommand === "attendance") {
+      return handleMeetingAttendance(interaction, circle);
+    }
+    return;
+  }
+
   if (subcommand === "current") {
-    return handleCurrent(interaction);
+    return handleCurrent(interaction, circle);
   } else if (subcommand === "picks") {
-    return handlePicks(interaction);
+    return handlePicks(interaction, circle);
+  } else if (subcommand === "progress") {
+    return handleProgress(interaction, circle);
   } else if (subcommand === "stats") {
-    return handleStats(interaction);
+    return handleStats(interaction, circle);
+  } else if (subcommand === "history") {
+    return handleHistory(interaction, circle);
   } else if (subcommand === "nominate") {
-    return handleNominate(interaction);
+    return handleNominate(interaction, circle);
+  } else if (subcommand === "withdraw") {
+    return handleWithdraw(interaction, circle);
+  } else if (subcommand === "edit-nomination") {
+    return handleEditNomination(interaction, circle);
+  } else if (subcommand === "review") {
+    return handleReview(interaction, circle);
   } else if (subcommand === "select") {
-    return handleSelect(interaction);
+    return handleSelect(interaction, circle);
+  } else if (subcommand === "open-ballot") {
+    return handleOpenBallot(interaction, circle);
+  } else if (subcommand === "close-ballot") {
+    return handleCloseBallot(interaction, circle);
+  } else if (subcommand === "open-vote") {
+    return handleOpenVote(interaction, circle);
+  }
+}
+
+// ===== AUTOCOMPLETE =====
+
+export async function autocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  const term = String(focused.value || "").toLowerCase();
+
+  if (focused.name === "nomination") {
+    const circle = await getCircle(interaction.options.getString("circle") || DEFAULT_CIRCLE);
+    const nominations = circle ? await getMemberNominations(circle.id, interaction.user.id) : [];
+
+    return interaction.respond(
+      nominations
+        .filter((n) => !term || n.title.toLowerCase().includes(term))
+        .slice(0, 25)
+        .map((n) => ({
+          name: `${n.title} — ${n.author}${n.status === "pending" ? " (pending review)" : ""}`.slice(0, 100),
+          value: n.id,
+        }))
+    );
+  }
+
+  if (focused.name !== "circle") return interaction.respond([]);
+
+  const circles = await getCircles();
+
+  await interaction.respond(
+    circles
+      .filter((c) => !term || c.name.toLowerCase().includes(term) || c.id.includes(term))
+      .slice(0, 25)
+      .map((c) => ({ name: c.name.slice(0, 100), value: c.id }))
+  );
+}
+
+// ===== HANDLER: CIRCLES =====
+
+async function handleCircleList(interaction) {
+  await interaction.deferReply();
+
+  const circles = await getCircles();
+  const lines = await Promise.all(
+    circles.map(async (c) => {
+      const pick = await getCurrentPick(c.id);
+      return (
+        `**${c.name}** — ${c.memberCount} member${c.memberCount === 1 ? "" : "s"}` +
+        (c.adminRoleId ? ` • run by <@&${c.adminRoleId}>` : "") +
+        `\n   📖 ${pick ? `${pick.title} — *${pick.author}*` : "No current pick"}`
+      );
+    })
+  );
+
+  const embed = new EmbedBuilder()
+    .setColor(PURPLE)
+    .setTitle("📚 Reading Circles")
+    .setDescription(lines.join("\n\n") || "No circles yet.")
+    .setFooter({ text: "Join one with /bookclub circle join" });
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleCircleCreate(interaction) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  if (!isClubAdmin(interaction.member)) {
+    return interaction.editReply({
+      content: "❌ Only server admins can create circles.",
+    });
+  }
+
+  const name = interaction.options.getString("name").trim();
+  const adminRole = interaction.options.getRole("admin_role");
+
+  if (!circleSlug(name)) {
+    return interaction.editReply({ content: "❌ Circle names need at least one letter or number." });
+  }
+
+  const circle = await createCircle({
+    name,
+    adminRoleId: adminRole?.id || null,
+    createdBy: interaction.user.id,
+  });
+
+  if (!circle) {
+    return interaction.editReply({ content: `⚠️ A circle called **${name}** already exists.` });
+  }
+
+  await interaction.editReply({
+    content:
+      `✅ Created the **${circle.name}** circle!\n\n` +
+      (adminRole ? `🛡️ ${adminRole} can run it.\n` : "") +
+      `Members can join with \`/bookclub circle join circle:${circle.name}\`.`,
+  });
+
+  logger.info("Reading circle created", { circle: circle.id, createdBy: interaction.user.id });
+}
+
+async function handleCircleJoin(interaction, circle) {
+  const joined = await joinCircle(circle.id, interaction.user.id);
+
+  await interaction.reply({
+    content: joined
+      ? `✅ Welcome to **${circle.name}**! Check out \`/bookclub current${circleHint(circle)}\`.`
+      : `ℹ️ You're already in **${circle.name}**.`,
+    flags: 1 << 6,
+  });
+}
+
+async function handleCircleLeave(interaction, circle) {
+  if (circle.id === DEFAULT_CIRCLE) {
+    return interaction.reply({
+      content: `ℹ️ Everyone is part of **${circle.name}**. Turn off reminders with \`/bookclub meeting reminders\` instead.`,
+      flags: 1 << 6,
+    });
+  }
+
+  const left = await leaveCircle(circle.id, interaction.user.id);
+
+  await interaction.reply({
+    content: left
+      ? `👋 You left **${circle.name}**. Your tracker entries stay put.`
+      : `ℹ️ You aren't in **${circle.name}**.`,
+    flags: 1 << 6,
+  });
+}
+
+async function handleCircleMembers(interaction, circle) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  const members = await getCircleMembers(circle.id);
+  const shown = members.slice(0, 50).map((m) => `<@${m.userId}>`);
+  const more = members.length > shown.length ? `\n…and ${members.length - shown.length} more` : "";
+
+  const embed = new EmbedBuilder()
+    .setColor(PURPLE)
+    .setTitle(`👥 ${circle.name}`)
+    .setDescription(shown.length ? shown.join(", ") + more : "Nobody has joined yet.")
+    .setFooter({ text: `${members.length} member${members.length === 1 ? "" : "s"}` });
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+async function handleCircleAdminRole(interaction, circle) {
+  if (!isClubAdmin(interaction.member)) {
+    return interaction.reply({
+      content: "❌ Only server admins can change a circle's admin role.",
+      flags: 1 << 6,
+    });
   }
+
+  const role = interaction.options.getRole("role");
+  await setCircleAdminRole(circle.id, role.id);
+
+  await interaction.reply({
+    content: `🛡️ ${role} can now run **${circle.name}**.`,
+    flags: 1 << 6,
+  });
 }
 
 // ===== HANDLER: CURRENT PICK =====
 
-async function handleCurrent(interaction) {
+async function handleCurrent(interaction, circle) {
   await interaction.deferReply();
 
-  const clubData = await getClubData();
+  const pick = await getCurrentPick(circle.id);
 
-  if (!clubData.currentPick) {
+  if (!pick) {
     const embed = new EmbedBuilder()
       .setColor(BLUE)
-      .setTitle("📚 HL Book Club")
+      .setTitle(`📚 ${circleLabel(circle)}`)
       .setDescription(
         "**No current book selected!**\n\n" +
-        "Use `/bookclub picks` to vote on nominations, or\n" +
-        "Use `/bookclub nominate` to suggest a book!"
+        `Use \`/bookclub picks${circleHint(circle)}\` to vote on nominations, or\n` +
+        `Use \`/bookclub nominate${circleHint(circle)}\` to suggest a book!`
       )
       .setFooter({ text: "Higher-er Learning Book Club" });
 
     return interaction.editReply({ embeds: [embed] });
   }
 
-  const pick = clubData.currentPick;
-
   // Count readers from DB
-  // We assume pick.title/author matches what's in DB books.
-  // Or we match by fuzzy search?
-  // Ideally pick has a book_id if it came from DB, but nominations are free text.
-  // So we match by title/author.
-
+  const filter = pickBookFilter(pick);
   const sql = `
     SELECT rl.status, COUNT(*) as count
     FROM bc_reading_logs rl
     JOIN bc_books b ON rl.book_id = b.book_id
-    WHERE LOWER(b.title) = LOWER($1) AND LOWER(b.author) = LOWER($2)
+    WHERE ${filter.sql}
     GROUP BY rl.status
   `;
-  const res = await query(sql, [pick.title, pick.author]);
+  const res = await query(sql, filter.params);
 
   let readingCount = 0;
   let completedCount = 0;
@@ -162,7 +934,7 @@ async function handleCurrent(interaction) {
 
   const embed = new EmbedBuilder()
     .setColor(GREEN)
-    .setTitle("🎯 Current Book Club Pick")
+    .setTitle(circle.id === DEFAULT_CIRCLE ? "🎯 Current Book Club Pick" : `🎯 ${circle.name} — Current Pick`)
     .setDescription(
       `**${pick.title}**\n` +
       `*by ${pick.author}*\n\n` +
@@ -172,7 +944,7 @@ async function handleCurrent(interaction) {
     .addFields(
       {
         name: "📅 Discussion Date",
-        value: pick.discussionDate || "TBD",
+        value: meetingLine(interaction.guildId, pick),
         inline: true,
       },
       {
@@ -183,6 +955,20 @@ async function handleCurrent(interaction) {
     )
     .setFooter({ text: "Use /tracker to add this book to your reading list!" });
 
+  const meetingUpcoming = pick.discussionAt && new Date(pick.discussionAt) > new Date();
+  if (meetingUpcoming) {
+    embed.addFields({ name: "🙋 RSVPs", value: rsvpLine(await getRsvpCounts(pick.id)), inline: true });
+  }
+
+  if (pick.pageCount) {
+    embed.addFields({ name: "📄 Pages", value: String(pick.pageCount), inline: true });
+  }
+  if (pick.thumbnail) embed.setThumbnail(pick.thumbnail);
+
+  if (pick.schedule?.length) {
+    addScheduleFields(embed, pick.schedule, await getMemberPage(interaction.user.id, pick));
+  }
+
   const components = [
     new ActionRowBuilder().addComponents(
       new ButtonBuilder()
@@ -196,32 +982,187 @@ async function handleCurrent(interaction) {
     ),
   ];
 
+  if (meetingUpcoming) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        Object.entries(RSVP_STATUSES).map(([status, s]) =>
+          new ButtonBuilder()
+            .setCustomId(`bc_rsvp_${status}_${pick.id}`)
+            .setLabel(`${s.emoji} ${s.label}`)
+            .setStyle(status === "going" ? ButtonStyle.Success : ButtonStyle.Secondary)
+        )
+      )
+    );
+  }
+
   await interaction.editReply({ embeds: [embed], components });
 }
 
+function meetingLine(guildId, pick) {
+  if (!pick.discussionAt) return pick.discussionDate || "TBD";
+
+  const ts = Math.floor(new Date(pick.discussionAt).getTime() / 1000);
+  const event = pick.eventId ? `\n[📆 Server event](${eventUrl(guildId, pick.eventId)})` : "";
+  return `<t:${ts}:F>\n<t:${ts}:R>${event}`;
+}
+
+function rsvpLine(counts) {
+  return Object.entries(RSVP_STATUSES)
+    .map(([status, s]) => `${s.emoji} ${counts[status]}`)
+    .join(" • ");
+}
+
+function addScheduleFields(embed, schedule, memberPage) {
+  const now = new Date();
+  const section = getCurrentSection(schedule, now);
+
+  if (section) {
+    const when =
+      section.daysLeft === 0
+        ? "today"
+        : `in ${section.daysLeft} day${section.daysLeft === 1 ? "" : "s"}`;
+
+    embed.addFields({
+      name: section.dueThisWeek ? "📖 Due This Week" : "📖 Next Section",
+      value: `${formatSectionLine(section, memberPage ?? 0, now)}\nFinish by page **${section.endPage}** (${when})`,
+      inline: false,
+    });
+  } else {
+    embed.addFields({
+      name: "📖 Reading Schedule",
+      value: "All sections are past due — time to wrap up!",
+      inline: false,
+    });
+  }
+
+  embed.addFields({
+    name: `🗓️ Schedule (${schedule.length} section${schedule.length === 1 ? "" : "s"})`,
+    value: schedule.map((s) => `• ${formatSectionLine(s, memberPage ?? 0, now)}`).join("\n").slice(0, 1024),
+    inline: false,
+  });
+
+  if (memberPage === null) {
+    embed.addFields({
+      name: "📍 Your Position",
+      value: "Add this book to your tracker to see where you are on the schedule.",
+      inline: false,
+    });
+    return;
+  }
+
+  const pos = getMemberPosition(schedule, memberPage, now);
+  const status = pos.onTrack
+    ? "✅ On track"
+    : `⏳ ${pos.behindBy} page${pos.behindBy === 1 ? "" : "s"} behind`;
+
+  embed.addFields({
+    name: "📍 Your Position",
+    value: `Page ${pos.page} • ${pos.completed}/${pos.total} sections done • ${status}`,
+    inline: false,
+  });
+}
+
+// ===== HANDLER: PROGRESS BOARD =====
+
+async function getPickReaders(pick) {
+  const filter = pickBookFilter(pick, 1);
+  const res = await query(`
+    SELECT rl.user_id, rl.status, rl.current_page, rl.total_pages, rl.updated_at
+    FROM bc_reading_logs rl
+    JOIN bc_books b ON rl.book_id = b.book_id
+    JOIN ${circleMembersSql(1)} m ON m.user_id = rl.user_id
+    WHERE ${filter.sql}
+  `, [pick.circleId, ...filter.params]);
+
+  const now = new Date();
+  return res.rows
+    .map((r) => {
+      const totalPages = Number(r.total_pages) || pick.pageCount || 0;
+      const currentPage = r.status === "completed" ? totalPages : Number(r.current_page || 0);
+      return {
+        userId: r.user_id,
+        status: r.status,
+        currentPage,
+        totalPages,
+        updatedAt: r.updated_at,
+        pace: getPaceOffset(pick, currentPage, totalPages, now),
+      };
+    })
+    .sort((a, b) => {
+      const pa = a.totalPages ? a.currentPage / a.totalPages : 0;
+      const pb = b.totalPages ? b.currentPage / b.totalPages : 0;
+      return pb - pa || new Date(b.updatedAt) - new Date(a.updatedAt);
+    });
+}
+
+async function renderProgressPage(circle, page) {
+  const pick = await getCurrentPick(circle.id);
+  if (!pick) return null;
+
+  const readers = await getPickReaders(pick);
+  const pageCount = Math.max(1, Math.ceil(readers.length / PROGRESS_PER_PAGE));
+  const index = Math.min(Math.max(0, page), pageCount - 1);
+  const title = circle.id === DEFAULT_CIRCLE ? "📈 Reading Progress" : `📈 ${circle.name} — Reading Progress`;
+
+  return {
+    embeds: [progressEmbed(title, pick, readers, index)],
+    components: progressComponents(circle, index, readers.length),
+  };
+}
+
+async function handleProgress(interaction, circle) {
+  await interaction.deferReply();
+
+  const view = await renderProgressPage(circle, 0);
+
+  if (!view) {
+    return interaction.editReply({
+      content: `📚 **${circle.name}** has no current pick. Use \`/bookclub picks${circleHint(circle)}\` to vote on the next one!`,
+    });
+  }
+
+  await interaction.editReply(view);
+}
+
+async function handleProgressPage(interaction) {
+  await interaction.deferUpdate();
+
+  // bc_progress_page_<circleId>_<page>
+  const [circleId, pageStr] = interaction.customId.slice("bc_progress_page_".length).split("_");
+  const circle = await getCircle(circleId);
+  const view = circle ? await renderProgressPage(circle, parseInt(pageStr)) : null;
+  if (view) await interaction.editReply(view);
+  return true;
+}
+
 // ===== HANDLER: NOMINATIONS & VOTING =====
 
-async function handlePicks(interaction) {
+async function handlePicks(interaction, circle) {
   await interaction.deferReply();
 
-  const clubData = await getClubData();
+  const [nominations, voteRound, themeRound] = await Promise.all([
+    getNominations(circle.id),
+    getOpenVoteRound(circle.id),
+    getActiveNominationRound(circle.id),
+  ]);
 
-  if (!clubData.nominations || clubData.nominations.length === 0) {
+  if (nominations.length === 0) {
     const embed = new EmbedBuilder()
       .setColor(BLUE)
       .setTitle("📚 Book Nominations")
       .setDescription(
         "**No nominations yet!**\n\n" +
+        (themeRound ? `${themeLine(themeRound)}\n\n` : "") +
         "Be the first to nominate a book:\n" +
-        "`/bookclub nominate`"
+        `\`/bookclub nominate${circleHint(circle)}\``
       )
-      .setFooter({ text: "HL Book Club" });
+      .setFooter({ text: circleLabel(circle) });
 
     return interaction.editReply({ embeds: [embed] });
   }
 
   // Sort by votes
-  const sorted = [...clubData.nominations].sort(
+  const sorted = [...nominations].sort(
     (a, b) => (b.votes?.length || 0) - (a.votes?.length || 0)
   );
 
@@ -232,24 +1173,52 @@ async function handlePicks(interaction) {
 
     return (
       `**${idx + 1}.** ${nom.title} — *${nom.author}*\n` +
-      `   📊 ${voteCount} vote${voteCount !== 1 ? "s" : ""}${voteIndicator}\n` +
+      `   📊 ${voteCount} vote${voteCount !== 1 ? "s" : ""}${voteIndicator}` +
+      `${nom.pageCount ? ` • 📄 ${nom.pageCount} pages` : ""}\n` +
       `   💬 ${nom.reason || "No description"}\n` +
       `   👤 Nominated by <@${nom.nominatedBy}>`
     );
   });
 
+  const ballot = voteRound?.mode === "ballot" ? voteRound : null;
+  const ballotCount = ballot ? Object.keys(ballot.ballots || {}).length : 0;
+
   const embed = new EmbedBuilder()
     .setColor(PURPLE)
-    .setTitle("📚 Book Nominations — Vote for Next Pick!")
-    .setDescription(lines.join("\n\n"))
+    .setTitle(
+      circle.id === DEFAULT_CIRCLE
+        ? "📚 Book Nominations — Vote for Next Pick!"
+        : `📚 ${circle.name} — Vote for Next Pick!`
+    )
+    .setDescription((themeRound ? `${themeLine(themeRound)}\n\n` : "") + lines.join("\n\n"))
     .setFooter({
-      text: `${sorted.length} nomination${sorted.length !== 1 ? "s" : ""} • Use buttons below to vote`,
+      text: ballot
+        ? `${sorted.length} nomination${sorted.length !== 1 ? "s" : ""} • Ranked ballot open (${ballotCount} cast) • Rank up to ${ballot.ranks}`
+        : `${sorted.length} nomination${sorted.length !== 1 ? "s" : ""} • Use buttons below to vote`,
+    });
+
+  if (voteRound?.closesAt) {
+    const closesTs = Math.floor(new Date(voteRound.closesAt).getTime() / 1000);
+    embed.addFields({
+      name: "⏰ Voting Closes",
+      value: `<t:${closesTs}:F> (<t:${closesTs}:R>)`,
+      inline: false,
     });
+  }
 
   // Vote buttons (dropdown if more than 5)
   const components = [];
 
-  if (sorted.length <= 5) {
+  if (ballot) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`bc_ballot_open_${circle.id}`)
+          .setLabel("🗳️ Rank Your Picks")
+          .setStyle(ButtonStyle.Primary)
+      )
+    );
+  } else if (sorted.length <= 5) {
     const buttons = sorted.slice(0, 5).map((nom, idx) =>
       new ButtonBuilder()
         .setCustomId(`bc_vote_${nom.id}`)
@@ -278,7 +1247,7 @@ async function handlePicks(interaction) {
   components.push(
     new ActionRowBuilder().addComponents(
       new ButtonBuilder()
-        .setCustomId("bc_nominate_new")
+        .setCustomId(`bc_nominate_new_${circle.id}`)
         .setLabel("➕ Nominate a Book")
         .setStyle(ButtonStyle.Success)
     )
@@ -287,170 +1256,1146 @@ async function handlePicks(interaction) {
   await interaction.editReply({ embeds: [embed], components });
 }
 
-// ===== HANDLER: STATS =====
+function themeLine(round) {
+  const rules = describeRoundRules(round);
+  return `🎨 **Theme: ${round.theme}**${rules ? ` (${rules})` : ""}`;
+}
 
-async function handleStats(interaction) {
-  await interaction.deferReply();
+// ===== HANDLER: NOMINATION ROUNDS (ADMIN) =====
 
-  const clubData = await getClubData();
+async function handleRoundOpen(interaction, circle) {
+  if (!isClubAdmin(interaction.member, circle)) {
+    return interaction.reply({ content: "❌ Only admins can open nomination rounds.", flags: 1 << 6 });
+  }
 
-  // Calculate stats from DB
-  const statsSql = `
-    SELECT 
-      COUNT(DISTINCT user_id) as total_members,
-      COUNT(CASE WHEN status = 'reading' THEN 1 END) as active_readers,
-      COUNT(CASE WHEN status = 'completed' THEN 1 END) as total_books_read,
-      SUM(current_page) as total_pages_read
-    FROM bc_reading_logs
-  `;
-  const res = await query(statsSql);
-  const stats = res.rows[0];
+  const theme = interaction.options.getString("theme").trim();
+  const maxPages = interaction.options.getInteger("max_pages");
+  const minYear = interaction.options.getInteger("min_year");
+  const maxYear = interaction.options.getInteger("max_year");
+  const rollover = (interaction.options.getString("older") || "rollover") === "rollover";
 
-  // Top readers
-  const topSql = `
-    SELECT user_id, COUNT(*) as books_completed
-    FROM bc_reading_logs
-    WHERE status = 'completed'
-    GROUP BY user_id
-    ORDER BY books_completed DESC
-    LIMIT 5
-  `;
-  const topRes = await query(topSql);
+  if (minYear && maxYear && minYear > maxYear) {
+    return interaction.reply({ content: "❌ `min_year` must be before `max_year`.", flags: 1 << 6 });
+  }
+
+  // Expiring nominations mid-vote would pull books out from under voters
+  if (await getOpenVoteRound(circle.id)) {
+    return interaction.reply({
+      content: `❌ A vote is open in **${circle.name}**. Close it before starting a new nomination round.`,
+      flags: 1 << 6,
+    });
+  }
+
+  await interaction.deferReply();
+
+  const { round, rolledOver, expired } = await openNominationRound({
+    circleId: circle.id,
+    theme,
+    maxPages,
+    minYear,
+    maxYear,
+    openedBy: interaction.user.id,
+    rollover,
+  });
+
+  const carried = [
+    rolledOver ? `♻️ ${rolledOver} nomination${rolledOver === 1 ? "" : "s"} rolled over` : null,
+    expired.length ? `⌛ ${expired.length} older nomination${expired.length === 1 ? "" : "s"} expired` : null,
+  ].filter(Boolean);
+
+  const embed = new EmbedBuilder()
+    .setColor(PURPLE)
+    .setTitle(`🎨 New Nomination Round — ${circle.name}`)
+    .setDescription(
+      `${themeLine(round)}\n\n` +
+      `Nominate a book that fits with \`/bookclub nominate${circleHint(circle)}\`!` +
+      (carried.length ? `\n\n${carried.join("\n")}` : "")
+    )
+    .setFooter({ text: circleLabel(circle) });
+
+  await interaction.editReply({ embeds: [embed] });
+
+  for (const nomination of expired) {
+    await notifyNominator(
+      interaction.client,
+      nomination.nominatedBy,
+      `⌛ Your ${nomination.status === "pending" ? "pending " : ""}nomination **${nomination.title}** was removed ` +
+        `from **${circle.name}** because a new nomination round started: **${round.theme}**.\n\n` +
+        `Nominate it again with \`/bookclub nominate${circleHint(circle)}\` if it fits.`
+    );
+  }
+}
+
+async function handleRoundClose(interaction, circle) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  if (!isClubAdmin(interaction.member, circle)) {
+    return interaction.editReply({ content: "❌ Only admins can close nomination rounds." });
+  }
+
+  const round = await closeNominationRound(circle.id);
+  if (!round) {
+    return interaction.editReply({ content: `ℹ️ **${circle.name}** has no themed round open.` });
+  }
+
+  await interaction.editReply({
+    content:
+      `✅ Closed the **${round.theme}** round. Its nominations stay open, ` +
+      "and new nominations no longer need to fit the theme.",
+  });
+
+  logger.info("Nomination round closed", { circle: circle.id, theme: round.theme, userId: interaction.user.id });
+}
+
+// ===== HANDLER: STATS =====
+
+async function handleStats(interaction, circle) {
+  await interaction.deferReply();
+
+  const clubCounts = await getClubCounts(circle.id);
+
+  // Calculate stats from DB — tracker entries are shared, so scope them to circle members
+  const statsSql = `
+    SELECT 
+      COUNT(DISTINCT rl.user_id) as active_members,
+      COUNT(CASE WHEN rl.status = 'reading' THEN 1 END) as active_readers,
+      COUNT(CASE WHEN rl.status = 'completed' THEN 1 END) as total_books_read,
+      SUM(rl.current_page) as total_pages_read
+    FROM bc_reading_logs rl
+    JOIN ${circleMembersSql(1)} m ON m.user_id = rl.user_id
+  `;
+  const res = await query(statsSql, [circle.id]);
+  const stats = res.rows[0];
+
+  // Top readers
+  const topSql = `
+    SELECT rl.user_id, COUNT(*) as books_completed
+    FROM bc_reading_logs rl
+    JOIN ${circleMembersSql(1)} m ON m.user_id = rl.user_id
+    WHERE rl.status = 'completed'
+    GROUP BY rl.user_id
+    ORDER BY books_completed DESC
+    LIMIT 5
+  `;
+  const topRes = await query(topSql, [circle.id]);
+
+  const attendance = await getAttendanceStats(circle.id);
+
+  const leaderboard = topRes.rows
+    .map(
+      (m, idx) =>
+        `${idx + 1}. <@${m.user_id}> — ${m.books_completed} book${m.books_completed != 1 ? "s" : ""}`
+    )
+    .join("\n");
+
+  const embed = new EmbedBuilder()
+    .setColor(GOLD)
+    .setTitle(`📊 ${circleLabel(circle)} Statistics`)
+    .setDescription(
+      `**Club Overview**\n` +
+      `👥 **${circle.memberCount}** members (${stats.active_members || 0} tracking books)\n` +
+      `📖 **${stats.active_readers || 0}** actively reading\n` +
+      `✅ **${stats.total_books_read || 0}** books completed\n` +
+      `📄 **${parseInt(stats.total_pages_read || 0).toLocaleString()}** total pages read\n` +
+      `📚 **${clubCounts.nominations}** books nominated\n` +
+      `🎯 **${clubCounts.pastPicks}** past club picks`
+    )
+    .addFields({
+      name: "🏆 Top Readers",
+      value: leaderboard || "No data yet",
+      inline: false,
+    })
+    .setFooter({ text: "Keep reading! 📚" });
+
+  if (attendance.meetings) {
+    const regulars = attendance.regulars
+      .map((r) => `<@${r.userId}> (${r.attended})`)
+      .join(", ");
+
+    embed.addFields({
+      name: "🗓️ Meetings",
+      value:
+        `**${attendance.meetings}** meeting${attendance.meetings === 1 ? "" : "s"} • ` +
+        `**${attendance.averageAttendance.toFixed(1)}** average attendance\n` +
+        `Regulars: ${regulars}`,
+      inline: false,
+    });
+  }
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+// ===== HANDLER: HISTORY =====
+
+async function renderHistoryPage(circle, page) {
+  const history = await getPickHistory(circle.id);
+  if (!history.length) return null;
+
+  const index = Math.min(Math.max(0, page), history.length - 1);
+  const pick = history[index];
+  const stats = await getPickStats(pick);
+  const questions = await getPickQuestions(pick.id);
+
+  return {
+    embeds: [historyEmbed(pick, stats, index, history.length, questions)],
+    components: historyComponents(circle, pick, index, history.length),
+  };
+}
+
+async function handleHistory(interaction, circle) {
+  await interaction.deferReply();
+
+  const view = await renderHistoryPage(circle, 0);
+
+  if (!view) {
+    const embed = new EmbedBuilder()
+      .setColor(BLUE)
+      .setTitle("📜 Book Club History")
+      .setDescription(
+        "**No past picks yet!**\n\n" +
+        "Picks move here once the club selects the next book."
+      )
+      .setFooter({ text: circleLabel(circle) });
+
+    return interaction.editReply({ embeds: [embed] });
+  }
+
+  await interaction.editReply(view);
+}
+
+// ===== HANDLER: NOMINATE =====
+
+async function handleNominate(interaction, circle) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  const limitError = await checkNominationLimit(circle, interaction.user.id);
+  if (limitError) return interaction.editReply({ content: limitError });
+
+  const title = interaction.options.getString("title");
+  const author = interaction.options.getString("author");
+  const reason = interaction.options.getString("reason") || "";
+
+  await showEditionPicker(interaction, circle, { title, author, reason });
+}
+
+// ===== HANDLER: WITHDRAW / EDIT NOMINATION =====
+
+// The nominator can manage their own nomination; club admins can manage any
+async function getManagedNomination(interaction, circle) {
+  const nomination = await getNomination(interaction.options.getString("nomination"));
+  if (!nomination || nomination.circleId !== circle.id) return null;
+  if (nomination.nominatedBy === interaction.user.id || isClubAdmin(interaction.member, circle)) {
+    return nomination;
+  }
+  return null;
+}
+
+async function handleWithdraw(interaction, circle) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  const nomination = await getManagedNomination(interaction, circle);
+  if (!nomination) {
+    return interaction.editReply({
+      content: `❌ Nomination not found. You can only withdraw your own nominations in **${circle.name}**.`,
+    });
+  }
+
+  await withdrawNomination(nomination.id);
+
+  const votes = nomination.votes.length;
+  await interaction.editReply({
+    content:
+      `🗑️ Withdrew **${nomination.title}** by ${nomination.author}.` +
+      (votes ? ` Its ${votes} vote${votes === 1 ? " was" : "s were"} removed too.` : ""),
+  });
+
+  if (nomination.nominatedBy !== interaction.user.id) {
+    await notifyNominator(
+      interaction.client,
+      nomination.nominatedBy,
+      `🗑️ Your nomination **${nomination.title}** was removed from **${circle.name}** by a moderator.`
+    );
+  }
+
+  logger.info("Nomination withdrawn", {
+    circle: circle.id,
+    title: nomination.title,
+    userId: interaction.user.id,
+  });
+}
+
+async function handleEditNomination(interaction, circle) {
+  const nomination = await getManagedNomination(interaction, circle);
+  if (!nomination || nomination.nominatedBy !== interaction.user.id) {
+    return interaction.reply({
+      content: `❌ Nomination not found. You can only edit your own nominations in **${circle.name}**.`,
+      flags: 1 << 6,
+    });
+  }
+
+  const modal = new ModalBuilder()
+    .setCustomId(`bc_nomination_edit_submit_${nomination.id}`)
+    .setTitle("Edit Nomination");
+
+  modal.addComponents(
+    new ActionRowBuilder().addComponents(
+      new TextInputBuilder()
+        .setCustomId("book_title")
+        .setLabel("Book Title")
+        .setStyle(TextInputStyle.Short)
+        .setValue(nomination.title.slice(0, 4000))
+        .setRequired(true)
+    ),
+    new ActionRowBuilder().addComponents(
+      new TextInputBuilder()
+        .setCustomId("book_author")
+        .setLabel("Author")
+        .setStyle(TextInputStyle.Short)
+        .setValue((nomination.author || "Unknown").slice(0, 4000))
+        .setRequired(true)
+    )
+  );
+
+  const reasonInput = new TextInputBuilder()
+    .setCustomId("book_reason")
+    .setLabel("Why should we read this? (optional)")
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(false);
+  if (nomination.reason) reasonInput.setValue(nomination.reason.slice(0, 4000));
+  modal.addComponents(new ActionRowBuilder().addComponents(reasonInput));
+
+  await interaction.showModal(modal);
+}
+
+async function handleEditNominationSubmit(interaction) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  const nomination = await getNomination(interaction.customId.slice("bc_nomination_edit_submit_".length));
+  if (!nomination || nomination.nominatedBy !== interaction.user.id) {
+    return interaction.editReply({ content: "❌ That nomination no longer exists." });
+  }
+
+  const circle = await getCircle(nomination.circleId);
+  const title = interaction.fields.getTextInputValue("book_title").trim();
+  const author = interaction.fields.getTextInputValue("book_author").trim();
+  const reason = interaction.fields.getTextInputValue("book_reason") || "";
+
+  const sameBook =
+    title.toLowerCase() === nomination.title.toLowerCase() &&
+    author.toLowerCase() === (nomination.author || "").toLowerCase();
+
+  if (sameBook) {
+    await updateNomination(nomination.id, { reason });
+    return interaction.editReply({
+      content: `✏️ Updated your reason for **${nomination.title}**.`,
+    });
+  }
+
+  // Swapping the book out from under existing votes or an open ballot would mislead voters
+  if (nomination.votes.length || (await getOpenVoteRound(circle.id))) {
+    return interaction.editReply({
+      content:
+        `❌ **${nomination.title}** already has votes or is in an open vote, so the book can't be changed.\n\n` +
+        `Withdraw it with \`/bookclub withdraw${circleHint(circle)}\` and nominate the new book instead.`,
+    });
+  }
+
+  await showEditionPicker(interaction, circle, { title, author, reason, nominationId: nomination.id });
+}
+
+// ===== HANDLER: NOMINATION REVIEW (ADMIN) =====
+
+async function renderReviewQueue(circle) {
+  const pending = await getNominations(circle.id, "pending");
+
+  if (!pending.length) {
+    return {
+      content: `✅ No nominations are waiting for review in **${circle.name}**.`,
+      embeds: [],
+      components: [],
+    };
+  }
+
+  const nom = pending[0];
+  const nominatedTs = Math.floor(new Date(nom.nominatedAt).getTime() / 1000);
+
+  const embed = new EmbedBuilder()
+    .setColor(GOLD)
+    .setTitle("🛡️ Nomination Review")
+    .setDescription(
+      `**${nom.title}**\n` +
+      `*by ${nom.author}*\n\n` +
+      `💬 ${nom.reason || "No description"}\n\n` +
+      `👤 Nominated by <@${nom.nominatedBy}> <t:${nominatedTs}:R>` +
+      `${nom.pageCount ? `\n📄 ${nom.pageCount} pages` : ""}`
+    )
+    .setFooter({ text: `${pending.length} awaiting review • ${circleLabel(circle)}` });
+
+  if (nom.thumbnail) embed.setThumbnail(nom.thumbnail);
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`bc_review_approve_${nom.id}`)
+          .setLabel("✅ Approve")
+          .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+          .setCustomId(`bc_review_reject_${nom.id}`)
+          .setLabel("❌ Reject")
+          .setStyle(ButtonStyle.Danger)
+      ),
+    ],
+  };
+}
+
+async function handleReview(interaction, circle) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  if (!isClubAdmin(interaction.member, circle)) {
+    return interaction.editReply({ content: "❌ Only admins can review nominations." });
+  }
+
+  await interaction.editReply(await renderReviewQueue(circle));
+}
+
+// Looks up the nomination behind a review button and checks the clicker can moderate it
+async function getReviewTarget(interaction, prefix) {
+  const nomination = await getNomination(interaction.customId.slice(prefix.length));
+  const circle = nomination ? await getCircle(nomination.circleId) : null;
+  if (circle && !isClubAdmin(interaction.member, circle)) return { circle: null, nomination: null };
+  return { circle, nomination };
+}
+
+async function handleReviewApprove(interaction) {
+  await interaction.deferUpdate();
+
+  const { circle, nomination } = await getReviewTarget(interaction, "bc_review_approve_");
+  const approved = circle ? await approveNomination(nomination.id, interaction.user.id) : null;
+
+  if (!approved) {
+    await interaction.followUp({ content: "ℹ️ That nomination was already reviewed or withdrawn.", flags: 1 << 6 });
+    if (circle) await interaction.editReply(await renderReviewQueue(circle));
+    return true;
+  }
+
+  await interaction.editReply(await renderReviewQueue(circle));
+  await notifyNominator(
+    interaction.client,
+    approved.nominatedBy,
+    `✅ Your nomination **${approved.title}** was approved for **${circle.name}**! ` +
+    `Members can now vote for it with \`/bookclub picks${circleHint(circle)}\`.`
+  );
+
+  logger.info("Nomination approved", { circle: circle.id, title: approved.title, reviewer: interaction.user.id });
+  return true;
+}
+
+async function handleReviewReject(interaction) {
+  const { circle, nomination } = await getReviewTarget(interaction, "bc_review_reject_");
+  if (!circle || nomination.status !== "pending") {
+    await interaction.reply({ content: "ℹ️ That nomination was already reviewed or withdrawn.", flags: 1 << 6 });
+    return true;
+  }
+
+  const modal = new ModalBuilder()
+    .setCustomId(`bc_review_reason_${nomination.id}`)
+    .setTitle("Reject Nomination");
+
+  modal.addComponents(
+    new ActionRowBuilder().addComponents(
+      new TextInputBuilder()
+        .setCustomId("reject_reason")
+        .setLabel("Reason (sent to the nominator)")
+        .setStyle(TextInputStyle.Paragraph)
+        .setMaxLength(500)
+        .setRequired(true)
+    )
+  );
+
+  await interaction.showModal(modal);
+  return true;
+}
+
+async function handleReviewRejectSubmit(interaction) {
+  await interaction.deferUpdate();
+
+  const { circle, nomination } = await getReviewTarget(interaction, "bc_review_reason_");
+  const rejected = circle ? await rejectNomination(nomination.id) : null;
+
+  if (!rejected) {
+    await interaction.followUp({ content: "ℹ️ That nomination was already reviewed or withdrawn.", flags: 1 << 6 });
+    return true;
+  }
+
+  const reason = interaction.fields.getTextInputValue("reject_reason");
+  await interaction.editReply(await renderReviewQueue(circle));
+  await notifyNominator(
+    interaction.client,
+    rejected.nominatedBy,
+    `❌ Your nomination **${rejected.title}** wasn't approved for **${circle.name}**.\n\n**Reason:** ${reason}`
+  );
+
+  logger.info("Nomination rejected", { circle: circle.id, title: rejected.title, reviewer: interaction.user.id });
+  return true;
+}
+
+// ===== NOMINATION EDITION PICKER =====
+// Search results are cached per user on the client until they pick an edition
+// (same approach as /search favorites). The token ties the menu to its search.
+
+const UNCHECKED_ROUND_NOTE =
+  "🔍 No edition was found, so this round's page and year limits couldn't be checked.";
+
+async function showEditionPicker(interaction, circle, { title, author, reason, nominationId = null }) {
+  const found = (await hybridSearchMany(`intitle:"${title}" inauthor:"${author}"`, 5))
+    .filter((book) => book.source !== "Fallback");
+
+  // No search results (or search is down): nominate by title and author alone,
+  // picks match those against tracker entries without an edition
+  if (!found.length) {
+    return saveNomination(interaction, circle, { nominationId, reason }, {
+      id: null,
+      title,
+      authors: [author],
+    });
+  }
+
+  // Only offer editions that fit the themed round's limits
+  const round = await getActiveNominationRound(circle.id);
+  const results = found.filter((book) => !checkRoundRules(round, book));
+
+  if (!results.length) {
+    return interaction.editReply({
+      content:
+        `${themeLine(round)}\n\n` +
+        `❌ **${found[0].title}** doesn't fit this round — ${checkRoundRules(round, found[0])}.`,
+    });
+  }
+
+  const token = Date.now().toString(36);
+  interaction.client.pendingNominations = interaction.client.pendingNominations || new Map();
+  interaction.client.pendingNominations.set(interaction.user.id, {
+    token,
+    circleId: circle.id,
+    nominationId,
+    reason,
+    results,
+  });
+
+  const lines = results.map((book, idx) => {
+    const details = [
+      book.publishedDate ? `📅 ${book.publishedDate}` : null,
+      book.pageCount ? `📄 ${book.pageCount} pages` : null,
+    ].filter(Boolean).join(" • ");
+
+    return `**${idx + 1}.** ${book.title} — *${book.authors?.join(", ") || "Unknown"}*` +
+      (details ? `\n   ${details}` : "");
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(PURPLE)
+    .setTitle("📚 Which edition?")
+    .setDescription((round ? `${themeLine(round)}\n\n` : "") + lines.join("\n\n"))
+    .setFooter({ text: "Pick the edition the club should read" });
+
+  if (results[0].thumbnail) embed.setThumbnail(results[0].thumbnail);
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`bc_nominate_edition_${token}`)
+    .setPlaceholder("Select an edition...")
+    .setOptions(
+      results.map((book, idx) =>
+        new StringSelectMenuOptionBuilder()
+          .setLabel(`${idx + 1}. ${book.title}`.slice(0, 100))
+          .setValue(String(idx))
+          .setDescription(
+            [book.authors?.[0], book.publishedDate, book.pageCount ? `${book.pageCount} pages` : null]
+              .filter(Boolean)
+              .join(" • ")
+              .slice(0, 100) || "No details"
+          )
+      )
+    );
+
+  return interaction.editReply({
+    embeds: [embed],
+    components: [new ActionRowBuilder().addComponents(menu)],
+  });
+}
+
+async function handleEditionSelect(interaction) {
+  await interaction.deferUpdate();
+
+  const token = interaction.customId.slice("bc_nominate_edition_".length);
+  const pending = interaction.client.pendingNominations?.get(interaction.user.id);
+  const book = pending?.token === token ? pending.results[parseInt(interaction.values[0])] : null;
+
+  if (!book) {
+    return interaction.editReply({
+      content: "⚠️ This search has expired. Run `/bookclub nominate` again.",
+      embeds: [],
+      components: [],
+    });
+  }
+
+  interaction.client.pendingNominations.delete(interaction.user.id);
+  await saveSearchBook(book);
+
+  return saveNomination(interaction, await getCircle(pending.circleId), pending, book);
+}
+
+// Shared by the edition menu and the title/author fallback (book.id null)
+async function saveNomination(interaction, circle, pending, book) {
+  const author = book.authors?.[0] || "Unknown";
+  let status = needsApproval(interaction.member, circle) ? "pending" : "approved";
+
+  // The round may have changed since the search
+  const round = await getActiveNominationRound(circle.id);
+  const unchecked = !book.id && Boolean(checkRoundRules(round, book));
+  const ruleError = book.id ? checkRoundRules(round, book) : null;
+  if (ruleError) {
+    return interaction.editReply({
+      content: `${themeLine(round)}\n\n❌ **${book.title}** doesn't fit this round — ${ruleError}.`,
+      embeds: [],
+      components: [],
+    });
+  }
+
+  // Without an edition the round's limits can't be checked, so a moderator does it
+  if (unchecked) status = "pending";
+
+  if (pending.nominationId) {
+    return finishNominationEdit(interaction, circle, pending, book, status, unchecked);
+  }
+
+  const limitError = await checkNominationLimit(circle, interaction.user.id);
+  if (limitError) {
+    return interaction.editReply({ content: limitError, embeds: [], components: [] });
+  }
+
+  // The unique edition and (title, author) indexes reject duplicates within a circle
+  const nomination = await addNomination({
+    circleId: circle.id,
+    bookId: book.id,
+    title: book.title,
+    author,
+    reason: pending.reason,
+    nominatedBy: interaction.user.id,
+    status,
+    roundId: round?.id ?? null,
+  });
+
+  if (!nomination) {
+    return interaction.editReply({
+      content: `📚 **${book.title}** by ${author} has already been nominated!\n\nUse \`/bookclub picks${circleHint(circle)}\` to vote for it.`,
+      embeds: [],
+      components: [],
+    });
+  }
+
+  await joinCircle(circle.id, interaction.user.id);
+
+  await interaction.editReply({
+    content:
+      `✅ **Nominated:** ${book.title} by ${author}\n\n` +
+      (unchecked ? `${UNCHECKED_ROUND_NOTE}\n` : "") +
+      (status === "pending"
+        ? "📨 Your nomination is waiting for a moderator to approve it. You'll get a DM with their decision."
+        : `Your nomination is now live! Others can vote with \`/bookclub picks${circleHint(circle)}\`.`),
+    embeds: [],
+    components: [],
+  });
+
+  logger.info("Book nominated", {
+    circle: circle.id,
+    title: book.title,
+    bookId: book.id,
+    userId: interaction.user.id,
+  });
+  return true;
+}
+
+async function finishNominationEdit(interaction, circle, pending, book, status, unchecked) {
+  const author = book.authors?.[0] || "Unknown";
+  const existing = await getNomination(pending.nominationId);
+
+  if (!existing) {
+    return interaction.editReply({ content: "❌ That nomination no longer exists.", embeds: [], components: [] });
+  }
+
+  // A new book goes back through review; moderators already saw the old one
+  const updated = await updateNomination(existing.id, {
+    bookId: book.id,
+    title: book.title,
+    author,
+    reason: pending.reason,
+    status,
+  });
+
+  if (!updated) {
+    return interaction.editReply({
+      content: `📚 **${book.title}** by ${author} has already been nominated!`,
+      embeds: [],
+      components: [],
+    });
+  }
+
+  await interaction.editReply({
+    content:
+      `✏️ **Nomination updated:** ${book.title} by ${author}` +
+      (unchecked ? `\n\n${UNCHECKED_ROUND_NOTE}` : "") +
+      (status === "pending" ? "\n\n📨 It's back in the review queue for a moderator to approve." : ""),
+    embeds: [],
+    components: [],
+  });
+
+  logger.info("Nomination edited", {
+    circle: circle.id,
+    from: existing.title,
+    to: book.title,
+    userId: interaction.user.id,
+  });
+  return true;
+}
+
+// ===== HANDLER: SELECT (ADMIN) =====
+
+async function handleSelect(interaction, circle) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  if (!isClubAdmin(interaction.member, circle)) {
+    return interaction.editReply({
+      content: "❌ Only admins can select book club picks.",
+    });
+  }
+
+  const nominationId = interaction.options.getString("nomination_id");
+  const dateInput = interaction.options.getString("discussion_date");
+  const scheduleInput = interaction.options.getString("schedule");
+
+  let meeting = null;
+  if (dateInput) {
+    meeting = parseMeetingDate(dateInput);
+    if (!meeting.valid) {
+      return interaction.editReply({ content: `❌ Invalid discussion date: ${meeting.error}` });
+    }
+  }
+
+  let schedule = null;
+  if (scheduleInput) {
+    const parsed = parseSchedule(scheduleInput);
+    if (!parsed.valid) {
+      return interaction.editReply({ content: `❌ Invalid schedule: ${parsed.error}` });
+    }
+    schedule = parsed.sections;
+  }
+
+  const existing = await getNomination(nominationId);
+  const promoted = existing?.circleId === circle.id && existing.status === "approved"
+    ? await promoteNomination(interaction.client, nominationId, { schedule })
+    : null;
+
+  if (!promoted) {
+    return interaction.editReply({
+      content: `❌ Nomination not found in **${circle.name}**. Use \`/bookclub picks${circleHint(circle)}\` to see valid IDs.`,
+    });
+  }
+
+  const nomination = promoted.pick;
+  const scheduled = meeting
+    ? await scheduleMeeting(interaction.guild, nomination, meeting.date, circle, meeting.timeZone)
+    : null;
+
+  await interaction.editReply({
+    content:
+      `🎯 **New Book Club Pick Selected!**\n\n` +
+      `📚 ${nomination.title} by ${nomination.author}\n` +
+      `📅 Discussion: ${scheduled ? meetingLine(interaction.guildId, { ...nomination, ...scheduled }).replace(/\n/g, " ") : "TBD"}\n` +
+      (schedule ? `🗓️ Schedule: ${schedule.length} section${schedule.length === 1 ? "" : "s"}\n` : "") +
+      `\n` +
+      `Members can now use \`/bookclub current${circleHint(circle)}\` to see details!`,
+  });
+
+  logger.info("Book club pick selected", {
+    circle: circle.id,
+    title: nomination.title,
+    selectedBy: interaction.user.id,
+  });
+}
+
+// ===== HANDLER: MEETINGS (ADMIN) =====
+
+async function handleMeetingSchedule(interaction, circle) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  if (!isClubAdmin(interaction.member, circle)) {
+    return interaction.editReply({ content: "❌ Only admins can schedule club meetings." });
+  }
+
+  const pick = await getCurrentPick(circle.id);
+  if (!pick) {
+    return interaction.editReply({
+      content: `❌ **${circle.name}** has no current pick. Select one with \`/bookclub select\` first.`,
+    });
+  }
+
+  const meeting = parseMeetingDate(interaction.options.getString("date"));
+  if (!meeting.valid) {
+    return interaction.editReply({ content: `❌ Invalid date: ${meeting.error}` });
+  }
+
+  const scheduled = await scheduleMeeting(interaction.guild, pick, meeting.date, circle, meeting.timeZone);
+
+  await interaction.editReply({
+    content:
+      `📅 **${pick.title}** discussion ${pick.discussionAt ? "moved to" : "set for"} ` +
+      `${meetingLine(interaction.guildId, { ...pick, ...scheduled }).replace(/\n/g, " ")}` +
+      (scheduled.eventId ? "" : "\n\n⚠️ Couldn't create a server event — check that I have **Manage Events**."),
+  });
+
+  logger.info("Book club meeting scheduled", {
+    circle: circle.id,
+    pickId: pick.id,
+    discussionAt: scheduled.discussionAt.toISOString(),
+    userId: interaction.user.id,
+  });
+}
+
+async function handleMeetingAttendance(interaction, circle) {
+  if (!isClubAdmin(interaction.member, circle)) {
+    return interaction.reply({
+      content: "❌ Only admins can record attendance.",
+      flags: 1 << 6,
+    });
+  }
+
+  const pick = await getLatestMeetingPick(circle.id);
+  if (!pick) {
+    return interaction.reply({
+      content: `❌ **${circle.name}** hasn't held a scheduled meeting yet.`,
+      flags: 1 << 6,
+    });
+  }
+
+  // Pre-fill with what was already recorded, or with everyone who said they'd come
+  const recorded = await getAttendees(pick.id);
+  const defaults = recorded.length ? recorded : await getRsvpUsers(pick.id, "going");
+
+  const select = new UserSelectMenuBuilder()
+    .setCustomId(`bc_attendance_${pick.id}`)
+    .setPlaceholder("Who attended?")
+    .setMinValues(0)
+    .setMaxValues(25);
+  if (defaults.length) select.setDefaultUsers(defaults.slice(0, 25));
+
+  const ts = Math.floor(new Date(pick.discussionAt).getTime() / 1000);
+  await interaction.reply({
+    content:
+      `📋 **Attendance — ${pick.title}** (<t:${ts}:D>)\n` +
+      (recorded.length
+        ? `Currently recorded: ${recorded.length} member${recorded.length === 1 ? "" : "s"}.`
+        : "Pre-filled with members who RSVP'd as going.") +
+      "\nAdjust the list and submit to save.",
+    components: [new ActionRowBuilder().addComponents(select)],
+    flags: 1 << 6,
+  });
+}
+
+async function handleMeetingReminders(interaction) {
+  const enabled = interaction.options.getBoolean("enabled");
+  await setClubReminders(interaction.user.id, enabled);
+
+  await interaction.reply({
+    content: enabled
+      ? `🔔 Meeting reminders are **on**. You'll hear from me ${reminderLeadText()} each meeting.`
+      : "🔕 Meeting reminders are **off**. Turn them back on with `/bookclub meeting reminders enabled:True`.",
+    flags: 1 << 6,
+  });
+}
+
+function reminderLeadText() {
+  const leads = [...config.bookclub.reminderLeadDays].sort((a, b) => b - a);
+  if (!leads.length) return "before";
+  return leads.map((d) => `${d} day${d === 1 ? "" : "s"}`).join(" and ") + " before";
+}
+
+// ===== HANDLER: DISCUSSION QUESTIONS =====
+
+async function handleQuestionAdd(interaction, circle) {
+  const pick = await getCurrentPick(circle.id);
+  if (!pick) {
+    return interaction.reply({ content: `❌ **${circle.name}** has no current pick.`, flags: 1 << 6 });
+  }
+
+  const question = interaction.options.getString("question").trim();
+  const pagesInput = interaction.options.getString("pages");
+  const chapter = interaction.options.getString("chapter")?.trim() || null;
+
+  let range;
+  if (pagesInput) {
+    range = parsePageRange(pagesInput);
+    if (!range.valid) {
+      return interaction.reply({ content: `❌ ${range.error}`, flags: 1 << 6 });
+    }
+  } else {
+    // Chapter only — borrow the pages from the matching schedule section
+    const section = findScheduleSection(pick, chapter);
+    if (!section) {
+      return interaction.reply({
+        content:
+          "❌ Tag the question with the pages it covers (e.g. `pages:30-60`)" +
+          (pick.schedule?.length
+            ? `, or a chapter matching a schedule section: ${pick.schedule.map((s) => `\`${s.label}\``).join(", ")}.`
+            : ", so I know when it's safe to post."),
+        flags: 1 << 6,
+      });
+    }
+    range = { startPage: section.startPage, endPage: section.endPage };
+  }
+
+  if (pick.pageCount && range.endPage > pick.pageCount) {
+    return interaction.reply({
+      content: `❌ **${pick.title}** only has ${pick.pageCount} pages.`,
+      flags: 1 << 6,
+    });
+  }
 
-  const leaderboard = topRes.rows
-    .map(
-      (m, idx) =>
-        `${idx + 1}. <@${m.user_id}> — ${m.books_completed} book${m.books_completed != 1 ? "s" : ""}`
-    )
-    .join("\n");
+  const saved = await addQuestion({
+    pickId: pick.id,
+    question,
+    chapter,
+    startPage: range.startPage,
+    endPage: range.endPage,
+    submittedBy: interaction.user.id,
+  });
 
-  const embed = new EmbedBuilder()
-    .setColor(GOLD)
-    .setTitle("📊 HL Book Club Statistics")
-    .setDescription(
-      `**Club Overview**\n` +
-      `👥 **${stats.total_members || 0}** members\n` +
-      `📖 **${stats.active_readers || 0}** actively reading\n` +
-      `✅ **${stats.total_books_read || 0}** books completed\n` +
-      `📄 **${parseInt(stats.total_pages_read || 0).toLocaleString()}** total pages read\n` +
-      `📚 **${clubData.nominations?.length || 0}** books nominated\n` +
-      `🎯 **${clubData.history?.length || 0}** past club picks`
-    )
-    .addFields({
-      name: "🏆 Top Readers",
-      value: leaderboard || "No data yet",
-      inline: false,
-    })
-    .setFooter({ text: "Keep reading! 📚" });
+  logger.info("Discussion question added", { pickId: pick.id, questionId: saved.id, userId: interaction.user.id });
 
-  await interaction.editReply({ embeds: [embed] });
+  await interaction.reply({
+    content:
+      `✅ Added question **#${saved.id}** for **${pick.title}**.\n` +
+      `It can be posted once half the club has reached page ${saved.endPage}.`,
+    flags: 1 << 6,
+  });
 }
 
-// ===== HANDLER: NOMINATE =====
+async function handleQuestionList(interaction, circle) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  const pick = await getCurrentPick(circle.id);
+  if (!pick) {
+    return interaction.editReply({ content: `❌ **${circle.name}** has no current pick.` });
+  }
+
+  const questions = await getPickQuestions(pick.id);
+  const memberPage = await getMemberPage(interaction.user.id, pick);
+  const title = circle.id === DEFAULT_CIRCLE ? "💬 Discussion Questions" : `💬 ${circle.name} — Discussion Questions`;
+
+  await interaction.editReply({ embeds: [questionListEmbed(pick, questions, memberPage, title)] });
+}
+
+async function handleQuestionRemove(interaction, circle) {
+  const question = await getQuestion(interaction.options.getInteger("id"));
+  const pick = question ? await getPick(question.pickId) : null;
+
+  if (!pick || pick.circleId !== circle.id) {
+    return interaction.reply({ content: "❌ Question not found.", flags: 1 << 6 });
+  }
+  if (question.submittedBy !== interaction.user.id && !isClubAdmin(interaction.member, circle)) {
+    return interaction.reply({ content: "❌ You can only remove questions you submitted.", flags: 1 << 6 });
+  }
+
+  await removeQuestion(question.id);
+
+  await interaction.reply({
+    content: `🗑️ Removed question **#${question.id}** from **${pick.title}**.`,
+    flags: 1 << 6,
+  });
+}
+
+async function handleQuestionPost(interaction, circle) {
+  if (!isClubAdmin(interaction.member, circle)) {
+    return interaction.reply({ content: "❌ Only admins can post questions early.", flags: 1 << 6 });
+  }
 
-async function handleNominate(interaction) {
   await interaction.deferReply({ flags: 1 << 6 });
 
-  const title = interaction.options.getString("title");
-  const author = interaction.options.getString("author");
-  const reason = interaction.options.getString("reason") || "";
+  const pick = await getCurrentPick(circle.id);
+  if (!pick) {
+    return interaction.editReply({ content: `❌ **${circle.name}** has no current pick.` });
+  }
+
+  const result = await postNextQuestion(interaction.client, pick);
+  if (!result.question) {
+    return interaction.editReply({ content: `⚠️ Nothing to post: ${result.reason}.` });
+  }
+
+  await interaction.editReply({
+    content: `💬 Posted question **#${result.question.id}** in <#${result.thread.id}>.`,
+  });
+}
 
-  const clubData = await getClubData();
+// ===== HANDLER: RANKED-CHOICE BALLOT (ADMIN) =====
 
-  // Check for duplicates
-  const existing = clubData.nominations.find(
-    (n) =>
-      n.title.toLowerCase() === title.toLowerCase() &&
-      n.author.toLowerCase() === author.toLowerCase()
-  );
+async function handleOpenBallot(interaction, circle) {
+  await interaction.deferReply({ flags: 1 << 6 });
 
-  if (existing) {
+  if (!isClubAdmin(interaction.member, circle)) {
     return interaction.editReply({
-      content: `📚 **${title}** by ${author} has already been nominated!\n\nUse \`/bookclub picks\` to vote for it.`,
+      content: "❌ Only admins can open a ballot.",
     });
   }
 
-  const nomination = {
-    id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
-    title,
-    author,
-    reason,
-    nominatedBy: interaction.user.id,
-    nominatedAt: new Date().toISOString(),
-    votes: [],
-  };
+  const ranks = interaction.options.getInteger("ranks") || 3;
+  const nominations = await getNominations(circle.id);
+
+  if (nominations.length < 2) {
+    return interaction.editReply({
+      content: "❌ A ranked ballot needs at least two nominations.",
+    });
+  }
+
+  const round = await openVoteRound({
+    circleId: circle.id,
+    mode: "ballot",
+    ranks: Math.min(ranks, nominations.length),
+    openedBy: interaction.user.id,
+  });
 
-  clubData.nominations.push(nomination);
-  await saveClubData(clubData);
+  if (!round) {
+    return interaction.editReply({
+      content: "⚠️ A voting round is already open. Wait for it to close first.",
+    });
+  }
 
   await interaction.editReply({
     content:
-      `✅ **Nominated:** ${title} by ${author}\n\n` +
-      `Your nomination is now live! Others can vote with \`/bookclub picks\`.`,
+      `🗳️ **Ranked ballot opened!**\n\n` +
+      `Members can rank up to **${round.ranks}** nominations from \`/bookclub picks${circleHint(circle)}\`.\n` +
+      `Close it with \`/bookclub close-ballot${circleHint(circle)}\` to run the instant-runoff tally.`,
   });
 
-  logger.info("Book nominated", {
-    title,
-    author,
-    userId: interaction.user.id,
+  logger.info("Ranked ballot opened", {
+    circle: circle.id,
+    ranks: round.ranks,
+    openedBy: interaction.user.id,
   });
 }
 
-// ===== HANDLER: SELECT (ADMIN) =====
+async function handleCloseBallot(interaction, circle) {
+  if (!isClubAdmin(interaction.member, circle)) {
+    return interaction.reply({
+      content: "❌ Only admins can close a ballot.",
+      flags: 1 << 6,
+    });
+  }
 
-async function handleSelect(interaction) {
-  await interaction.deferReply({ flags: 1 << 6 });
+  await interaction.deferReply();
+
+  const round = await getOpenVoteRound(circle.id);
+
+  // Timed rounds promote their winner, so closing one early runs the scheduled close now
+  if (round?.mode === "ballot" && round.closesAt) {
+    const pick = await closeVoteRound(interaction.client, round.id);
+    const channelId = round.channelId || config.bookclub.announcementChannelId;
+
+    await interaction.editReply({
+      content:
+        (pick
+          ? `🏁 Closed the ranked ballot early — **${pick.title}** by ${pick.author} is the new pick!`
+          : "🏁 Closed the ranked ballot early. Nobody had ranked a book, so the current pick stays.") +
+        (channelId ? `\n\nFull results are in <#${channelId}>.` : ""),
+    });
+
+    logger.info("Timed ranked ballot closed early", { circle: circle.id, winner: pick?.title || null });
+    return;
+  }
+
+  const closed = round?.mode === "ballot" ? await closeBallotRound(round.id) : null;
 
-  if (!interaction.member.permissions.has("ManageGuild")) {
+  if (!closed) {
     return interaction.editReply({
-      content: "❌ Only admins can select book club picks.",
+      content: "ℹ️ There is no ranked ballot open right now.",
     });
   }
 
-  const nominationId = interaction.options.getString("nomination_id");
-  const discussionDate = interaction.options.getString("discussion_date");
+  const { nominations, ballotCount, result } = closed;
+
+  await interaction.editReply({
+    embeds: [runoffEmbed(nominations, ballotCount, result)],
+  });
 
-  const clubData = await getClubData();
+  logger.info("Ranked ballot closed", {
+    circle: circle.id,
+    ballots: ballotCount,
+    rounds: result.rounds.length,
+    winner: result.winner,
+  });
+}
 
-  const nomination = clubData.nominations.find((n) => n.id === nominationId);
+// ===== HANDLER: TIMED VOTE (ADMIN) =====
 
-  if (!nomination) {
+async function handleOpenVote(interaction, circle) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  if (!isClubAdmin(interaction.member, circle)) {
     return interaction.editReply({
-      content: "❌ Nomination not found. Use `/bookclub picks` to see valid IDs.",
+      content: "❌ Only admins can open a vote.",
     });
   }
 
-  // Move current pick to history
-  if (clubData.currentPick) {
-    clubData.history.push({
-      ...clubData.currentPick,
-      completedAt: new Date().toISOString(),
+  const deadline = validateDeadline(interaction.options.getString("deadline"));
+  if (!deadline.valid) {
+    return interaction.editReply({ content: `❌ ${deadline.error}` });
+  }
+
+  const mode = interaction.options.getString("mode") || "plurality";
+  const tiebreak = interaction.options.getString("tiebreak") || config.bookclub.voteTiebreak;
+  const ranks = interaction.options.getInteger("ranks") || 3;
+  const channelId = interaction.options.getChannel("channel")?.id || interaction.channelId;
+
+  const nominations = await getNominations(circle.id);
+
+  if (nominations.length < 2) {
+    return interaction.editReply({
+      content: "❌ A vote needs at least two nominations.",
     });
   }
 
-  // Set new pick
-  clubData.currentPick = {
-    ...nomination,
-    selectedAt: new Date().toISOString(),
-    discussionDate: discussionDate || "TBD",
-  };
+  const round = await openVoteRound({
+    circleId: circle.id,
+    mode,
+    ranks: mode === "ballot" ? Math.min(ranks, nominations.length) : null,
+    openedBy: interaction.user.id,
+    closesAt: deadline.sanitized.toISOString(),
+    tiebreak,
+    channelId,
+  });
 
-  // Remove from nominations
-  clubData.nominations = clubData.nominations.filter((n) => n.id !== nominationId);
+  if (!round) {
+    return interaction.editReply({
+      content: "⚠️ A voting round is already open. Wait for it to close first.",
+    });
+  }
 
-  await saveClubData(clubData);
+  const closesTs = Math.floor(deadline.sanitized.getTime() / 1000);
 
   await interaction.editReply({
     content:
-      `🎯 **New Book Club Pick Selected!**\n\n` +
-      `📚 ${nomination.title} by ${nomination.author}\n` +
-      `📅 Discussion: ${discussionDate || "TBD"}\n\n` +
-      `Members can now use \`/bookclub current\` to see details!`,
+      `⏰ **Vote opened!** Closes <t:${closesTs}:F> (<t:${closesTs}:R>).\n\n` +
+      `🗳️ Mode: ${mode === "ballot" ? `Ranked choice (up to ${round.ranks})` : "Plurality"}\n` +
+      `🎲 Tiebreak: ${TIEBREAKS[tiebreak] || tiebreak}\n` +
+      `📣 The winner will be announced in <#${channelId}> and become **${circle.name}**'s current pick.`,
   });
 
-  logger.info("Book club pick selected", {
-    title: nomination.title,
-    selectedBy: interaction.user.id,
+  logger.info("Timed vote opened", {
+    circle: circle.id,
+    mode,
+    closesAt: round.closesAt,
+    openedBy: interaction.user.id,
   });
 }
 
@@ -463,12 +2408,41 @@ export async function handleComponent(interaction) {
     return handleVote(interaction);
   } else if (cid === "bc_vote_select") {
     return handleVote(interaction);
-  } else if (cid === "bc_nominate_new") {
+  } else if (cid.startsWith("bc_nominate_new_")) {
     return handleNominateModal(interaction);
+  } else if (cid.startsWith("bc_nominate_edition_")) {
+    return handleEditionSelect(interaction);
   } else if (cid.startsWith("bc_add_to_tracker_")) {
     return handleAddToTracker(interaction);
   } else if (cid.startsWith("bc_start_discussion_")) {
     return handleStartDiscussion(interaction);
+  } else if (cid.startsWith("bc_ballot_open_")) {
+    return handleBallotOpen(interaction);
+  } else if (cid.startsWith("bc_ballot_rank_")) {
+    return handleBallotRank(interaction);
+  } else if (cid.startsWith("bc_ballot_clear_")) {
+    return handleBallotClear(interaction);
+  } else if (cid.startsWith("bc_history_page_")) {
+    return handleHistoryPage(interaction);
+  } else if (cid.startsWith("bc_history_rate_")) {
+    return handleHistoryRate(interaction);
+  } else if (cid.startsWith("bc_progress_page_")) {
+    return handleProgressPage(interaction);
+  } else if (cid.startsWith("bc_rsvp_")) {
+    return handleRsvp(interaction);
+  } else if (cid.startsWith("bc_attendance_")) {
+    return handleAttendanceSelect(interaction);
+  } else if (cid.startsWith("bc_review_approve_")) {
+    return handleReviewApprove(interaction);
+  } else if (cid.startsWith("bc_review_reject_")) {
+    return handleReviewReject(interaction);
+  } else if (cid === "bc_reminders_off") {
+    await setClubReminders(interaction.user.id, false);
+    await interaction.reply({
+      content: "🔕 You won't get meeting reminders anymore. Turn them back on with `/bookclub meeting reminders enabled:True`.",
+      flags: 1 << 6,
+    });
+    return true;
   }
 
   return false;
@@ -477,40 +2451,242 @@ export async function handleComponent(interaction) {
 async function handleVote(interaction) {
   await interaction.deferReply({ flags: 1 << 6 });
 
+  // Nomination IDs contain underscores, so take everything after the prefix
   const nominationId =
-    interaction.customId.split("_")[2] || interaction.values?.[0];
-
-  const clubData = await getClubData();
+    interaction.customId === "bc_vote_select"
+      ? interaction.values?.[0]
+      : interaction.customId.slice("bc_vote_".length);
 
-  const nomination = clubData.nominations.find((n) => n.id === nominationId);
+  const nomination = await getNomination(nominationId);
 
-  if (!nomination) {
+  if (!nomination || nomination.status !== "approved") {
     return interaction.editReply({
       content: "❌ Nomination not found.",
     });
   }
 
-  if (!nomination.votes) nomination.votes = [];
+  const voteRound = await getOpenVoteRound(nomination.circleId);
+
+  if (isVotingClosed(voteRound)) {
+    return interaction.editReply({
+      content: "⏰ Voting has closed — the results will be announced shortly.",
+    });
+  }
+
+  if (voteRound?.mode === "ballot") {
+    return interaction.editReply({
+      content: "🗳️ A ranked ballot is open — use **Rank Your Picks** in `/bookclub picks` instead.",
+    });
+  }
 
   // Toggle vote
-  if (nomination.votes.includes(interaction.user.id)) {
-    nomination.votes = nomination.votes.filter((id) => id !== interaction.user.id);
-    await saveClubData(clubData);
+  const { voted, count } = await toggleVote(nominationId, interaction.user.id);
+  if (voted) await joinCircle(nomination.circleId, interaction.user.id);
+
+  if (!voted) {
     return interaction.editReply({
       content: `✅ Removed your vote for **${nomination.title}**`,
     });
-  } else {
-    nomination.votes.push(interaction.user.id);
-    await saveClubData(clubData);
+  }
+
+  return interaction.editReply({
+    content: `✅ Voted for **${nomination.title}** by ${nomination.author}!\n\nCurrent votes: ${count}`,
+  });
+}
+
+function buildBallotView(round, allNominations, userId) {
+  const ballot = round.ballots?.[userId] || [];
+  const nominations = allNominations.slice(0, 25);
+  const byId = new Map(nominations.map((n) => [n.id, n]));
+
+  const lines = Array.from({ length: round.ranks }, (_, i) => {
+    const nom = byId.get(ballot[i]);
+    return `**${ORDINALS[i]}:** ${nom ? `${nom.title} — *${nom.author}*` : "—"}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(PURPLE)
+    .setTitle("🗳️ Your Ranked Ballot")
+    .setDescription(
+      lines.join("\n") +
+      "\n\nPick a book for each rank. If your top choice is eliminated, your vote moves to your next one."
+    )
+    .setFooter({ text: "Your ballot is saved as you go" });
+
+  const rows = Array.from({ length: round.ranks }, (_, i) =>
+    new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`bc_ballot_rank_${round.circleId}_${i}`)
+        .setPlaceholder(`${ORDINALS[i]} choice…`)
+        .setOptions(
+          nominations.map((nom) =>
+            new StringSelectMenuOptionBuilder()
+              .setLabel(nom.title.slice(0, 100))
+              .setValue(nom.id)
+              .setDescription(`by ${nom.author}`.slice(0, 100))
+              .setDefault(ballot[i] === nom.id)
+          )
+        )
+    )
+  );
+
+  rows.push(
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`bc_ballot_clear_${round.circleId}`)
+        .setLabel("Clear Ballot")
+        .setStyle(ButtonStyle.Secondary)
+    )
+  );
+
+  return { embeds: [embed], components: rows };
+}
+
+async function handleBallotOpen(interaction) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  const circleId = interaction.customId.slice("bc_ballot_open_".length);
+  const round = await getOpenVoteRound(circleId);
+  if (round?.mode !== "ballot" || isVotingClosed(round)) {
+    return interaction.editReply({ content: "ℹ️ The ranked ballot is closed." });
+  }
+
+  await interaction.editReply(
+    buildBallotView(round, await getNominations(circleId), interaction.user.id)
+  );
+  return true;
+}
+
+async function handleBallotRank(interaction) {
+  await interaction.deferUpdate();
+
+  // bc_ballot_rank_<circleId>_<rank> — circle slugs never contain underscores
+  const [circleId, rankStr] = interaction.customId.slice("bc_ballot_rank_".length).split("_");
+  const rank = parseInt(rankStr);
+  const nominationId = interaction.values[0];
+  const userId = interaction.user.id;
+
+  const round = await getOpenVoteRound(circleId);
+
+  if (round?.mode !== "ballot" || isVotingClosed(round)) {
+    return interaction.editReply({
+      content: "ℹ️ The ranked ballot is closed.",
+      embeds: [],
+      components: [],
+    });
+  }
+
+  const nomination = await getNomination(nominationId);
+  if (nomination?.circleId !== circleId || nomination.status !== "approved" || !(rank < round.ranks)) {
+    return interaction.followUp({ content: "❌ Nomination not found.", flags: 1 << 6 });
+  }
+
+  await setBallotRank(round.id, userId, rank, nominationId);
+  await joinCircle(circleId, userId);
+
+  // Re-read for the reshuffled ranks; the round may have closed in between
+  const updated = await getOpenVoteRound(circleId);
+  if (!updated) {
+    return interaction.editReply({
+      content: "ℹ️ The ranked ballot is closed.",
+      embeds: [],
+      components: [],
+    });
+  }
+
+  await interaction.editReply(buildBallotView(updated, await getNominations(circleId), userId));
+  return true;
+}
+
+async function handleBallotClear(interaction) {
+  await interaction.deferUpdate();
+
+  const circleId = interaction.customId.slice("bc_ballot_clear_".length);
+  const round = await getOpenVoteRound(circleId);
+  if (round?.mode !== "ballot" || isVotingClosed(round)) {
     return interaction.editReply({
-      content: `✅ Voted for **${nomination.title}** by ${nomination.author}!\n\nCurrent votes: ${nomination.votes.length}`,
+      content: "ℹ️ The ranked ballot is closed.",
+      embeds: [],
+      components: [],
     });
   }
+
+  await clearBallot(round.id, interaction.user.id);
+  delete round.ballots[interaction.user.id];
+
+  await interaction.editReply(
+    buildBallotView(round, await getNominations(circleId), interaction.user.id)
+  );
+  return true;
+}
+
+async function handleHistoryPage(interaction) {
+  await interaction.deferUpdate();
+
+  // bc_history_page_<circleId>_<page>
+  const [circleId, pageStr] = interaction.customId.slice("bc_history_page_".length).split("_");
+  const circle = await getCircle(circleId);
+  const view = circle ? await renderHistoryPage(circle, parseInt(pageStr)) : null;
+  if (view) await interaction.editReply(view);
+  return true;
+}
+
+async function handleHistoryRate(interaction) {
+  await interaction.deferUpdate();
+
+  // bc_history_rate_<page>_<pickId> — pick IDs contain underscores
+  const rest = interaction.customId.slice("bc_history_rate_".length);
+  const sep = rest.indexOf("_");
+  const page = parseInt(rest.slice(0, sep));
+  const pickId = rest.slice(sep + 1);
+  const rating = parseInt(interaction.values[0]);
+  const userId = interaction.user.id;
+
+  const pick = await getPick(pickId);
+  if (!pick?.completedAt) {
+    return interaction.followUp({ content: "❌ That pick is no longer in the history.", flags: 1 << 6 });
+  }
+
+  const filter = pickBookFilter(pick, 1);
+  const existing = await query(`
+    SELECT rl.id
+    FROM bc_reading_logs rl
+    JOIN bc_books b ON rl.book_id = b.book_id
+    WHERE rl.user_id = $1 AND ${filter.sql}
+    ORDER BY rl.updated_at DESC
+    LIMIT 1
+  `, [userId, ...filter.params]);
+
+  if (existing.rows[0]) {
+    await query(
+      `UPDATE bc_reading_logs SET rating = $1, updated_at = NOW() WHERE id = $2`,
+      [rating, existing.rows[0].id]
+    );
+  } else {
+    // Rating a pick you never tracked — kept with the pick so it doesn't count as a read
+    await query(`
+      INSERT INTO bc_club_pick_ratings (pick_id, user_id, rating)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (pick_id, user_id) DO UPDATE SET rating = EXCLUDED.rating, rated_at = NOW()
+    `, [pick.id, userId, rating]);
+  }
+
+  const view = await renderHistoryPage(await getCircle(pick.circleId), page);
+  if (view) await interaction.editReply(view);
+
+  await interaction.followUp({
+    content: `⭐ You rated **${pick.title}** ${rating}/5.`,
+    flags: 1 << 6,
+  });
+
+  logger.info("Past pick rated", { title: pick.title, rating, userId });
+  return true;
 }
 
 async function handleNominateModal(interaction) {
+  const circleId = interaction.customId.slice("bc_nominate_new_".length);
   const modal = new ModalBuilder()
-    .setCustomId("bc_nominate_modal_submit")
+    .setCustomId(`bc_nominate_modal_submit_${circleId}`)
     .setTitle("Nominate a Book");
 
   modal.addComponents(
@@ -544,25 +2720,25 @@ async function handleNominateModal(interaction) {
 async function handleAddToTracker(interaction) {
   await interaction.deferReply({ flags: 1 << 6 });
 
-  const clubData = await getClubData();
-  const pick = clubData.currentPick;
+  const pick = await getPick(interaction.customId.slice("bc_add_to_tracker_".length));
 
-  if (!pick) {
+  if (!pick || pick.completedAt) {
     return interaction.editReply({
-      content: "❌ No current pick selected.",
+      content: "❌ This book is no longer a current pick. Use `/bookclub current` to see the latest one.",
     });
   }
 
   const userId = interaction.user.id;
 
   // Check if already added in DB
+  const filter = pickBookFilter(pick, 1);
   const sql = `
     SELECT 1
     FROM bc_reading_logs rl
     JOIN bc_books b ON rl.book_id = b.book_id
-    WHERE rl.user_id = $1 AND LOWER(b.title) = LOWER($2)
+    WHERE rl.user_id = $1 AND ${filter.sql}
   `;
-  const res = await query(sql, [userId, pick.title]);
+  const res = await query(sql, [userId, ...filter.params]);
 
   if (res.rowCount > 0) {
     return interaction.editReply({
@@ -571,18 +2747,19 @@ async function handleAddToTracker(interaction) {
   }
 
   // Add to tracker
-  // We need to insert book first if not exists
-  const bookId = `club_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+  const bookId = await getPickBookId(pick);
 
   await query(`
-    INSERT INTO bc_books (book_id, title, author)
-    VALUES ($1, $2, $3)
-  `, [bookId, pick.title, pick.author]);
+    INSERT INTO bc_users (user_id, username) VALUES ($1, $2)
+    ON CONFLICT (user_id) DO NOTHING
+  `, [userId, interaction.user.username]);
 
   await query(`
-    INSERT INTO bc_reading_logs (user_id, book_id, status, source)
-    VALUES ($1, $2, 'reading', 'bookclub')
-  `, [userId, bookId]);
+    INSERT INTO bc_reading_logs (user_id, book_id, status, total_pages, source, started_at)
+    VALUES ($1, $2, 'reading', $3, 'bookclub', NOW())
+  `, [userId, bookId, pick.pageCount || 0]);
+
+  await joinCircle(pick.circleId, userId);
 
   await interaction.editReply({
     content: `✅ Added **${pick.title}** to your reading tracker!\n\nUse \`/tracker\` to update your progress.`,
@@ -591,43 +2768,129 @@ async function handleAddToTracker(interaction) {
 
 async function handleStartDiscussion(interaction) {
   await interaction.deferReply({ flags: 1 << 6 });
+
+  const pick = await getPick(interaction.customId.slice("bc_start_discussion_".length));
+
+  if (!pick || pick.completedAt) {
+    return interaction.editReply({
+      content: "❌ This book is no longer the current pick. Use `/bookclub current` to see the latest one.",
+    });
+  }
+
+  const circle = await getCircle(pick.circleId);
+  const { thread, error } = await getOrCreateDiscussionThread(interaction.client, pick, circle);
+
+  if (!thread) {
+    return interaction.editReply({
+      content:
+        `⚠️ Couldn't open a discussion thread: ${error}.\n\n` +
+        "Ask an admin to check `BOOKCLUB_DISCUSSION_CHANNEL` — it should be a text or forum channel the bot can post in.",
+    });
+  }
+
+  if (pick.threadId !== thread.id) {
+    await setPickThread(pick.id, thread.id);
+
+    logger.info("Discussion thread created", {
+      title: pick.title,
+      threadId: thread.id,
+      userId: interaction.user.id,
+    });
+  }
+
   await interaction.editReply({
+    content: `💬 Join the discussion for **${pick.title}** in <#${thread.id}>!`,
+  });
+}
+
+async function handleRsvp(interaction) {
+  const rest = interaction.customId.slice("bc_rsvp_".length);
+  const status = rest.split("_")[0];
+  const pick = await getPick(rest.slice(status.length + 1));
+
+  if (!pick || pick.completedAt || !pick.discussionAt || new Date(pick.discussionAt) <= new Date()) {
+    await interaction.reply({
+      content: "❌ RSVPs for this meeting are closed. Use `/bookclub current` to see the latest one.",
+      flags: 1 << 6,
+    });
+    return true;
+  }
+
+  await setRsvp(pick.id, interaction.user.id, status);
+  await joinCircle(pick.circleId, interaction.user.id);
+  const counts = await getRsvpCounts(pick.id);
+
+  const { emoji, label } = RSVP_STATUSES[status];
+  await interaction.reply({
+    content:
+      `${emoji} You're marked as **${label}** for the **${pick.title}** discussion.\n` +
+      `${rsvpLine(counts)}`,
+    flags: 1 << 6,
+  });
+  return true;
+}
+
+async function handleAttendanceSelect(interaction) {
+  const pick = await getPick(interaction.customId.slice("bc_attendance_".length));
+  const circle = pick ? await getCircle(pick.circleId) : null;
+
+  if (!pick || !circle) {
+    await interaction.update({ content: "❌ That meeting no longer exists.", components: [] });
+    return true;
+  }
+
+  if (!isClubAdmin(interaction.member, circle)) {
+    await interaction.reply({ content: "❌ Only admins can record attendance.", flags: 1 << 6 });
+    return true;
+  }
+
+  await recordAttendance(pick.id, interaction.values, interaction.user.id);
+
+  await interaction.update({
     content:
-      "💬 **Discussion feature coming soon!**\n\n" +
-      "For now, use your club's discussion channel to chat about this book.",
+      `✅ Recorded **${interaction.values.length}** attendee${interaction.values.length === 1 ? "" : "s"} ` +
+      `for the **${pick.title}** discussion.`,
+    components: [],
   });
+
+  logger.info("Book club attendance recorded", {
+    circle: circle.id,
+    pickId: pick.id,
+    attendees: interaction.values.length,
+    recordedBy: interaction.user.id,
+  });
+  return true;
 }
 
 // ===== MODAL SUBMIT =====
 
 export async function handleModalSubmit(interaction) {
-  if (interaction.customId === "bc_nominate_modal_submit") {
+  if (interaction.customId.startsWith("bc_nominate_modal_submit_")) {
     await interaction.deferReply({ flags: 1 << 6 });
 
+    const circle = await getCircle(interaction.customId.slice("bc_nominate_modal_submit_".length));
+    if (!circle) {
+      await interaction.editReply({ content: "❌ That circle no longer exists." });
+      return true;
+    }
+
     const title = interaction.fields.getTextInputValue("book_title");
     const author = interaction.fields.getTextInputValue("book_author");
     const reason = interaction.fields.getTextInputValue("book_reason") || "";
 
-    const clubData = await getClubData();
-
-    const nomination = {
-      id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
-      title,
-      author,
-      reason,
-      nominatedBy: interaction.user.id,
-      nominatedAt: new Date().toISOString(),
-      votes: [],
-    };
-
-    clubData.nominations.push(nomination);
-    await saveClubData(clubData);
-
-    await interaction.editReply({
-      content: `✅ **Nominated:** ${title} by ${author}\n\nUse \`/bookclub picks\` to see all nominations!`,
-    });
+    const limitError = await checkNominationLimit(circle, interaction.user.id);
+    if (limitError) {
+      await interaction.editReply({ content: limitError });
+      return true;
+    }
 
+    await showEditionPicker(interaction, circle, { title, author, reason });
+    return true;
+  } else if (interaction.customId.startsWith("bc_nomination_edit_submit_")) {
+    await handleEditNominationSubmit(interaction);
     return true;
+  } else if (interaction.customId.startsWith("bc_review_reason_")) {
+    return handleReviewRejectSubmit(interaction);
   }
 
   return false;
@@ -0,0 +1,366 @@
+// commands/buddyread.js — Member Buddy Reads
+// ✅ /buddyread start <book> posts a join card and opens a private thread
+// ✅ Books come from your tracker (autocomplete) or a Google Books search
+// ✅ Progress board built from each participant's bc_reading_logs entry
+// ✅ Ends on its own once every participant has marked the book completed (utils/buddyReads.js)
+
+import { SlashCommandBuilder, ChannelType } from "discord.js";
+import { config } from "../config.js";
+import { query } from "../utils/db.js";
+import { logger } from "../utils/logger.js";
+import { hybridSearchMany } from "../utils/search.js";
+import { saveSearchBook } from "../utils/books.js";
+import {
+  getBuddyRead,
+  getMemberBuddyReads,
+  getActiveBuddyReads,
+  createBuddyRead,
+  deleteBuddyRead,
+  setBuddyReadMessage,
+  joinBuddyRead,
+  leaveBuddyRead,
+  ensureTrackerEntry,
+  getBuddyReadBoard,
+  endBuddyReadIfDone,
+  refreshBuddyReadCard,
+} from "../utils/buddyReads.js";
+import {
+  buddyReadEmbed,
+  buddyReadComponents,
+  buddyBoardEmbed,
+  buddyListEmbed,
+} from "../views/buddyread.js";
+
+// ===== DB Helpers =====
+
+/**
+ * Resolve the `book` option: a tracker book_id picked from autocomplete,
+ * a title already on the member's tracker, or the top Google Books match.
+ * Returns { bookId, title, status } or null.
+ */
+async function resolveBook(userId, input) {
+  const tracked = await query(`
+    SELECT b.book_id, b.title, rl.status
+    FROM bc_reading_logs rl
+    JOIN bc_books b ON rl.book_id = b.book_id
+    WHERE rl.user_id = $1 AND (rl.book_id = $2 OR LOWER(b.title) = LOWER($2))
+    ORDER BY (rl.book_id = $2) DESC, rl.updated_at DESC
+    LIMIT 1
+  `, [userId, input]);
+  if (tracked.rows[0]) {
+    const row = tracked.rows[0];
+    return { bookId: row.book_id, title: row.title, status: row.status };
+  }
+
+  const [found] = await hybridSearchMany(input, 1);
+  if (!found || found.source === "Fallback") return null;
+
+  await saveSearchBook(found);
+  return { bookId: found.id, title: found.title, status: null };
+}
+
+function parseReadId(value) {
+  const id = parseInt(String(value || "").replace(/^#/, ""), 10);
+  return isNaN(id) ? null : id;
+}
+
+async function fetchThread(client, threadId) {
+  if (!threadId) return null;
+  try {
+    return await client.channels.fetch(threadId);
+  } catch {
+    return null;
+  }
+}
+
+// ===== COMMAND DEFINITIONS =====
+
+export const definitions = [
+  new SlashCommandBuilder()
+    .setName("buddyread")
+    .setDescription("Read a book together with other members")
+    .addSubcommand((sub) =>
+      sub
+        .setName("start")
+        .setDescription("Start a buddy read others can join")
+        .addStringOption((opt) =>
+          opt
+            .setName("book")
+            .setDescription("Book from your tracker, or a title to search")
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub.setName("list").setDescription("See the buddy reads that are running")
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("board")
+        .setDescription("Show a buddy read's progress board")
+        .addStringOption((opt) =>
+          opt
+            .setName("read")
+            .setDescription("Buddy read (default: your most recent)")
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("leave")
+        .setDescription("Leave a buddy read")
+        .addStringOption((opt) =>
+          opt
+            .setName("read")
+            .setDescription("Buddy read to leave")
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    ),
+].map((c) => c.toJSON());
+
+export async function execute(interaction) {
+  const sub = interaction.options.getSubcommand();
+
+  if (sub === "start") return handleStart(interaction);
+  if (sub === "list") return handleList(interaction);
+  if (sub === "board") return handleBoard(interaction);
+  if (sub === "leave") return handleLeave(interaction);
+}
+
+export async function autocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  const term = String(focused.value || "").toLowerCase();
+  const userId = interaction.user.id;
+
+  if (focused.name === "book") {
+    const res = await query(`
+      SELECT b.book_id, b.title, b.author
+      FROM bc_reading_logs rl
+      JOIN bc_books b ON rl.book_id = b.book_id
+      WHERE rl.user_id = $1 AND rl.status <> 'completed' AND b.title ILIKE $2
+      ORDER BY rl.updated_at DESC
+      LIMIT 25
+    `, [userId, `%${term}%`]);
+
+    return interaction.respond(
+      res.rows.map((b) => ({
+        name: `${b.title}${b.author ? ` — ${b.author}` : ""}`.slice(0, 100),
+        value: b.book_id.slice(0, 100),
+      }))
+    );
+  }
+
+  if (focused.name === "read") {
+    const reads = await getMemberBuddyReads(userId);
+    return interaction.respond(
+      reads
+        .filter((r) => !term || r.title.toLowerCase().includes(term) || String(r.id).includes(term))
+        .slice(0, 25)
+        .map((r) => ({ name: `#${r.id} — ${r.title}`.slice(0, 100), value: String(r.id) }))
+    );
+  }
+
+  return interaction.respond([]);
+}
+
+// ===== HANDLERS =====
+
+async function handleStart(interaction) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  const channel = interaction.channel;
+  if (channel?.type !== ChannelType.GuildText) {
+    return interaction.editReply({ content: "❌ Start buddy reads from a regular text channel so I can open a private thread." });
+  }
+
+  const input = interaction.options.getString("book").trim();
+  const book = await resolveBook(interaction.user.id, input);
+  if (!book) {
+    return interaction.editReply({
+      content: `❌ Couldn't find **${input}**. Add it with \`/tracker list\` → Add Book, then pick it here.`,
+    });
+  }
+  if (book.status === "completed") {
+    return interaction.editReply({ content: `❌ You've already finished **${book.title}** on your tracker.` });
+  }
+
+  const existing = (await getMemberBuddyReads(interaction.user.id)).find((r) => r.bookId === book.bookId);
+  if (existing) {
+    return interaction.editReply({
+      content: `You're already in buddy read #${existing.id} for **${existing.title}**${existing.threadId ? ` — <#${existing.threadId}>` : ""}.`,
+    });
+  }
+
+  let read = await createBuddyRead({
+    bookId: book.bookId,
+    startedBy: interaction.user.id,
+    channelId: channel.id,
+  });
+  await ensureTrackerEntry(interaction.user, read);
+
+  let message;
+  try {
+    message = await channel.send({ embeds: [buddyReadEmbed(read)], components: buddyReadComponents(read) });
+  } catch (err) {
+    logger.error("Failed to post buddy read card", { id: read.id, error: err.message });
+    await deleteBuddyRead(read.id);
+    return interaction.editReply({ content: "❌ I couldn't post in this channel. Check my permissions and try again." });
+  }
+
+  let thread = null;
+  try {
+    thread = await channel.threads.create({
+      name: `🤝 ${read.title}`.slice(0, 100),
+      type: ChannelType.PrivateThread,
+      invitable: false,
+      autoArchiveDuration: config.bookclub.threadAutoArchiveMinutes,
+      reason: "Buddy read thread",
+    });
+    await thread.members.add(interaction.user.id);
+    await thread.send({
+      content: `📖 Welcome to the buddy read for **${read.title}**! Log your pages with \`/tracker\` — the board updates from there.`,
+      embeds: [buddyBoardEmbed(read, await getBuddyReadBoard(read))],
+    });
+  } catch (err) {
+    // Missing Create Private Threads shouldn't stop the buddy read itself
+    logger.warn("Failed to create buddy read thread", { id: read.id, error: err.message });
+  }
+
+  await setBuddyReadMessage(read.id, { messageId: message.id, threadId: thread?.id ?? null });
+  read = await getBuddyRead(read.id);
+
+  logger.info("Buddy read card posted", { id: read.id, channelId: channel.id, threadId: read.threadId });
+
+  await interaction.editReply({
+    content:
+      `✅ Started a buddy read for **${read.title}**.` +
+      (thread ? ` Your private thread: <#${thread.id}>` : " (I couldn't open a private thread here.)"),
+  });
+}
+
+async function handleList(interaction) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  const reads = await getActiveBuddyReads(10);
+  await interaction.editReply({ embeds: [buddyListEmbed(reads, interaction.user.id, interaction.guildId)] });
+}
+
+async function handleBoard(interaction) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  const option = interaction.options.getString("read");
+  let read;
+  if (option) {
+    const id = parseReadId(option);
+    read = id ? await getBuddyRead(id) : null;
+  } else {
+    [read] = await getMemberBuddyReads(interaction.user.id);
+  }
+
+  if (!read) {
+    return interaction.editReply({
+      content: option ? "❌ Buddy read not found." : "You're not in any buddy reads. See `/buddyread list`.",
+    });
+  }
+
+  await interaction.editReply({ embeds: [buddyBoardEmbed(read, await getBuddyReadBoard(read))] });
+}
+
+async function handleLeave(interaction) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  const id = parseReadId(interaction.options.getString("read"));
+  const read = id ? await getBuddyRead(id) : null;
+  if (!read || read.endedAt) {
+    return interaction.editReply({ content: "❌ That buddy read isn't running." });
+  }
+
+  if (!(await leaveBuddyRead(read.id, interaction.user.id))) {
+    return interaction.editReply({ content: "You're not in that buddy read." });
+  }
+
+  const thread = await fetchThread(interaction.client, read.threadId);
+  if (thread) {
+    await thread.members.remove(interaction.user.id).catch((err) =>
+      logger.warn("Failed to remove member from buddy read thread", { id: read.id, error: err.message })
+    );
+  }
+
+  // Leaving can finish the read (everyone left has completed it) or empty it
+  if (!(await endBuddyReadIfDone(interaction.client, read.id))) {
+    await refreshBuddyReadCard(interaction.client, await getBuddyRead(read.id));
+  }
+
+  await interaction.editReply({ content: `👋 You left the buddy read for **${read.title}**. Your tracker entry stays as it is.` });
+}
+
+// ===== COMPONENT ROUTER =====
+
+export async function handleComponent(interaction) {
+  const cid = interaction.customId;
+
+  if (cid.startsWith("buddy_join_")) {
+    await handleJoin(interaction, parseInt(cid.slice("buddy_join_".length), 10));
+    return true;
+  }
+  if (cid.startsWith("buddy_board_")) {
+    await handleBoardButton(interaction, parseInt(cid.slice("buddy_board_".length), 10));
+    return true;
+  }
+
+  return false;
+}
+
+// ===== COMPONENT HANDLERS =====
+
+async function handleJoin(interaction, id) {
+  await interaction.deferUpdate();
+
+  const read = await getBuddyRead(id);
+  if (!read) {
+    return interaction.followUp({ content: "❌ This buddy read no longer exists.", flags: 1 << 6 });
+  }
+  if (read.endedAt) {
+    return interaction.followUp({ content: "🏁 This buddy read has already finished.", flags: 1 << 6 });
+  }
+
+  if (!(await joinBuddyRead(read.id, interaction.user.id))) {
+    return interaction.followUp({
+      content: `You're already reading along${read.threadId ? ` — head to <#${read.threadId}>` : ""}.`,
+      flags: 1 << 6,
+    });
+  }
+
+  await ensureTrackerEntry(interaction.user, read);
+
+  const thread = await fetchThread(interaction.client, read.threadId);
+  if (thread) {
+    try {
+      await thread.members.add(interaction.user.id);
+      await thread.send(`👋 <@${interaction.user.id}> joined the buddy read!`);
+    } catch (err) {
+      logger.warn("Failed to add member to buddy read thread", { id: read.id, error: err.message });
+    }
+  }
+
+  const updated = await getBuddyRead(read.id);
+  await interaction.editReply({ embeds: [buddyReadEmbed(updated)], components: buddyReadComponents(updated) });
+  await interaction.followUp({
+    content:
+      `✅ You joined the buddy read for **${read.title}** — it's on your \`/tracker\` now.` +
+      (thread ? ` Chat in <#${thread.id}>.` : ""),
+    flags: 1 << 6,
+  });
+}
+
+async function handleBoardButton(interaction, id) {
+  const read = await getBuddyRead(id);
+  if (!read) {
+    return interaction.reply({ content: "❌ This buddy read no longer exists.", flags: 1 << 6 });
+  }
+
+  await interaction.reply({ embeds: [buddyBoardEmbed(read, await getBuddyReadBoard(read))], flags: 1 << 6 });
+}
+
+export const commandName = "buddyread";
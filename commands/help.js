@@ -27,13 +27,23 @@ export async function execute(interaction) {
                     "**Reading Tracker**",
                     "• `/tracker list` — View your reading list",
                     "• `/tracker stats` — View your reading stats",
+                    "• `/tracker history` — Fix or undo progress updates",
+                    "• `/tracker tag add` — Sort books onto your own shelves and tags",
+                    "• `/tracker import` — Import a Goodreads or StoryGraph CSV export",
+                    "• `/tracker export` — Download your data as JSON, CSV or Goodreads CSV",
+                    "• `/read start` / `/read stop` — Time a reading session",
+                    "• `/reviews` — Read members' ratings and reviews of a book",
                     "",
                     "**Book Club**",
                     "• `/bookclub current` — View current pick",
                     "• `/bookclub picks` — Vote on nominations",
                     "• `/bookclub nominate` — Nominate a book",
+                    "• `/bookclub question add` — Suggest a discussion question",
+                    "• `/buddyread start` — Start a buddy read others can join",
+                    "• `/buddyread list` — See running buddy reads",
                     "",
                     "**Community**",
+                    "• `/shelf tag` — Browse a member's public tags",
                     "• `/leaderboard` — See top readers",
                     "• `/recommend` — Get book recommendations",
                     "• `/profile` — View your profile",
@@ -52,17 +52,16 @@ async function getScores(range) {
   const pagesMap = new Map();
   pagesRes.rows.forEach(r => pagesMap.set(r.user_id, parseInt(r.pages)));
 
-  // 2. Get Completed Books (from logs)
+  // 2. Get Completed Books (every read-through, re-reads included)
   // Note: This relies on completed_at being set correctly
   let compSql = `
     SELECT user_id, COUNT(*) as count
-    FROM bc_reading_logs
-    WHERE status = 'completed'
+    FROM bc_completions
   `;
   const compParams = [];
 
   if (since) {
-    compSql += ` AND completed_at >= $1`;
+    compSql += ` WHERE completed_at >= $1`;
     compParams.push(since);
   }
 
@@ -2,19 +2,25 @@
 // 📘 /profile — Displays a member's reading stats
 // ✅ Uses SQL for book stats (performance)
 // ✅ Uses SQL for quotes and goals
+// ✅ Lists buddy reads the member started
 
 import { SlashCommandBuilder } from "discord.js";
 import { query } from "../utils/db.js";
 import { buildProfileEmbed } from "../views/profile.js";
 import { logger } from "../utils/logger.js";
+import { getStartedBuddyReads } from "../utils/buddyReads.js";
 
 async function getUserProfileData(userId) {
   // 1. Get Book Stats from DB
+  // Re-reads count once per finished read-through (bc_completions)
   const statsSql = `
     SELECT 
       COUNT(*) as books_tracked,
-      SUM(current_page) as pages_read,
-      COUNT(CASE WHEN status = 'completed' AND EXTRACT(YEAR FROM completed_at) = EXTRACT(YEAR FROM CURRENT_DATE) THEN 1 END) as completed_this_year
+      SUM(current_page) + (SELECT COALESCE(SUM(pages_read), 0) FROM bc_read_throughs WHERE user_id = $1) as pages_read,
+      (
+        SELECT COUNT(*) FROM bc_completions
+        WHERE user_id = $1 AND EXTRACT(YEAR FROM completed_at) = EXTRACT(YEAR FROM CURRENT_DATE)
+      ) as completed_this_year
     FROM bc_reading_logs
     WHERE user_id = $1
   `;
@@ -44,6 +50,9 @@ async function getUserProfileData(userId) {
   const favRes = await query(`SELECT COUNT(*) FROM bc_favorites WHERE user_id = $1`, [userId]);
   const favoritesCount = parseInt(favRes.rows[0].count);
 
+  // 6. Get Buddy Reads the member started
+  const buddyReads = await getStartedBuddyReads(userId);
+
   return {
     booksTracked: parseInt(dbStats.books_tracked || 0),
     pagesRead: parseInt(dbStats.pages_read || 0),
@@ -56,7 +65,13 @@ async function getUserProfileData(userId) {
     quotesSaved: userQuotes.length,
     favorites: favoritesCount,
     favoriteQuote: userQuotes.length > 0 ? userQuotes[0].quote : null,
-    goal: userGoal
+    goal: userGoal,
+    buddyReads: buddyReads.reads.map(r => ({
+      title: r.title,
+      members: r.members.length,
+      endedAt: r.endedAt
+    })),
+    buddyReadsStarted: buddyReads.total
   };
 }
 
@@ -0,0 +1,247 @@
+// commands/read.js — Timed Reading Sessions
+// ✅ /read start times a session against a tracker entry
+// ✅ /read stop <progress> records the duration and pages in bc_reading_history
+// ✅ Progress is typed in the entry's format: a page, 45% / 1234/5000 for ebooks, 3:25 for audiobooks
+// ✅ Sessions live in bc_reading_sessions, so they survive restarts
+// ✅ Reports pages per hour and time left (utils/analytics.js)
+
+import { SlashCommandBuilder } from "discord.js";
+import { query } from "../utils/db.js";
+import { logger } from "../utils/logger.js";
+import { getSpeedEstimate } from "../utils/analytics.js";
+import { applyProgress } from "../utils/readingProgress.js";
+import { pageBasis, parseProgress, savePosition } from "../utils/progressFormats.js";
+import { formatMinutes, formatProgress, speedLine, reviewPromptComponents, SPOILER_UNLOCKED } from "../views/tracker.js";
+
+const MAX_SESSION_MINUTES = 12 * 60;
+
+// ===== DB Helpers =====
+
+async function getSession(userId) {
+  const res = await query(`
+    SELECT s.*, b.title
+    FROM bc_reading_sessions s
+    JOIN bc_books b ON b.book_id = s.book_id
+    WHERE s.user_id = $1
+  `, [userId]);
+  return res.rows[0] || null;
+}
+
+/**
+ * The entry to time: the one picked in autocomplete, or the most recently updated book in progress.
+ */
+async function getEntry(userId, bookId = null) {
+  const res = await query(`
+    SELECT rl.*, b.title, b.author, b.page_count
+    FROM bc_reading_logs rl
+    JOIN bc_books b ON rl.book_id = b.book_id
+    WHERE rl.user_id = $1 AND ${bookId ? "rl.book_id = $2" : "rl.status = 'reading'"}
+    ORDER BY rl.updated_at DESC
+    LIMIT 1
+  `, bookId ? [userId, bookId] : [userId]);
+  return res.rows[0] || null;
+}
+
+const unix = (d) => Math.floor(new Date(d).getTime() / 1000);
+
+// ===== COMMAND DEFINITIONS =====
+
+export const definitions = [
+  new SlashCommandBuilder()
+    .setName("read")
+    .setDescription("Time a reading session")
+    .addSubcommand((sub) =>
+      sub
+        .setName("start")
+        .setDescription("Start timing a reading session")
+        .addStringOption((opt) =>
+          opt
+            .setName("book")
+            .setDescription("Book from your tracker (default: the one you updated last)")
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("stop")
+        .setDescription("Stop the session and log where you got to")
+        .addStringOption((opt) =>
+          opt
+            .setName("progress")
+            .setDescription("Where you stopped: a page, 45% or 1234/5000 for ebooks, 3:25 for audiobooks")
+            .setRequired(true)
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("minutes")
+            .setDescription("Override the timed duration (if you forgot to stop)")
+            .setMinValue(1)
+            .setMaxValue(MAX_SESSION_MINUTES)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub.setName("cancel").setDescription("Discard the running session without logging it")
+    ),
+].map((c) => c.toJSON());
+
+export async function execute(interaction) {
+  await interaction.deferReply({ flags: 1 << 6 });
+
+  const sub = interaction.options.getSubcommand();
+  if (sub === "start") return handleStart(interaction);
+  if (sub === "stop") return handleStop(interaction);
+  if (sub === "cancel") return handleCancel(interaction);
+}
+
+export async function autocomplete(interaction) {
+  const term = String(interaction.options.getFocused() || "");
+
+  const res = await query(`
+    SELECT b.book_id, b.title, rl.current_page, rl.total_pages
+    FROM bc_reading_logs rl
+    JOIN bc_books b ON rl.book_id = b.book_id
+    WHERE rl.user_id = $1 AND rl.status IN ('reading', 'planned') AND b.title ILIKE $2
+    ORDER BY rl.updated_at DESC
+    LIMIT 25
+  `, [interaction.user.id, `%${term}%`]);
+
+  await interaction.respond(
+    res.rows
+      .filter((b) => b.book_id.length <= 100)
+      .map((b) => ({
+        name: `${b.title} (p. ${b.current_page || 0}${b.total_pages ? `/${b.total_pages}` : ""})`.slice(0, 100),
+        value: b.book_id,
+      }))
+  );
+}
+
+// ===== HANDLERS =====
+
+async function handleStart(interaction) {
+  const userId = interaction.user.id;
+
+  const running = await getSession(userId);
+  if (running) {
+    return interaction.editReply({
+      content:
+        `⏱️ You're already reading **${running.title}** (started <t:${unix(running.started_at)}:R>).\n` +
+        "Use `/read stop progress:<where you stopped>` to log it, or `/read cancel` to discard it.",
+    });
+  }
+
+  const entry = await getEntry(userId, interaction.options.getString("book"));
+  if (!entry) {
+    return interaction.editReply({
+      content: "❌ No book to time. Add one with `/tracker list` → Add Book, then pick it here.",
+    });
+  }
+  if (entry.status === "completed") {
+    return interaction.editReply({
+      content: `✅ You've already finished **${entry.title}**. Open it in \`/tracker list\` to start a re-read.`,
+    });
+  }
+
+  await query(`
+    INSERT INTO bc_reading_sessions (user_id, book_id, start_page)
+    VALUES ($1, $2, $3)
+  `, [userId, entry.book_id, Number(entry.current_page || 0)]);
+
+  if (entry.status === "planned" || entry.status === "dropped") {
+    await query(`
+      UPDATE bc_reading_logs
+      SET status = 'reading', started_at = COALESCE(started_at, NOW()), dnf_reason = NULL, dropped_at = NULL, updated_at = NOW()
+      WHERE id = $1
+    `, [entry.id]);
+  }
+
+  await interaction.editReply({
+    content:
+      `⏱️ Started a session on **${entry.title}** at ${formatProgress(entry)}.\n` +
+      "Happy reading! Run `/read stop progress:<where you stopped>` when you put it down.",
+  });
+}
+
+async function handleStop(interaction) {
+  const userId = interaction.user.id;
+
+  const session = await getSession(userId);
+  if (!session) {
+    return interaction.editReply({ content: "❌ You don't have a session running. Start one with `/read start`." });
+  }
+
+  const entry = await getEntry(userId, session.book_id);
+  if (!entry) {
+    await query(`DELETE FROM bc_reading_sessions WHERE user_id = $1`, [userId]);
+    return interaction.editReply({ content: "❌ That book is no longer on your tracker, so the session was discarded." });
+  }
+
+  const progress = parseProgress(entry, interaction.options.getString("progress"));
+  if (!progress.valid) {
+    return interaction.editReply({ content: `❌ ${progress.error}` });
+  }
+  const page = progress.pages;
+
+  // Pages logged through /tracker during the session are already in the history
+  if (page < Number(entry.current_page || 0)) {
+    return interaction.editReply({
+      content: `❌ You're already at ${formatProgress(entry)} in **${entry.title}**. Enter where you stopped.`,
+    });
+  }
+  const format = entry.format || "print";
+  if (format === "print" && entry.total_pages && page > entry.total_pages) {
+    return interaction.editReply({
+      content: `❌ **${entry.title}** only has ${entry.total_pages} pages. Enter the page you stopped on.`,
+    });
+  }
+
+  const timedMinutes = (Date.now() - new Date(session.started_at).getTime()) / 60000;
+  const minutes = interaction.options.getInteger("minutes") ?? Math.max(1, Math.round(timedMinutes));
+  if (minutes > MAX_SESSION_MINUTES) {
+    return interaction.editReply({
+      content:
+        `⚠️ This session has been running for ${formatMinutes(minutes)} — did you forget to stop it?\n` +
+        "Run `/read stop` again with `minutes:` set to how long you actually read, or `/read cancel`.",
+    });
+  }
+
+  if (format !== "print") {
+    await savePosition(userId, entry.book_id, progress);
+  }
+
+  // Ebook and audio progress completes the book at 100%, even without a page count
+  const target = format === "print" ? entry : { ...entry, total_pages: pageBasis(entry) };
+  const { status, justCompleted, spoilersUnlocked } = await applyProgress(interaction, target, page, {
+    durationSeconds: minutes * 60,
+    startPage: Number(session.start_page || 0),
+    startedAt: session.started_at,
+  });
+  await query(`DELETE FROM bc_reading_sessions WHERE user_id = $1`, [userId]);
+
+  const updated = { ...entry, current_page: page, format_position: progress.position ?? entry.format_position };
+  const { speed, minutesLeft } = await getSpeedEstimate(userId, entry.book_id, page, pageBasis(target));
+  // The whole session, including pages logged through /tracker while it ran
+  const pages = Math.max(0, page - Number(session.start_page || 0));
+  const sessionSpeed = pages > 0 ? Math.round((pages / minutes) * 60) : 0;
+
+  logger.info("Reading session logged", { userId, bookId: entry.book_id, pages, minutes });
+
+  await interaction.editReply({
+    content:
+      `📖 Logged **${pages}** page${pages === 1 ? "" : "s"} of **${entry.title}** in ${formatMinutes(minutes)}` +
+      (sessionSpeed ? ` (${sessionSpeed} pages/hr)` : "") +
+      `. You're at ${formatProgress(updated)}${format === "print" ? "" : ` (≈ page ${page})`}.` +
+      (status === "completed" ? " 🎉 **Completed!**" : speed ? `\n${speedLine(speed, minutesLeft)}` : "") +
+      (spoilersUnlocked ? SPOILER_UNLOCKED : ""),
+    components: justCompleted ? reviewPromptComponents(entry.book_id) : [],
+  });
+}
+
+async function handleCancel(interaction) {
+  const res = await query(`DELETE FROM bc_reading_sessions WHERE user_id = $1`, [interaction.user.id]);
+
+  await interaction.editReply({
+    content: res.rowCount ? "🗑️ Session discarded — nothing was logged." : "You don't have a session running.",
+  });
+}
+
+export const commandName = "read";
@@ -275,12 +275,11 @@ async function handleRemove(interaction) {
 // ─────────────────────────────────────────────────────────────
 
 async function calculateProgress(userId, year) {
-  // Count completed books in the target year from DB
+  // Count completed books in the target year from DB (each re-read counts)
   const res = await query(`
     SELECT COUNT(*) 
-    FROM bc_reading_logs 
+    FROM bc_completions 
     WHERE user_id = $1 
-      AND status = 'completed' 
       AND EXTRACT(YEAR FROM completed_at) = $2
   `, [userId, year]);
 
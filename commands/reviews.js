@@ -0,0 +1,82 @@
+// commands/reviews.js — Member Reviews
+// ✅ /reviews book:<title> shows everyone's ratings and reviews of a book
+// ✅ Editions of the same book (title and author) are grouped; earlier read-throughs are included
+// ✅ Reviews flagged as spoilers are hidden behind spoiler tags
+
+import { SlashCommandBuilder } from "discord.js";
+import { findBook, getBookReviews, searchReviewedBooks, REVIEWS_PER_PAGE } from "../utils/reviews.js";
+import { reviewsEmbed, reviewsComponents } from "../views/reviews.js";
+
+async function renderReviews(book, page) {
+  const data = await getBookReviews(book, page);
+  return {
+    embeds: [reviewsEmbed(book, data, page, REVIEWS_PER_PAGE)],
+    components: reviewsComponents(book.book_id, data.total, page, REVIEWS_PER_PAGE),
+  };
+}
+
+// ===== COMMAND DEFINITIONS =====
+
+export const definitions = [
+  new SlashCommandBuilder()
+    .setName("reviews")
+    .setDescription("Read members' ratings and reviews of a book")
+    .addStringOption((opt) =>
+      opt
+        .setName("book")
+        .setDescription("Book title")
+        .setRequired(true)
+        .setAutocomplete(true)
+    ),
+].map((c) => c.toJSON());
+
+export async function execute(interaction) {
+  await interaction.deferReply();
+
+  const input = interaction.options.getString("book").trim();
+  const book = await findBook(input);
+  if (!book) {
+    return interaction.editReply({ content: `❌ Couldn't find **${input}**. Pick a title from the suggestions.` });
+  }
+
+  await interaction.editReply(await renderReviews(book, 0));
+}
+
+export async function autocomplete(interaction) {
+  const term = String(interaction.options.getFocused() || "");
+  const books = await searchReviewedBooks(term);
+
+  await interaction.respond(
+    books
+      .filter((b) => b.book_id.length <= 100)
+      .map((b) => ({
+        name: `${b.title}${b.author ? ` — ${b.author}` : ""}`.slice(0, 100),
+        value: b.book_id,
+      }))
+  );
+}
+
+// ===== COMPONENT ROUTER =====
+
+export async function handleComponent(interaction) {
+  const cid = interaction.customId;
+  if (!cid.startsWith("rev_page_")) return false;
+
+  // rev_page_<page>_<bookId> — book ids can contain underscores
+  const rest = cid.slice("rev_page_".length);
+  const sep = rest.indexOf("_");
+  const page = Math.max(0, parseInt(rest.slice(0, sep), 10) || 0);
+  const bookId = rest.slice(sep + 1);
+
+  const book = await findBook(bookId);
+  if (!book) {
+    await interaction.reply({ content: "❌ That book is no longer available.", flags: 1 << 6 });
+    return true;
+  }
+
+  await interaction.deferUpdate();
+  await interaction.editReply(await renderReviews(book, page));
+  return true;
+}
+
+export const commandName = "reviews";
@@ -1,20 +1,31 @@
 // commands/shelf.js — Optimized with SQL
 // ✅ Filter by: My Books, All Members, Status
 // ✅ Sort by: Recent, Popular, Title, Date Added
-// ✅ Group view: By Book (who's reading what)
+// ✅ Group view: By Book (who's reading what, active buddy reads)
 // ✅ Efficient SQL queries
+// ✅ member + tag options browse a member's public tag (utils/tags.js)
 
 import { SlashCommandBuilder } from "discord.js";
 import { query } from "../utils/db.js";
 import { buildShelfEmbed, buildComponents } from "../views/shelf.js";
 import { logger } from "../utils/logger.js";
+import { getTags, findTag, getVisibleTag, tagFilter, tagIdFromFilter } from "../utils/tags.js";
 
 const BOOKS_PER_PAGE = 8;
 
 export const definitions = [
   new SlashCommandBuilder()
     .setName("shelf")
-    .setDescription("View the HL Book Club community bookshelf"),
+    .setDescription("View the HL Book Club community bookshelf")
+    .addStringOption((opt) =>
+      opt
+        .setName("tag")
+        .setDescription("Browse one of a member's public tags")
+        .setAutocomplete(true)
+    )
+    .addUserOption((opt) =>
+      opt.setName("member").setDescription("Whose tag to browse (defaults to you)")
+    ),
 ].map((c) => c.toJSON());
 
 async function getShelfData(userFilter, statusFilter, sortType, viewMode, page, currentUserId) {
@@ -23,7 +34,12 @@ async function getShelfData(userFilter, statusFilter, sortType, viewMode, page,
   let whereClauses = [];
 
   // 1. Build WHERE clause
-  if (userFilter === "mine") {
+  const tagId = tagIdFromFilter(userFilter);
+  if (tagId !== null) {
+    // Visibility is checked before we get here
+    whereClauses.push(`rl.id IN (SELECT reading_log_id FROM bc_reading_log_tags WHERE tag_id = $${params.length + 1})`);
+    params.push(tagId);
+  } else if (userFilter === "mine") {
     whereClauses.push(`rl.user_id = $${params.length + 1}`);
     params.push(currentUserId);
   } else if (userFilter && userFilter !== "all") {
@@ -60,7 +76,11 @@ async function getShelfData(userFilter, statusFilter, sortType, viewMode, page,
       SELECT 
         b.book_id, b.title, b.author, b.thumbnail, b.preview_link,
         COUNT(rl.user_id) as reader_count,
-        array_agg(rl.user_id) as readers
+        array_agg(rl.user_id) as readers,
+        (
+          SELECT COUNT(*) FROM bc_buddy_reads br
+          WHERE br.book_id = b.book_id AND br.ended_at IS NULL
+        ) as buddy_reads
       FROM bc_reading_logs rl
       JOIN bc_books b ON rl.book_id = b.book_id
       ${whereSql}
@@ -117,21 +137,40 @@ export async function execute(interaction) {
     }
 
     const currentUserId = interaction.user.id;
-    // Default view: Mine, Reading, Recent, List
-    const { books, totalCount } = await getShelfData("mine", "reading", "recent", "list", 0, currentUserId);
+    const tagName = interaction.options.getString("tag");
+
+    // Default view: Mine, Reading, Recent, List — or everything on the requested tag
+    let userFilter = "mine";
+    let statusFilter = "reading";
+    let tag = null;
+    if (tagName) {
+      const member = interaction.options.getUser("member") || interaction.user;
+      const found = await findTag(member.id, tagName);
+      tag = found && (await getVisibleTag(found.id, currentUserId));
+      if (!tag) {
+        return interaction.editReply({
+          content: `❌ ${member.id === currentUserId ? "You don't" : `<@${member.id}> doesn't`} have a public tag called **${tagName}**.`,
+        });
+      }
+      userFilter = tagFilter(tag.id);
+      statusFilter = "all";
+    }
+
+    const { books, totalCount } = await getShelfData(userFilter, statusFilter, "recent", "list", 0, currentUserId);
 
     const embed = buildShelfEmbed(
       books,
-      "mine",
-      "reading",
+      userFilter,
+      statusFilter,
       "recent",
       "list",
       0,
       interaction,
-      totalCount
+      totalCount,
+      tag
     );
 
-    const components = buildComponents("mine", "reading", "recent", "list", 0, totalCount);
+    const components = buildComponents(userFilter, statusFilter, "recent", "list", 0, totalCount);
 
     await interaction.editReply({ embeds: [embed], components });
   } catch (err) {
@@ -140,6 +179,20 @@ export async function execute(interaction) {
   }
 }
 
+export async function autocomplete(interaction) {
+  const term = String(interaction.options.getFocused() || "").toLowerCase();
+  // User options arrive as a bare id while autocompleting
+  const memberId = interaction.options.get("member")?.value || interaction.user.id;
+  const tags = await getTags(memberId, { publicOnly: memberId !== interaction.user.id });
+
+  await interaction.respond(
+    tags
+      .filter((t) => t.name.toLowerCase().includes(term))
+      .slice(0, 25)
+      .map((t) => ({ name: `${t.name} (${t.bookCount} book${t.bookCount === 1 ? "" : "s"})`, value: t.name }))
+  );
+}
+
 export async function handleComponent(interaction) {
   const cid = interaction.customId;
   if (!cid.startsWith("shelf_")) return false;
@@ -179,6 +232,14 @@ export async function handleComponent(interaction) {
   page = parseInt(page) || 0;
   const currentUserId = interaction.user.id;
 
+  // A tag made private (or deleted) since the message was sent drops back to the community shelf
+  let tag = null;
+  const tagId = tagIdFromFilter(userFilter);
+  if (tagId !== null) {
+    tag = await getVisibleTag(tagId, currentUserId);
+    if (!tag) userFilter = "all";
+  }
+
   const { books, totalCount } = await getShelfData(userFilter, statusFilter, sortType, viewMode, page, currentUserId);
 
   const embed = buildShelfEmbed(
@@ -189,7 +250,8 @@ export async function handleComponent(interaction) {
     viewMode,
     page,
     interaction,
-    totalCount
+    totalCount,
+    tag
   );
 
   const components = buildComponents(
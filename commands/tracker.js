@@ -3,8 +3,20 @@
 // ✅ Separated UI logic into views/tracker.js
 // ✅ Efficient pagination and filtering
 // ✅ Merged /my-stats into /tracker stats
-
-import { SlashCommandBuilder, EmbedBuilder } from "discord.js";
+// ✅ Pages per hour and time left from timed /read sessions
+// ✅ Completed books can be re-read; earlier read-throughs are kept (utils/readThroughs.js)
+// ✅ Marking a book complete asks for a half-star rating and an optional review
+// ✅ DNF ('dropped') records where you stopped and why; excluded from completions
+// ✅ Print, ebook (%/location) and audiobook (h:mm) progress (utils/progressFormats.js)
+// ✅ /tracker history edits or deletes updates; "Undo Last Update" on the detail view
+// ✅ Personal tags/shelves (utils/tags.js): /tracker tag, tag tabs in the list, tag menu on the detail view
+// ✅ /tracker import reads Goodreads/StoryGraph CSV exports with a dry-run preview (utils/libraryImport.js)
+// ✅ /tracker export sends everything as JSON, CSV or a Goodreads-layout CSV (utils/dataExport.js)
+// ✅ Finishing a book can end the buddy reads it belongs to
+// ✅ Progress on the club pick can unlock the spoiler role (utils/spoilerRole.js)
+
+import { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } from "discord.js";
+import fetch from "node-fetch";
 import { query } from "../utils/db.js";
 import {
   listEmbed,
@@ -13,12 +25,70 @@ import {
   detailComponents,
   addBookModal,
   updateProgressModal,
+  reviewModal,
+  reviewPromptComponents,
+  dnfModal,
+  formatProgress,
+  historyEmbed,
+  historyComponents,
+  historyEditModal,
+  tagsEmbed,
+  newTagModal,
+  importPreviewEmbed,
+  importComponents,
+  speedLine,
+  SPOILER_UNLOCKED,
 } from "../views/tracker.js";
-import { appendReadingLog, getUserLogs, calcBookStats } from "../utils/analytics.js";
+import { getUserLogs, calcBookStats, getSpeedEstimate, getSpeedEstimates } from "../utils/analytics.js";
 import { logger } from "../utils/logger.js";
+import { applyProgress, runProgressHooks, markDnf } from "../utils/readingProgress.js";
+import { getReadThroughs, startReRead, deleteReadThroughs } from "../utils/readThroughs.js";
+import { parseRating, saveReview } from "../utils/reviews.js";
+import {
+  getHistoryPage,
+  getHistoryEntry,
+  getLastHistoryEntry,
+  editHistoryEntry,
+  deleteHistoryEntry,
+  HISTORY_PER_PAGE,
+} from "../utils/readingHistory.js";
+import { formatRating } from "../views/reviews.js";
+import {
+  parseProgress,
+  pageBasis,
+  progressFraction,
+  pagesToPosition,
+  savePosition,
+  setFormat,
+} from "../utils/progressFormats.js";
+import {
+  getTags,
+  findTag,
+  getBookTags,
+  getOrCreateTag,
+  renameTag,
+  setTagVisibility,
+  deleteTag,
+  tagBook,
+  untagBook,
+  setBookTags,
+  tagFilter,
+  tagIdFromFilter,
+} from "../utils/tags.js";
+import {
+  readExport,
+  planImport,
+  summarizePlan,
+  applyImport,
+  IMPORT_SOURCES,
+  MAX_IMPORT_BYTES,
+} from "../utils/libraryImport.js";
+import { collectUserData, buildExportFiles, EXPORT_FORMATS } from "../utils/dataExport.js";
 
 const BOOKS_PER_PAGE = 10;
 const PURPLE = 0x8b5cf6;
+const IMPORT_PREVIEW_TTL = 15 * 60 * 1000;
+const MAX_EXPORT_BYTES = 8 * 1024 * 1024; // Discord's attachment limit
 
 const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
 const fmtTime = (d) => new Date(d).toLocaleString();
@@ -38,7 +108,11 @@ async function getBooks(userId, filterType, sortType, page) {
   let whereClause = "WHERE rl.user_id = $1";
   const params = [userId];
 
-  if (filterType !== "all") {
+  const tagId = tagIdFromFilter(filterType);
+  if (tagId !== null) {
+    whereClause += ` AND rl.id IN (SELECT reading_log_id FROM bc_reading_log_tags WHERE tag_id = $${params.length + 1})`;
+    params.push(tagId);
+  } else if (filterType !== "all") {
     whereClause += ` AND rl.status = $${params.length + 1}`;
     params.push(filterType);
   }
@@ -82,6 +156,22 @@ async function getBookDetails(userId, bookId) {
   return res.rows[0];
 }
 
+/**
+ * A tracked book by id (autocomplete) or by exact title (typed).
+ */
+async function findTrackedBook(userId, input) {
+  const res = await query(`
+    SELECT rl.*, b.title, b.author
+    FROM bc_reading_logs rl
+    JOIN bc_books b ON rl.book_id = b.book_id
+    WHERE rl.user_id = $1 AND (rl.book_id = $2 OR LOWER(b.title) = LOWER($2))
+    ORDER BY (rl.book_id = $2) DESC, rl.updated_at DESC
+    LIMIT 1
+  `, [userId, input.trim()]);
+
+  return res.rows[0];
+}
+
 // ===== COMMAND ENTRY =====
 
 export const definitions = [
@@ -93,6 +183,97 @@ export const definitions = [
     )
     .addSubcommand((sub) =>
       sub.setName("stats").setDescription("Show your reading stats for active books")
+    )
+    .addSubcommand((sub) =>
+      sub.setName("history").setDescription("Review, edit or delete your progress updates")
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("import")
+        .setDescription("Import your library from a Goodreads or StoryGraph CSV export")
+        .addAttachmentOption((opt) =>
+          opt.setName("file").setDescription("The exported .csv file").setRequired(true)
+        )
+    )
+    .addSubcommand((sub) =>
+      sub
+        .setName("export")
+        .setDescription("Download your tracker, history, quotes, goals and favorites")
+        .addStringOption((opt) =>
+          opt
+            .setName("format")
+            .setDescription("File format (default: JSON)")
+            .addChoices(
+              { name: "JSON — everything in one file", value: "json" },
+              { name: "CSV — one spreadsheet per kind of data", value: "csv" },
+              { name: "Goodreads CSV — import into Goodreads, StoryGraph and others", value: "goodreads" }
+            )
+        )
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("tag")
+        .setDescription("Your own shelves and tags")
+        .addSubcommand((sub) =>
+          sub
+            .setName("add")
+            .setDescription("Tag a book — new tags are created as you go")
+            .addStringOption((opt) =>
+              opt.setName("book").setDescription("Book from your tracker").setRequired(true).setAutocomplete(true)
+            )
+            .addStringOption((opt) =>
+              opt
+                .setName("tag")
+                .setDescription("Tag name, e.g. comfort reads")
+                .setRequired(true)
+                .setMaxLength(50)
+                .setAutocomplete(true)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("remove")
+            .setDescription("Take a tag off a book")
+            .addStringOption((opt) =>
+              opt.setName("book").setDescription("Book from your tracker").setRequired(true).setAutocomplete(true)
+            )
+            .addStringOption((opt) =>
+              opt.setName("tag").setDescription("Tag name").setRequired(true).setAutocomplete(true)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub.setName("list").setDescription("List your tags")
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("rename")
+            .setDescription("Rename one of your tags")
+            .addStringOption((opt) =>
+              opt.setName("tag").setDescription("Tag name").setRequired(true).setAutocomplete(true)
+            )
+            .addStringOption((opt) =>
+              opt.setName("name").setDescription("New name").setRequired(true).setMaxLength(50)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("visibility")
+            .setDescription("Choose whether others can browse a tag with /shelf")
+            .addStringOption((opt) =>
+              opt.setName("tag").setDescription("Tag name").setRequired(true).setAutocomplete(true)
+            )
+            .addBooleanOption((opt) =>
+              opt.setName("public").setDescription("Let other members see it").setRequired(true)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("delete")
+            .setDescription("Delete a tag (its books stay in your tracker)")
+            .addStringOption((opt) =>
+              opt.setName("tag").setDescription("Tag name").setRequired(true).setAutocomplete(true)
+            )
+        )
     ),
 ].map((c) => c.toJSON());
 
@@ -101,28 +282,85 @@ export async function execute(interaction) {
     await interaction.deferReply({ flags: 1 << 6 });
   }
 
+  const group = interaction.options.getSubcommandGroup(false);
   const subcommand = interaction.options.getSubcommand() || "list"; // Default to list if no subcommand (legacy support)
 
-  if (subcommand === "stats") {
+  if (group === "tag") {
+    return handleTagCommand(interaction, subcommand);
+  } else if (subcommand === "stats") {
     return handleStats(interaction);
+  } else if (subcommand === "history") {
+    return interaction.editReply(await renderHistory(interaction.user, 0));
+  } else if (subcommand === "import") {
+    return handleImport(interaction);
+  } else if (subcommand === "export") {
+    return handleExport(interaction);
   } else {
     return handleList(interaction);
   }
 }
 
+export async function autocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  const term = String(focused.value || "").trim();
+  const userId = interaction.user.id;
+
+  if (focused.name === "book") {
+    const res = await query(`
+      SELECT b.book_id, b.title, b.author
+      FROM bc_reading_logs rl
+      JOIN bc_books b ON rl.book_id = b.book_id
+      WHERE rl.user_id = $1 AND b.title ILIKE $2
+      ORDER BY rl.updated_at DESC
+      LIMIT 25
+    `, [userId, `%${term}%`]);
+
+    return interaction.respond(
+      res.rows
+        .filter((b) => b.book_id.length <= 100)
+        .map((b) => ({
+          name: `${b.title}${b.author ? ` — ${b.author}` : ""}`.slice(0, 100),
+          value: b.book_id,
+        }))
+    );
+  }
+
+  if (focused.name === "tag") {
+    const tags = (await getTags(userId)).filter((t) => t.name.toLowerCase().includes(term.toLowerCase()));
+    const choices = tags.map((t) => ({ name: `${t.isPublic ? "🏷️" : "🔒"} ${t.name} (${t.bookCount})`, value: t.name }));
+
+    // /tracker tag add creates tags on the fly
+    if (interaction.options.getSubcommand() === "add" && term && !tags.some((t) => t.name.toLowerCase() === term.toLowerCase())) {
+      choices.unshift({ name: `➕ New tag: ${term}`.slice(0, 100), value: term.slice(0, 100) });
+    }
+    return interaction.respond(choices.slice(0, 25));
+  }
+
+  return interaction.respond([]);
+}
+
 // ===== HANDLERS =====
 
+async function renderList(user, filterType, sortType, page) {
+  const tags = await getTags(user.id);
+  // A deleted tag falls back to the default tab
+  const tagId = tagIdFromFilter(filterType);
+  if (tagId !== null && !tags.some((t) => t.id === tagId)) filterType = "reading";
+
+  const { books, totalCount } = await getBooks(user.id, filterType, sortType, page);
+
+  return {
+    embeds: [listEmbed(user.username, books, filterType, sortType, page, totalCount, tags)],
+    components: listComponents(books, filterType, sortType, page, totalCount, tags),
+  };
+}
+
 async function handleList(interaction) {
   const userId = interaction.user.id;
   // Ensure user exists
   await query(`INSERT INTO bc_users (user_id, username) VALUES ($1, $2) ON CONFLICT (user_id) DO NOTHING`, [userId, interaction.user.username]);
 
-  const { books, totalCount } = await getBooks(userId, "reading", "recent", 0);
-
-  const embed = listEmbed(interaction.user.username, books, "reading", "recent", 0, totalCount);
-  const components = listComponents(books, "reading", "recent", 0, totalCount);
-
-  await interaction.editReply({ embeds: [embed], components });
+  await interaction.editReply(await renderList(interaction.user, "reading", "recent", 0));
 }
 
 async function handleStats(interaction) {
@@ -147,23 +385,31 @@ async function handleStats(interaction) {
       });
     }
 
+    const estimates = await getSpeedEstimates(
+      userId,
+      activeBooks.map((t) => ({ bookId: t.book_id, currentPage: Number(t.current_page || 0), totalPages: pageBasis(t) }))
+    );
+
     const lines = [];
     for (const t of activeBooks) {
       const logs = await getUserLogs(userId, t.book_id);
       const stats = calcBookStats(logs);
 
-      const cp = Number(t.current_page || 0);
-      const tp = Number(t.total_pages || 0);
-      const pct = tp ? `${Math.round(clamp(cp / tp, 0, 1) * 100)}%` : "—";
+      // Page equivalents for ebooks and audiobooks (utils/progressFormats.js)
+      const fraction = progressFraction(t);
+      const pct = fraction !== null ? `${Math.round(fraction * 100)}%` : "—";
 
       // Find last activity from logs or updated_at
       const lastAt = logs.length > 0 ? logs[0].timestamp : t.updated_at;
+      const { speed, minutesLeft } = estimates.get(t.book_id);
+      const speedText = speedLine(speed, minutesLeft);
 
       lines.push([
         `• **${t.title}** ${t.author ? `— *${t.author}*` : ""}`,
-        `${progressBarPages(cp, tp)} Page ${cp}${tp ? `/${tp}` : ""} (${pct})`,
+        `${progressBarPages(fraction ?? 0, 1)} ${formatProgress(t)} (${pct})`,
         `📈 avg **${stats.avgPerDay.toFixed(1)}**/day • 🔥 **${stats.streak}d** • ⏱ ${lastAt ? fmtTime(lastAt) : "—"
         }`,
+        ...(speedText ? [speedText] : []),
       ].join("\n"));
     }
 
@@ -193,12 +439,27 @@ export async function handleComponent(interaction) {
   if (cid.startsWith("trk_sort_")) {
     return handleSortChange(interaction, cid.split("_")[2]);
   }
+  if (cid.startsWith("trk_tagfilter_")) {
+    return handleFilterChange(interaction, tagFilter(interaction.values[0]), cid.slice("trk_tagfilter_".length), 0);
+  }
+  if (cid.startsWith("trk_tags_")) return handleTagSelect(interaction);
+  if (cid.startsWith("trk_newtag_")) return handleNewTagModal(interaction);
   if (cid.startsWith("trk_select_")) {
     return handleSelectView(interaction);
   }
+  if (cid.startsWith("trk_format_")) return handleFormatChange(interaction);
+  if (cid.startsWith("trk_hist_page_")) return handleHistoryPage(interaction);
+  if (cid.startsWith("trk_hist_edit_")) return handleHistoryEditModal(interaction);
+  if (cid.startsWith("trk_hist_del_")) return handleHistoryDelete(interaction);
+  if (cid.startsWith("trk_undo_")) return handleUndo(interaction);
+  if (cid.startsWith("trk_import_confirm_")) return handleImportConfirm(interaction);
+  if (cid.startsWith("trk_import_cancel_")) return handleImportCancel(interaction);
   if (cid === "trk_add_modal") return handleAddModal(interaction);
   if (cid.startsWith("trk_update_")) return handleUpdateModal(interaction);
-  if (cid.startsWith("trk_complete_")) return handleComplete(interaction);
+  if (cid.startsWith("trk_complete_")) return handleCompleteModal(interaction);
+  if (cid.startsWith("trk_review_")) return handleReviewModal(interaction);
+  if (cid.startsWith("trk_dnf_")) return handleDnfModal(interaction);
+  if (cid.startsWith("trk_reread_")) return handleReRead(interaction);
   if (cid.startsWith("trk_delete_")) return handleDelete(interaction);
   if (cid === "trk_back_to_list") return handleBackToList(interaction);
 
@@ -209,29 +470,31 @@ export async function handleComponent(interaction) {
 
 async function handleFilterChange(interaction, filterType, sortType, page) {
   await interaction.deferUpdate();
-  const userId = interaction.user.id;
-  const { books, totalCount } = await getBooks(userId, filterType, sortType, page);
-
-  const embed = listEmbed(interaction.user.username, books, filterType, sortType, page, totalCount);
-  const components = listComponents(books, filterType, sortType, page, totalCount);
-
-  await interaction.editReply({ embeds: [embed], components });
+  await interaction.editReply(await renderList(interaction.user, filterType, sortType, page));
   return true;
 }
 
 async function handleSortChange(interaction, filterType) {
   await interaction.deferUpdate();
-  const sortType = interaction.values[0];
-  const userId = interaction.user.id;
-  const { books, totalCount } = await getBooks(userId, filterType, sortType, 0);
-
-  const embed = listEmbed(interaction.user.username, books, filterType, sortType, 0, totalCount);
-  const components = listComponents(books, filterType, sortType, 0, totalCount);
-
-  await interaction.editReply({ embeds: [embed], components });
+  await interaction.editReply(await renderList(interaction.user, filterType, interaction.values[0], 0));
   return true;
 }
 
+async function renderDetail(userId, book) {
+  // TODO: Optimize getUserLogs to use DB
+  const logs = await getUserLogs(userId, book.book_id);
+  const stats = calcBookStats(logs);
+  const { speed, minutesLeft } = await getSpeedEstimate(userId, book.book_id, Number(book.current_page || 0), Number(book.total_pages || 0));
+  const readThroughs = await getReadThroughs(userId, book.book_id);
+  const tags = await getTags(userId);
+  const bookTags = await getBookTags(userId, book.book_id);
+
+  return {
+    embeds: [detailEmbed(book, logs, stats, speed, minutesLeft, readThroughs, bookTags)],
+    components: detailComponents(book.book_id, book.status, book.format, tags, bookTags),
+  };
+}
+
 async function handleSelectView(interaction) {
   await interaction.deferUpdate();
   const bookId = interaction.values[0];
@@ -242,14 +505,7 @@ async function handleSelectView(interaction) {
     return interaction.followUp({ content: "❌ Book not found.", flags: 1 << 6 });
   }
 
-  // TODO: Optimize getUserLogs to use DB
-  const logs = await getUserLogs(userId, bookId);
-  const stats = calcBookStats(logs);
-
-  const embed = detailEmbed(book, logs, stats);
-  const components = detailComponents(bookId);
-
-  await interaction.editReply({ embeds: [embed], components });
+  await interaction.editReply(await renderDetail(userId, book));
   return true;
 }
 
@@ -289,64 +545,139 @@ export async function handleModalSubmit(interaction) {
   if (interaction.customId.startsWith("trk_update_submit_")) {
     return handleUpdateSubmit(interaction);
   }
+  if (interaction.customId.startsWith("trk_complete_submit_")) {
+    return handleComplete(interaction);
+  }
+  if (interaction.customId.startsWith("trk_review_submit_")) {
+    return handleReviewSubmit(interaction);
+  }
+  if (interaction.customId.startsWith("trk_dnf_submit_")) {
+    return handleDnfSubmit(interaction);
+  }
+  if (interaction.customId.startsWith("trk_hist_submit_")) {
+    return handleHistoryEditSubmit(interaction);
+  }
+  if (interaction.customId.startsWith("trk_newtag_submit_")) {
+    return handleNewTagSubmit(interaction);
+  }
   return false;
 }
 
 async function handleUpdateModal(interaction) {
-  const bookId = interaction.customId.split("_")[2];
-  await interaction.showModal(updateProgressModal(bookId));
+  // Book ids can contain underscores (manual_…), so take everything after the prefix
+  const bookId = interaction.customId.slice("trk_update_".length);
+  const book = await getBookDetails(interaction.user.id, bookId);
+  await interaction.showModal(updateProgressModal(bookId, book || {}));
   return true;
 }
 
 async function handleUpdateSubmit(interaction) {
   await interaction.deferReply({ flags: 1 << 6 });
-  const bookId = interaction.customId.split("_")[3];
-  const newPage = parseInt(interaction.fields.getTextInputValue("new_page"));
+  const bookId = interaction.customId.slice("trk_update_submit_".length);
   const userId = interaction.user.id;
 
-  if (isNaN(newPage) || newPage < 0) {
-    return interaction.editReply({ content: "❌ Invalid page number." });
-  }
-
   const book = await getBookDetails(userId, bookId);
   if (!book) return interaction.editReply({ content: "❌ Book not found." });
 
-  const oldPage = book.current_page || 0;
-  const pagesRead = Math.max(0, newPage - oldPage);
+  // The length field is only on audiobook forms
+  const lengthInput = interaction.fields.fields.has("length") ? interaction.fields.getTextInputValue("length") : "";
+  const progress = parseProgress(book, interaction.fields.getTextInputValue("new_page"), lengthInput);
+  if (!progress.valid) {
+    return interaction.editReply({ content: `❌ ${progress.error}` });
+  }
+
+  const format = book.format || "print";
+  if (format !== "print") {
+    await savePosition(userId, bookId, progress);
+  }
 
-  let status = book.status;
-  let completedAt = book.completed_at;
+  // Ebook and audio progress completes the book at 100%, even without a page count
+  const entry = format === "print" ? book : { ...book, total_pages: pageBasis({ ...book, format_length: progress.length ?? book.format_length }) };
+  const { status, justCompleted, spoilersUnlocked } = await applyProgress(interaction, entry, progress.pages);
+  const updated = { ...book, current_page: progress.pages, format_position: progress.position, format_length: progress.length ?? book.format_length };
 
-  if (book.total_pages && newPage >= book.total_pages) {
-    status = "completed";
-    completedAt = new Date();
+  await interaction.editReply({
+    content:
+      `✅ Updated **${book.title}** to ${formatProgress(updated)}${format === "print" ? "" : ` (≈ page ${progress.pages})`}` +
+      (status === "completed" ? " 🎉 **Completed!**" : "") +
+      (spoilersUnlocked ? SPOILER_UNLOCKED : ""),
+    components: justCompleted ? reviewPromptComponents(bookId) : [],
+  });
+  return true;
+}
+
+function readReviewFields(interaction) {
+  const parsed = parseRating(interaction.fields.getTextInputValue("rating"));
+  return {
+    ...parsed,
+    review: interaction.fields.getTextInputValue("review") || null,
+    spoiler: /^(y|yes|true)$/i.test(interaction.fields.getTextInputValue("spoiler").trim()),
+  };
+}
+
+function reviewSummary({ rating, review, spoiler }) {
+  if (rating === null && !review) return "";
+  return (
+    (rating !== null ? `\n${formatRating(rating)}` : "") +
+    (review ? `\n📝 Review saved${spoiler ? " (hidden behind a spoiler tag)" : ""} — see it with \`/reviews\`.` : "")
+  );
+}
+
+async function handleCompleteModal(interaction) {
+  const bookId = interaction.customId.slice("trk_complete_".length);
+  await interaction.showModal(reviewModal(bookId, { complete: true }));
+  return true;
+}
+
+async function handleReviewModal(interaction) {
+  const bookId = interaction.customId.slice("trk_review_".length);
+  const book = await getBookDetails(interaction.user.id, bookId);
+  if (!book) {
+    return interaction.reply({ content: "❌ Book not found.", flags: 1 << 6 });
   }
 
-  await query(`
-    UPDATE bc_reading_logs
-    SET current_page = $1, status = $2, completed_at = $3, updated_at = NOW()
-    WHERE user_id = $4 AND book_id = $5
-  `, [newPage, status, completedAt, userId, bookId]);
+  await interaction.showModal(
+    reviewModal(bookId, { rating: book.rating, review: book.review, spoiler: book.review_spoiler })
+  );
+  return true;
+}
+
+async function handleReviewSubmit(interaction) {
+  await interaction.deferReply({ flags: 1 << 6 });
+  const bookId = interaction.customId.slice("trk_review_submit_".length);
+
+  const fields = readReviewFields(interaction);
+  if (!fields.valid) return interaction.editReply({ content: `❌ ${fields.error}` });
 
-  if (pagesRead > 0) {
-    // TODO: Optimize appendReadingLog to use DB
-    await appendReadingLog(userId, bookId, pagesRead);
+  if (!(await saveReview(interaction.user.id, bookId, fields))) {
+    return interaction.editReply({ content: "❌ Book not found." });
   }
 
+  const res = await query(`SELECT title FROM bc_books WHERE book_id = $1`, [bookId]);
+  const title = res.rows[0]?.title || "Book";
+
   await interaction.editReply({
-    content: `✅ Updated **${book.title}** to page ${newPage}${status === "completed" ? " 🎉 **Completed!**" : ""}`,
+    content: fields.rating === null && !fields.review
+      ? `🗑️ Cleared your rating and review of **${title}**.`
+      : `⭐ Saved your rating of **${title}**.${reviewSummary(fields)}`,
   });
   return true;
 }
 
 async function handleComplete(interaction) {
   await interaction.deferReply({ flags: 1 << 6 });
-  const bookId = interaction.customId.split("_")[2];
+  const bookId = interaction.customId.slice("trk_complete_submit_".length);
   const userId = interaction.user.id;
 
+  const fields = readReviewFields(interaction);
+  if (!fields.valid) {
+    return interaction.editReply({ content: `❌ ${fields.error} The book wasn't marked complete — try again.` });
+  }
+
   await query(`
     UPDATE bc_reading_logs
-    SET status = 'completed', completed_at = NOW(), current_page = GREATEST(current_page, total_pages), updated_at = NOW()
+    SET status = 'completed', completed_at = NOW(), current_page = GREATEST(current_page, total_pages),
+        dnf_reason = NULL, dropped_at = NULL, updated_at = NOW()
     WHERE user_id = $1 AND book_id = $2
   `, [userId, bookId]);
 
@@ -354,13 +685,208 @@ async function handleComplete(interaction) {
   const res = await query(`SELECT title FROM bc_books WHERE book_id = $1`, [bookId]);
   const title = res.rows[0]?.title || "Book";
 
-  await interaction.editReply({ content: `🎉 Marked **${title}** as completed!` });
+  await saveReview(userId, bookId, fields);
+  const spoilersUnlocked = await runProgressHooks(interaction, bookId, true);
+
+  await interaction.editReply({
+    content: `🎉 Marked **${title}** as completed!${reviewSummary(fields)}${spoilersUnlocked ? SPOILER_UNLOCKED : ""}`,
+  });
+  return true;
+}
+
+async function handleDnfModal(interaction) {
+  const bookId = interaction.customId.slice("trk_dnf_".length);
+  const book = await getBookDetails(interaction.user.id, bookId);
+  if (!book) {
+    return interaction.reply({ content: "❌ Book not found.", flags: 1 << 6 });
+  }
+
+  await interaction.showModal(dnfModal(bookId, Number(book.current_page || 0)));
+  return true;
+}
+
+async function handleDnfSubmit(interaction) {
+  await interaction.deferReply({ flags: 1 << 6 });
+  const bookId = interaction.customId.slice("trk_dnf_submit_".length);
+  const page = parseInt(interaction.fields.getTextInputValue("page"));
+  const reason = interaction.fields.getTextInputValue("reason") || null;
+  const userId = interaction.user.id;
+
+  const book = await getBookDetails(userId, bookId);
+  if (!book) return interaction.editReply({ content: "❌ Book not found." });
+  if (book.status === "completed") {
+    return interaction.editReply({ content: `❌ You've already finished **${book.title}**.` });
+  }
+
+  if (isNaN(page) || page < 0 || (book.total_pages && page > book.total_pages)) {
+    return interaction.editReply({ content: "❌ Invalid page number." });
+  }
+
+  await markDnf(userId, book, page, reason);
+  if (book.format && book.format !== "print") {
+    await savePosition(userId, bookId, { position: pagesToPosition(book, page) });
+  }
+
+  await interaction.editReply({
+    content:
+      `🛑 Marked **${book.title}** as did-not-finish at page ${page}. ` +
+      "The pages you read still count on the leaderboard — update your progress any time to pick it back up.",
+  });
+  return true;
+}
+
+async function handleFormatChange(interaction) {
+  await interaction.deferUpdate();
+  const bookId = interaction.customId.slice("trk_format_".length);
+  const format = interaction.values[0];
+  const userId = interaction.user.id;
+
+  const book = await getBookDetails(userId, bookId);
+  if (!book) {
+    return interaction.followUp({ content: "❌ Book not found.", flags: 1 << 6 });
+  }
+
+  if (format !== (book.format || "print")) {
+    await setFormat(userId, book, format);
+  }
+
+  await interaction.editReply(await renderDetail(userId, await getBookDetails(userId, bookId)));
+  if (format === "audio" && !book.format_length) {
+    await interaction.followUp({
+      content: "🎧 Add the audiobook's length with **Update Progress** so your progress bar can fill up.",
+      flags: 1 << 6,
+    });
+  }
+  return true;
+}
+
+// ===== History =====
+
+async function renderHistory(user, page) {
+  let { entries, total } = await getHistoryPage(user.id, page);
+  // Deleting the last entry on the last page steps back a page
+  if (!entries.length && page > 0) {
+    page = Math.max(0, Math.ceil(total / HISTORY_PER_PAGE) - 1);
+    ({ entries, total } = await getHistoryPage(user.id, page));
+  }
+
+  return {
+    embeds: [historyEmbed(user.username, entries, page, total, HISTORY_PER_PAGE)],
+    components: historyComponents(entries, page, total, HISTORY_PER_PAGE),
+  };
+}
+
+function historyChangeText(title, currentPage) {
+  return currentPage !== null ? ` **${title}** is back on page ${currentPage}.` : "";
+}
+
+async function handleHistoryPage(interaction) {
+  await interaction.deferUpdate();
+  const page = Math.max(0, parseInt(interaction.customId.slice("trk_hist_page_".length)) || 0);
+  await interaction.editReply(await renderHistory(interaction.user, page));
+  return true;
+}
+
+async function handleHistoryEditModal(interaction) {
+  const page = parseInt(interaction.customId.slice("trk_hist_edit_".length)) || 0;
+  const entry = await getHistoryEntry(interaction.user.id, parseInt(interaction.values[0]));
+  if (!entry) {
+    return interaction.reply({ content: "❌ That update no longer exists.", flags: 1 << 6 });
+  }
+
+  await interaction.showModal(historyEditModal(entry, page));
+  return true;
+}
+
+async function handleHistoryEditSubmit(interaction) {
+  await interaction.deferUpdate();
+  const [id, page] = interaction.customId.slice("trk_hist_submit_".length).split("_").map((n) => parseInt(n));
+  const pagesRead = parseInt(interaction.fields.getTextInputValue("pages_read"));
+
+  if (isNaN(pagesRead) || pagesRead < 0) {
+    return interaction.followUp({ content: "❌ Invalid number of pages.", flags: 1 << 6 });
+  }
+
+  const entry = await getHistoryEntry(interaction.user.id, id);
+  const result = entry ? await editHistoryEntry(interaction.user.id, id, pagesRead) : null;
+  if (!result) {
+    return interaction.followUp({ content: "❌ That update no longer exists.", flags: 1 << 6 });
+  }
+
+  await interaction.editReply(await renderHistory(interaction.user, page || 0));
+  await interaction.followUp({
+    content: `✏️ Changed the update from +${entry.pagesRead} to +${pagesRead} pages.${historyChangeText(entry.title, result.currentPage)}`,
+    flags: 1 << 6,
+  });
+  return true;
+}
+
+async function handleHistoryDelete(interaction) {
+  await interaction.deferUpdate();
+  const page = parseInt(interaction.customId.slice("trk_hist_del_".length)) || 0;
+  const id = parseInt(interaction.values[0]);
+
+  const entry = await getHistoryEntry(interaction.user.id, id);
+  const result = entry ? await deleteHistoryEntry(interaction.user.id, id) : null;
+  if (!result) {
+    return interaction.followUp({ content: "❌ That update no longer exists.", flags: 1 << 6 });
+  }
+
+  await interaction.editReply(await renderHistory(interaction.user, page));
+  await interaction.followUp({
+    content: `🗑️ Deleted +${entry.pagesRead} pages of **${entry.title}**.${historyChangeText(entry.title, result.currentPage)}`,
+    flags: 1 << 6,
+  });
+  return true;
+}
+
+async function handleUndo(interaction) {
+  await interaction.deferUpdate();
+  const bookId = interaction.customId.slice("trk_undo_".length);
+  const userId = interaction.user.id;
+
+  const last = await getLastHistoryEntry(userId, bookId);
+  if (!last) {
+    return interaction.followUp({ content: "Nothing to undo — this book has no logged updates.", flags: 1 << 6 });
+  }
+
+  const result = await deleteHistoryEntry(userId, last.id);
+  const book = await getBookDetails(userId, bookId);
+  if (book) await interaction.editReply(await renderDetail(userId, book));
+
+  await interaction.followUp({
+    content:
+      `↩️ Undid your last update (+${last.pagesRead} pages on ${fmtTime(last.timestamp)}).` +
+      (result?.currentPage !== null && result?.currentPage !== undefined
+        ? ` You're back on page ${result.currentPage}.`
+        : " Your current page was changed since then, so it stays as it is."),
+    flags: 1 << 6,
+  });
+  return true;
+}
+
+async function handleReRead(interaction) {
+  await interaction.deferUpdate();
+  const bookId = interaction.customId.slice("trk_reread_".length);
+  const userId = interaction.user.id;
+
+  const readNumber = await startReRead(userId, bookId);
+  if (!readNumber) {
+    return interaction.followUp({ content: "❌ Only completed books can be re-read.", flags: 1 << 6 });
+  }
+
+  const book = await getBookDetails(userId, bookId);
+  await interaction.editReply(await renderDetail(userId, book));
+  await interaction.followUp({
+    content: `🔁 Started read #${readNumber} of **${book.title}**. Your previous read is kept in its history.`,
+    flags: 1 << 6,
+  });
   return true;
 }
 
 async function handleDelete(interaction) {
   await interaction.deferReply({ flags: 1 << 6 });
-  const bookId = interaction.customId.split("_")[2];
+  const bookId = interaction.customId.slice("trk_delete_".length);
   const userId = interaction.user.id;
 
   // Get title first
@@ -368,6 +894,7 @@ async function handleDelete(interaction) {
   const title = res.rows[0]?.title || "Book";
 
   await query(`DELETE FROM bc_reading_logs WHERE user_id = $1 AND book_id = $2`, [userId, bookId]);
+  await deleteReadThroughs(userId, bookId);
 
   await interaction.editReply({ content: `✅ Removed **${title}** from your tracker.` });
   return true;
@@ -375,13 +902,231 @@ async function handleDelete(interaction) {
 
 async function handleBackToList(interaction) {
   await interaction.deferUpdate();
+  await interaction.editReply(await renderList(interaction.user, "reading", "recent", 0));
+  return true;
+}
+
+// ===== Import =====
+
+async function handleImport(interaction) {
   const userId = interaction.user.id;
-  const { books, totalCount } = await getBooks(userId, "reading", "recent", 0);
+  const file = interaction.options.getAttachment("file");
+
+  if (!file.name?.toLowerCase().endsWith(".csv")) {
+    return interaction.editReply({
+      content:
+        "❌ Upload the `.csv` export — Goodreads: **My Books → Import and export → Export Library**; " +
+        "StoryGraph: **Manage Account → Export StoryGraph Library**.",
+    });
+  }
+  if (file.size > MAX_IMPORT_BYTES) {
+    return interaction.editReply({ content: "❌ That file is too big — exports up to 5 MB are supported." });
+  }
 
-  const embed = listEmbed(interaction.user.username, books, "reading", "recent", 0, totalCount);
-  const components = listComponents(books, "reading", "recent", 0, totalCount);
+  let text;
+  try {
+    const res = await fetch(file.url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    text = await res.text();
+  } catch (err) {
+    logger.error("Import download failed", { userId, error: err.message });
+    return interaction.editReply({ content: "❌ Couldn't download that file — please try again." });
+  }
 
-  await interaction.editReply({ embeds: [embed], components });
+  const parsed = readExport(text);
+  if (parsed.error) return interaction.editReply({ content: `❌ ${parsed.error}` });
+  if (!parsed.records.length) return interaction.editReply({ content: "❌ There are no books in that export." });
+
+  await query(`INSERT INTO bc_users (user_id, username) VALUES ($1, $2) ON CONFLICT (user_id) DO NOTHING`, [userId, interaction.user.username]);
+  const plan = await planImport(userId, parsed.source, parsed.records, parsed.skipped);
+  const summary = summarizePlan(plan);
+
+  const token = Date.now().toString(36);
+  const pendingImports = (interaction.client.pendingImports = interaction.client.pendingImports || new Map());
+
+  // Previews hold whole parsed libraries, so drop abandoned ones instead of keeping them until restart
+  for (const [id, pending] of pendingImports) {
+    if (Date.now() - pending.createdAt > IMPORT_PREVIEW_TTL) pendingImports.delete(id);
+  }
+  pendingImports.set(userId, { token, plan, createdAt: Date.now() });
+
+  await interaction.editReply({
+    embeds: [importPreviewEmbed(plan, summary, IMPORT_SOURCES[parsed.source].label)],
+    components: importComponents(token, summary.new + summary.update > 0),
+  });
+}
+
+async function handleImportConfirm(interaction) {
+  await interaction.deferUpdate();
+  const userId = interaction.user.id;
+  const token = interaction.customId.slice("trk_import_confirm_".length);
+
+  const pending = interaction.client.pendingImports?.get(userId);
+  if (!pending || pending.token !== token || Date.now() - pending.createdAt > IMPORT_PREVIEW_TTL) {
+    return interaction.editReply({
+      content: "⌛ This import preview has expired. Run `/tracker import` again.",
+      embeds: [],
+      components: [],
+    });
+  }
+  interaction.client.pendingImports.delete(userId);
+
+  const { plan } = pending;
+  const conflicts = summarizePlan(plan).conflict;
+  try {
+    const { added, updated, tagsCreated } = await applyImport(userId, plan);
+    await interaction.editReply({
+      content:
+        `📥 Imported your ${IMPORT_SOURCES[plan.source].label} library: **${added}** new, **${updated}** updated` +
+        (tagsCreated ? `, ${tagsCreated} new tag${tagsCreated === 1 ? "" : "s"}` : "") +
+        "." +
+        (conflicts ? ` ${conflicts} conflicting book${conflicts === 1 ? " was" : "s were"} left as ${conflicts === 1 ? "it was" : "they were"}.` : "") +
+        " See them in `/tracker list`.",
+      embeds: [],
+      components: [],
+    });
+  } catch (err) {
+    logger.error("Library import failed", { userId, error: err.message });
+    await interaction.editReply({
+      content: "❌ The import failed and nothing was saved. Please try again.",
+      embeds: [],
+      components: [],
+    });
+  }
+  return true;
+}
+
+async function handleImportCancel(interaction) {
+  await interaction.deferUpdate();
+  const pending = interaction.client.pendingImports?.get(interaction.user.id);
+  if (pending?.token === interaction.customId.slice("trk_import_cancel_".length)) {
+    interaction.client.pendingImports.delete(interaction.user.id);
+  }
+
+  await interaction.editReply({ content: "Import cancelled — nothing was saved.", embeds: [], components: [] });
+  return true;
+}
+
+// ===== Export =====
+
+async function handleExport(interaction) {
+  const format = interaction.options.getString("format") || "json";
+  const data = await collectUserData(interaction.user.id);
+
+  if (!data.entries.length && !data.history.length && !data.quotes.length && !data.goals.length && !data.favorites.length) {
+    return interaction.editReply({ content: "There's nothing to export yet — add a book with `/tracker list` first." });
+  }
+  if (format === "goodreads" && !data.entries.length) {
+    return interaction.editReply({ content: "❌ The Goodreads format only holds tracked books, and you don't have any yet." });
+  }
+
+  const files = buildExportFiles(data, format, { userId: interaction.user.id, username: interaction.user.username });
+  const buffers = files.map((f) => ({ name: f.name, data: Buffer.from(f.content, "utf8") }));
+  if (buffers.reduce((sum, f) => sum + f.data.length, 0) > MAX_EXPORT_BYTES) {
+    return interaction.editReply({ content: "❌ Your export is too big to send as a Discord attachment. Try the Goodreads CSV." });
+  }
+
+  await interaction.editReply({
+    content:
+      `📤 Your ${EXPORT_FORMATS[format].label} export: ${data.entries.length} book${data.entries.length === 1 ? "" : "s"}, ` +
+      `${data.history.length} progress update${data.history.length === 1 ? "" : "s"}, ${data.quotes.length} quote${data.quotes.length === 1 ? "" : "s"}, ` +
+      `${data.goals.length} goal${data.goals.length === 1 ? "" : "s"} and ${data.favorites.length} favorite${data.favorites.length === 1 ? "" : "s"}.` +
+      (format === "goodreads" ? "\nGoodreads only has whole stars, so half-star ratings are rounded up." : ""),
+    files: buffers.map((f) => new AttachmentBuilder(f.data, { name: f.name })),
+  });
+}
+
+// ===== Tags =====
+
+async function handleTagCommand(interaction, subcommand) {
+  const userId = interaction.user.id;
+
+  if (subcommand === "list") {
+    return interaction.editReply({ embeds: [tagsEmbed(interaction.user.username, await getTags(userId))] });
+  }
+
+  if (subcommand === "add" || subcommand === "remove") {
+    const book = await findTrackedBook(userId, interaction.options.getString("book"));
+    if (!book) return interaction.editReply({ content: "❌ That book isn't in your tracker. Pick one from the suggestions." });
+
+    if (subcommand === "add") {
+      const { tag, created, error } = await getOrCreateTag(userId, interaction.options.getString("tag"));
+      if (!tag) return interaction.editReply({ content: `❌ ${error}` });
+
+      await tagBook(userId, book.book_id, tag.id);
+      return interaction.editReply({
+        content:
+          `🏷️ Tagged **${book.title}** with **${tag.name}**.` +
+          (created ? " New tag created — it's public, so others can browse it with `/shelf`. Use `/tracker tag visibility` to hide it." : ""),
+      });
+    }
+
+    const tag = await findTag(userId, interaction.options.getString("tag"));
+    if (!tag || !(await untagBook(userId, book.book_id, tag.id))) {
+      return interaction.editReply({ content: `❌ **${book.title}** isn't tagged with that.` });
+    }
+    return interaction.editReply({ content: `🏷️ Removed **${tag.name}** from **${book.title}**.` });
+  }
+
+  const tag = await findTag(userId, interaction.options.getString("tag"));
+  if (!tag) return interaction.editReply({ content: "❌ You don't have a tag by that name. See `/tracker tag list`." });
+
+  if (subcommand === "rename") {
+    const result = await renameTag(userId, tag.id, interaction.options.getString("name"));
+    if (!result.tag) return interaction.editReply({ content: `❌ ${result.error}` });
+    return interaction.editReply({ content: `✏️ Renamed **${tag.name}** to **${result.tag.name}**.` });
+  }
+
+  if (subcommand === "visibility") {
+    const isPublic = interaction.options.getBoolean("public");
+    await setTagVisibility(userId, tag.id, isPublic);
+    return interaction.editReply({
+      content: isPublic
+        ? `🏷️ **${tag.name}** is public — others can browse it with \`/shelf member:@you tag:${tag.name}\`.`
+        : `🔒 **${tag.name}** is private now.`,
+    });
+  }
+
+  if (subcommand === "delete") {
+    await deleteTag(userId, tag.id);
+    return interaction.editReply({
+      content: `🗑️ Deleted the tag **${tag.name}**. The books on it are still in your tracker.`,
+    });
+  }
+}
+
+async function handleTagSelect(interaction) {
+  await interaction.deferUpdate();
+  const bookId = interaction.customId.slice("trk_tags_".length);
+  const userId = interaction.user.id;
+
+  await setBookTags(userId, bookId, interaction.values.map((v) => parseInt(v, 10)));
+
+  const book = await getBookDetails(userId, bookId);
+  if (!book) return interaction.followUp({ content: "❌ Book not found.", flags: 1 << 6 });
+  await interaction.editReply(await renderDetail(userId, book));
+  return true;
+}
+
+async function handleNewTagModal(interaction) {
+  await interaction.showModal(newTagModal(interaction.customId.slice("trk_newtag_".length)));
+  return true;
+}
+
+async function handleNewTagSubmit(interaction) {
+  await interaction.deferUpdate();
+  const bookId = interaction.customId.slice("trk_newtag_submit_".length);
+  const userId = interaction.user.id;
+
+  const { tag, created, error } = await getOrCreateTag(userId, interaction.fields.getTextInputValue("name"));
+  if (!tag) return interaction.followUp({ content: `❌ ${error}`, flags: 1 << 6 });
+
+  const keepPrivate = /^(y|yes|true)$/i.test(interaction.fields.getTextInputValue("private").trim());
+  if (created && keepPrivate) await setTagVisibility(userId, tag.id, false);
+  await tagBook(userId, bookId, tag.id);
+
+  const book = await getBookDetails(userId, bookId);
+  if (book) await interaction.editReply(await renderDetail(userId, book));
   return true;
 }
 
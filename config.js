@@ -75,6 +75,30 @@ const config = {
     autoAddToTracker: process.env.GOODREADS_AUTO_ADD !== "false", // Default: true
     notificationChannelId: process.env.GOODREADS_NOTIFICATION_CHANNEL || "",
   },
+
+  bookclub: {
+    discussionChannelId: process.env.BOOKCLUB_DISCUSSION_CHANNEL || "",
+    threadAutoArchiveMinutes: parseInt(process.env.BOOKCLUB_THREAD_ARCHIVE_MINUTES || "10080", 10),
+    announcementChannelId: process.env.BOOKCLUB_ANNOUNCEMENT_CHANNEL || "",
+    voteTiebreak: process.env.BOOKCLUB_VOTE_TIEBREAK || "earliest", // earliest | latest | random
+    schedulerIntervalMinutes: parseInt(process.env.BOOKCLUB_SCHEDULER_INTERVAL || "1", 10),
+    timezone: process.env.BOOKCLUB_TIMEZONE || "UTC",
+    meetingDefaultTime: process.env.BOOKCLUB_MEETING_TIME || "19:00", // used when a date has no time
+    meetingDurationMinutes: parseInt(process.env.BOOKCLUB_MEETING_DURATION || "60", 10),
+    meetingChannelId: process.env.BOOKCLUB_MEETING_CHANNEL || "", // voice/stage channel; blank = external event
+    meetingLocation: process.env.BOOKCLUB_MEETING_LOCATION || "Book Club Discussion",
+    reminderLeadDays: (process.env.BOOKCLUB_REMINDER_DAYS || "7,1") // days before a meeting
+      .split(",")
+      .map((d) => parseFloat(d))
+      .filter((d) => d > 0),
+    reminderChannelId: process.env.BOOKCLUB_REMINDER_CHANNEL || "", // blank = remind by DM
+    maxOpenNominations: parseInt(process.env.BOOKCLUB_MAX_NOMINATIONS || "3", 10), // per member, 0 = no limit
+    nominationApproval: process.env.BOOKCLUB_NOMINATION_APPROVAL === "true", // moderators review nominations first
+    questionIntervalDays: parseFloat(process.env.BOOKCLUB_QUESTION_INTERVAL_DAYS || "7"), // days between discussion question posts
+    spoilerRoleId: process.env.BOOKCLUB_SPOILER_ROLE || "", // granted to members who finish the current pick
+    spoilerRolePage: parseInt(process.env.BOOKCLUB_SPOILER_PAGE || "0", 10), // 0 = only when completed
+    spoilerRoleCircle: process.env.BOOKCLUB_SPOILER_CIRCLE || "main", // circle whose pick the role follows
+  },
 };
 
 // ─────────────────────────────────────────────────────────────
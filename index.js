@@ -19,6 +19,7 @@ import { isEphemeral } from "./utils/commandVisibility.js";
 import { logger } from "./utils/logger.js";
 
 import { startGoodreadsScheduler } from "./utils/goodreadsScheduler.js";
+import { startClubScheduler } from "./utils/clubScheduler.js";
 
 const config = getConfig();
 const __filename = fileURLToPath(import.meta.url);
@@ -125,8 +126,17 @@ client.on(Events.InteractionCreate, async (interaction) => {
       return await command.execute(interaction);
     }
 
+    // Autocomplete
+    if (interaction.isAutocomplete()) {
+      const command = client.commands.get(interaction.commandName);
+      if (typeof command?.autocomplete === "function") {
+        await command.autocomplete(interaction);
+      }
+      return;
+    }
+
     // Buttons / selects
-    if (interaction.isButton() || interaction.isStringSelectMenu()) {
+    if (interaction.isButton() || interaction.isAnySelectMenu()) {
       for (const [, mod] of client.commands) {
         if (typeof mod.handleComponent === "function") {
           const handled = await mod.handleComponent(interaction);
@@ -184,6 +194,7 @@ client.once(Events.ClientReady, async () => {
   await initDB();
 
   startGoodreadsScheduler(client);
+  startClubScheduler(client);
   logger.info("🚀 Bot fully initialized and ready");
 });
 
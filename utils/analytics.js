@@ -1,6 +1,7 @@
 // utils/analytics.js — Optimized for PostgreSQL
 // ✅ Uses bc_reading_history table
 // ✅ Efficient stats calculation
+// ✅ Reading speed from timed /read sessions
 
 import { query } from "./db.js";
 import { logger } from "./logger.js";
@@ -18,12 +19,12 @@ function shortDate(iso) {
 // ---------------------------------------------------------------------------
 // 📘 appendReadingLog
 // ---------------------------------------------------------------------------
-export async function appendReadingLog(userId, bookId, pagesRead) {
+export async function appendReadingLog(userId, bookId, pagesRead, { startPage = null, endPage = null, durationSeconds = null } = {}) {
   try {
     await query(`
-      INSERT INTO bc_reading_history (user_id, book_id, pages_read, timestamp)
-      VALUES ($1, $2, $3, NOW())
-    `, [userId, bookId, pagesRead]);
+      INSERT INTO bc_reading_history (user_id, book_id, pages_read, start_page, end_page, duration_seconds, timestamp)
+      VALUES ($1, $2, $3, $4, $5, $6, NOW())
+    `, [userId, bookId, pagesRead, startPage, endPage, durationSeconds]);
 
     logger.debug(`[analytics] Logged ${pagesRead} pages for ${userId}/${bookId}`);
   } catch (err) {
@@ -52,6 +53,9 @@ export async function getUserLogs(userId, bookId = null) {
     return res.rows.map(row => ({
       bookId: row.book_id,
       pagesRead: row.pages_read,
+      startPage: row.start_page,
+      endPage: row.end_page,
+      durationSeconds: row.duration_seconds,
       timestamp: row.timestamp,
       at: row.timestamp // compatibility
     }));
@@ -102,6 +106,100 @@ export function calcBookStats(logs) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// ⏱️ getReadingSpeed
+// ---------------------------------------------------------------------------
+/**
+ * Pages per hour across timed sessions, for one book or all of a member's books.
+ * Returns { pagesPerHour, sessions, seconds } or null when nothing has been timed.
+ */
+export async function getReadingSpeed(userId, bookId = null) {
+  try {
+    let sql = `
+      SELECT COUNT(*) AS sessions, SUM(pages_read) AS pages, SUM(duration_seconds) AS seconds
+      FROM bc_reading_history
+      WHERE user_id = $1 AND duration_seconds > 0 AND pages_read > 0
+    `;
+    const params = [userId];
+
+    if (bookId) {
+      sql += ` AND book_id = $2`;
+      params.push(bookId);
+    }
+
+    return speedFromRow((await query(sql, params)).rows[0]);
+  } catch (err) {
+    logger.error("[analytics.getReadingSpeed]", err);
+    return null;
+  }
+}
+
+function speedFromRow(row) {
+  const seconds = Number(row?.seconds || 0);
+  if (!seconds) return null;
+
+  return {
+    pagesPerHour: (Number(row.pages) / seconds) * 3600,
+    sessions: parseInt(row.sessions),
+    seconds,
+  };
+}
+
+/**
+ * Minutes needed to read the remaining pages at the given speed, or null.
+ */
+export function estimateMinutesLeft(speed, currentPage, totalPages) {
+  if (!speed?.pagesPerHour || !totalPages) return null;
+  const pagesLeft = Math.max(0, totalPages - currentPage);
+  return Math.round((pagesLeft / speed.pagesPerHour) * 60);
+}
+
+/**
+ * Speed for the book, falling back to the member's speed across all books
+ * (flagged `overall`). Returns { speed, minutesLeft }.
+ */
+export async function getSpeedEstimate(userId, bookId, currentPage, totalPages) {
+  let speed = await getReadingSpeed(userId, bookId);
+  if (!speed) {
+    const overall = await getReadingSpeed(userId);
+    speed = overall ? { ...overall, overall: true } : null;
+  }
+  return { speed, minutesLeft: estimateMinutesLeft(speed, currentPage, totalPages) };
+}
+
+/**
+ * getSpeedEstimate for several books in one query (per-book speeds plus the
+ * overall fallback via ROLLUP).
+ * @param {Array<{ bookId: string, currentPage: number, totalPages: number }>} books
+ * @returns {Map<string, { speed, minutesLeft }>} keyed by bookId
+ */
+export async function getSpeedEstimates(userId, books) {
+  const speeds = new Map();
+  let overall = null;
+
+  try {
+    const res = await query(`
+      SELECT book_id, GROUPING(book_id) AS is_total,
+        COUNT(*) AS sessions, SUM(pages_read) AS pages, SUM(duration_seconds) AS seconds
+      FROM bc_reading_history
+      WHERE user_id = $1 AND duration_seconds > 0 AND pages_read > 0
+      GROUP BY ROLLUP(book_id)
+    `, [userId]);
+
+    for (const row of res.rows) {
+      if (Number(row.is_total)) overall = speedFromRow(row);
+      else speeds.set(row.book_id, speedFromRow(row));
+    }
+  } catch (err) {
+    logger.error("[analytics.getSpeedEstimates]", err);
+  }
+
+  return new Map(books.map(({ bookId, currentPage, totalPages }) => {
+    const speed = speeds.get(bookId) || (overall ? { ...overall, overall: true } : null);
+    return [bookId, { speed, minutesLeft: estimateMinutesLeft(speed, currentPage, totalPages) }];
+  }));
+}
+
 // ---------------------------------------------------------------------------
 // 📒 calcBookStatsSimple
 // ---------------------------------------------------------------------------
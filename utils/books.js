@@ -0,0 +1,34 @@
+// utils/books.js — Shared Book Records
+// ✅ Saves a search result (utils/search.js) into bc_books
+// ✅ Keeps the best-known cover and page count when a book is saved again
+
+import { query } from "./db.js";
+
+/**
+ * Upsert a book returned by hybridSearch/hybridSearchMany.
+ * @param {{ id: string, title: string, authors?: string[], pageCount?: number }} book
+ */
+export async function saveSearchBook(book) {
+  const isbn =
+    book.industryIdentifiers?.find((id) => id.type === "ISBN_13")?.identifier ||
+    book.industryIdentifiers?.find((id) => id.type === "ISBN_10")?.identifier ||
+    null;
+
+  await query(`
+    INSERT INTO bc_books (book_id, title, author, description, thumbnail, preview_link, page_count, published_date, isbn)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (book_id) DO UPDATE
+    SET thumbnail = COALESCE(EXCLUDED.thumbnail, bc_books.thumbnail),
+        page_count = COALESCE(EXCLUDED.page_count, bc_books.page_count)
+  `, [
+    book.id,
+    book.title,
+    book.authors?.[0] || "Unknown",
+    book.description || null,
+    book.thumbnail,
+    book.previewLink,
+    book.pageCount,
+    book.publishedDate || null,
+    isbn,
+  ]);
+}
@@ -0,0 +1,271 @@
+// utils/buddyReads.js — Member Buddy Reads
+// ✅ Informal read-alongs of any book, started by a member (not the club pick)
+// ✅ Participants join from a button; progress comes straight from bc_reading_logs
+// ✅ Ends automatically once every participant has the book marked completed
+// ✅ Ending posts in the private thread, archives it and closes the join card
+
+import { query, withTransaction } from "./db.js";
+import { logger } from "./logger.js";
+import { buddyReadEmbed, buddyReadComponents } from "../views/buddyread.js";
+
+const BUDDY_READ_SELECT = `
+  SELECT br.*, b.title, b.author, b.thumbnail, b.preview_link, b.page_count,
+    ARRAY(
+      SELECT m.user_id FROM bc_buddy_read_members m
+      WHERE m.buddy_read_id = br.id
+      ORDER BY m.joined_at ASC
+    ) AS members
+  FROM bc_buddy_reads br
+  JOIN bc_books b ON b.book_id = br.book_id
+`;
+
+function mapBuddyRead(row) {
+  return {
+    id: row.id,
+    bookId: row.book_id,
+    title: row.title,
+    author: row.author || "Unknown",
+    thumbnail: row.thumbnail,
+    previewLink: row.preview_link,
+    pageCount: row.page_count,
+    startedBy: row.started_by,
+    channelId: row.channel_id,
+    messageId: row.message_id,
+    threadId: row.thread_id,
+    createdAt: row.created_at,
+    endedAt: row.ended_at,
+    members: row.members || [],
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+//   READS
+// ─────────────────────────────────────────────────────────────
+
+export async function getBuddyRead(id) {
+  const res = await query(`${BUDDY_READ_SELECT} WHERE br.id = $1`, [id]);
+  return res.rows[0] ? mapBuddyRead(res.rows[0]) : null;
+}
+
+/**
+ * Active buddy reads the member takes part in, newest first.
+ */
+export async function getMemberBuddyReads(userId) {
+  const res = await query(`
+    ${BUDDY_READ_SELECT}
+    WHERE br.ended_at IS NULL
+      AND EXISTS (SELECT 1 FROM bc_buddy_read_members m WHERE m.buddy_read_id = br.id AND m.user_id = $1)
+    ORDER BY br.created_at DESC
+  `, [userId]);
+  return res.rows.map(mapBuddyRead);
+}
+
+export async function getActiveBuddyReads(limit = 10) {
+  const res = await query(`
+    ${BUDDY_READ_SELECT}
+    WHERE br.ended_at IS NULL
+    ORDER BY br.created_at DESC
+    LIMIT $1
+  `, [limit]);
+  return res.rows.map(mapBuddyRead);
+}
+
+/**
+ * Buddy reads the member started (active and finished), for their profile.
+ */
+export async function getStartedBuddyReads(userId, limit = 3) {
+  const res = await query(`
+    ${BUDDY_READ_SELECT}
+    WHERE br.started_by = $1
+    ORDER BY br.ended_at IS NULL DESC, br.created_at DESC
+    LIMIT $2
+  `, [userId, limit]);
+
+  const countRes = await query(`SELECT COUNT(*) FROM bc_buddy_reads WHERE started_by = $1`, [userId]);
+  return { reads: res.rows.map(mapBuddyRead), total: parseInt(countRes.rows[0].count) };
+}
+
+export async function createBuddyRead({ bookId, startedBy, channelId }) {
+  const id = await withTransaction(async (db) => {
+    const res = await db.query(
+      `INSERT INTO bc_buddy_reads (book_id, started_by, channel_id) VALUES ($1, $2, $3) RETURNING id`,
+      [bookId, startedBy, channelId]
+    );
+    await db.query(
+      `INSERT INTO bc_buddy_read_members (buddy_read_id, user_id) VALUES ($1, $2)`,
+      [res.rows[0].id, startedBy]
+    );
+    return res.rows[0].id;
+  });
+
+  logger.info("Buddy read started", { id, bookId, startedBy });
+  return getBuddyRead(id);
+}
+
+export async function deleteBuddyRead(id) {
+  await query(`DELETE FROM bc_buddy_reads WHERE id = $1`, [id]);
+}
+
+export async function setBuddyReadMessage(id, { messageId = null, threadId = null }) {
+  await query(
+    `UPDATE bc_buddy_reads SET message_id = COALESCE($1, message_id), thread_id = COALESCE($2, thread_id) WHERE id = $3`,
+    [messageId, threadId, id]
+  );
+}
+
+/**
+ * Add a member to an active buddy read. Returns false if they were already in it
+ * or the read has ended.
+ */
+export async function joinBuddyRead(id, userId) {
+  const res = await query(`
+    INSERT INTO bc_buddy_read_members (buddy_read_id, user_id)
+    SELECT id, $2 FROM bc_buddy_reads WHERE id = $1 AND ended_at IS NULL
+    ON CONFLICT DO NOTHING
+  `, [id, userId]);
+  return res.rowCount > 0;
+}
+
+export async function leaveBuddyRead(id, userId) {
+  const res = await query(
+    `DELETE FROM bc_buddy_read_members WHERE buddy_read_id = $1 AND user_id = $2`,
+    [id, userId]
+  );
+  return res.rowCount > 0;
+}
+
+/**
+ * Make sure a participant has the book on their tracker so the board can follow them.
+ * Existing entries (including finished ones) are left alone.
+ */
+export async function ensureTrackerEntry(user, read) {
+  await query(
+    `INSERT INTO bc_users (user_id, username) VALUES ($1, $2) ON CONFLICT (user_id) DO NOTHING`,
+    [user.id, user.username]
+  );
+  await query(`
+    INSERT INTO bc_reading_logs (user_id, book_id, status, total_pages, started_at, updated_at)
+    VALUES ($1, $2, 'reading', $3, NOW(), NOW())
+    ON CONFLICT (user_id, book_id) DO NOTHING
+  `, [user.id, read.bookId, read.pageCount || 0]);
+}
+
+// ─────────────────────────────────────────────────────────────
+//   PROGRESS
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Each participant's tracker entry for the book, furthest along first.
+ * Returns [{ userId, tracking, status, currentPage, totalPages, percent }].
+ */
+export async function getBuddyReadBoard(read) {
+  const res = await query(`
+    SELECT m.user_id, rl.status, rl.current_page, rl.total_pages
+    FROM bc_buddy_read_members m
+    LEFT JOIN bc_reading_logs rl ON rl.user_id = m.user_id AND rl.book_id = $2
+    WHERE m.buddy_read_id = $1
+    ORDER BY m.joined_at ASC
+  `, [read.id, read.bookId]);
+
+  return res.rows
+    .map((r) => {
+      const totalPages = Number(r.total_pages) || read.pageCount || 0;
+      const currentPage = Number(r.current_page) || 0;
+      const percent =
+        r.status === "completed"
+          ? 100
+          : totalPages
+            ? Math.min(100, Math.round((currentPage / totalPages) * 100))
+            : 0;
+
+      return { userId: r.user_id, tracking: Boolean(r.status), status: r.status, currentPage, totalPages, percent };
+    })
+    .sort((a, b) => b.percent - a.percent);
+}
+
+// ─────────────────────────────────────────────────────────────
+//   ENDING
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Re-render the public join card (participants, ended state).
+ */
+export async function refreshBuddyReadCard(client, read) {
+  if (!read.channelId || !read.messageId) return;
+
+  try {
+    const channel = await client.channels.fetch(read.channelId);
+    const message = await channel.messages.fetch(read.messageId);
+    await message.edit({ embeds: [buddyReadEmbed(read)], components: buddyReadComponents(read) });
+  } catch (err) {
+    logger.warn("Failed to update buddy read card", { id: read.id, error: err.message });
+  }
+}
+
+async function closeBuddyRead(client, read, reason) {
+  if (read.threadId) {
+    try {
+      const thread = await client.channels.fetch(read.threadId);
+      if (reason === "finished") {
+        await thread.send(
+          `🎉 Everyone has finished **${read.title}**! Thanks for reading together — this thread is now closed.`
+        );
+      }
+      await thread.setLocked(true, "Buddy read ended");
+      await thread.setArchived(true, "Buddy read ended");
+    } catch (err) {
+      logger.warn("Failed to close buddy read thread", { id: read.id, threadId: read.threadId, error: err.message });
+    }
+  }
+
+  await refreshBuddyReadCard(client, read);
+}
+
+/**
+ * End the buddy read if it is finished (every participant completed the book)
+ * or abandoned (nobody left). Only the first caller to claim it does the cleanup.
+ * Returns true if it ended.
+ */
+export async function endBuddyReadIfDone(client, id) {
+  const res = await query(`
+    UPDATE bc_buddy_reads br SET ended_at = NOW()
+    WHERE br.id = $1 AND br.ended_at IS NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM bc_buddy_read_members m
+        LEFT JOIN bc_reading_logs rl ON rl.user_id = m.user_id AND rl.book_id = br.book_id
+        WHERE m.buddy_read_id = br.id AND rl.status IS DISTINCT FROM 'completed'
+      )
+    RETURNING id
+  `, [id]);
+  if (!res.rowCount) return false;
+
+  const read = await getBuddyRead(id);
+  const reason = read.members.length ? "finished" : "abandoned";
+  logger.info("Buddy read ended", { id, reason, members: read.members.length });
+
+  await closeBuddyRead(client, read, reason);
+  return true;
+}
+
+/**
+ * Called whenever a member's tracker entry becomes completed.
+ * Returns the number of buddy reads that ended as a result.
+ */
+export async function checkBuddyReadCompletion(client, userId, bookId) {
+  const res = await query(`
+    SELECT br.id
+    FROM bc_buddy_reads br
+    JOIN bc_buddy_read_members m ON m.buddy_read_id = br.id
+    WHERE br.book_id = $1 AND m.user_id = $2 AND br.ended_at IS NULL
+  `, [bookId, userId]);
+
+  let ended = 0;
+  for (const row of res.rows) {
+    try {
+      if (await endBuddyReadIfDone(client, row.id)) ended++;
+    } catch (err) {
+      logger.error("Failed to check buddy read completion", { id: row.id, error: err.message });
+    }
+  }
+  return ended;
+}
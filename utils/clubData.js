@@ -0,0 +1,812 @@
+// utils/clubData.js — Shared Book Club State
+// ✅ Relational storage: nominations, votes, picks, vote rounds, ballots
+// ✅ Named reading circles, each with its own members, picks and admin role
+// ✅ Unique constraints + transactions so concurrent votes never clobber each other
+// ✅ Discussion thread lifecycle for club picks
+// ✅ Pick promotion shared by /bookclub select and timed vote rounds (also resets the spoiler role)
+// ✅ Closes timed vote rounds and announces the winner
+// ✅ Upcoming meetings for the reminder scheduler
+// ✅ Nomination approval queue, edits and withdrawals
+// ✅ Nomination lists scoped to the circle's themed round (utils/nominationRounds.js)
+
+import { ChannelType } from "discord.js";
+import { config } from "../config.js";
+import { query, withTransaction } from "./db.js";
+import { logger } from "./logger.js";
+import { instantRunoff } from "./rankedChoice.js";
+import { resetSpoilerRole } from "./spoilerRole.js";
+import { voteResultEmbed } from "../views/bookclub.js";
+
+export const DEFAULT_CIRCLE = "main";
+
+// ─────────────────────────────────────────────────────────────
+//   ROW MAPPERS
+// ─────────────────────────────────────────────────────────────
+
+function mapCircle(row) {
+  return {
+    id: row.circle_id,
+    name: row.name,
+    adminRoleId: row.admin_role_id,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    memberCount: row.member_count !== undefined ? parseInt(row.member_count) : null,
+  };
+}
+
+function mapNomination(row) {
+  return {
+    id: row.id,
+    circleId: row.circle_id,
+    bookId: row.book_id,
+    title: row.title,
+    author: row.author,
+    reason: row.reason,
+    nominatedBy: row.nominated_by,
+    nominatedAt: row.nominated_at,
+    status: row.status,
+    roundId: row.round_id,
+    thumbnail: row.thumbnail || null,
+    pageCount: row.page_count || null,
+    votes: row.votes || [],
+  };
+}
+
+function mapPick(row) {
+  return {
+    id: row.id,
+    circleId: row.circle_id,
+    bookId: row.book_id,
+    title: row.title,
+    author: row.author,
+    reason: row.reason,
+    nominatedBy: row.nominated_by,
+    nominatedAt: row.nominated_at,
+    selectedAt: row.selected_at,
+    completedAt: row.completed_at,
+    discussionDate: row.discussion_date,
+    discussionAt: row.discussion_at,
+    eventId: row.event_id,
+    schedule: row.schedule,
+    threadId: row.thread_id,
+    thumbnail: row.thumbnail || null,
+    pageCount: row.page_count || null,
+  };
+}
+
+function mapRound(row, rankRows = []) {
+  const ballots = {};
+  for (const r of rankRows) {
+    if (!ballots[r.user_id]) ballots[r.user_id] = Array(row.ranks || 0).fill(null);
+    ballots[r.user_id][r.rank] = r.nomination_id;
+  }
+
+  return {
+    id: row.id,
+    circleId: row.circle_id,
+    mode: row.mode,
+    ranks: row.ranks,
+    openedAt: row.opened_at,
+    openedBy: row.opened_by,
+    closesAt: row.closes_at,
+    tiebreak: row.tiebreak,
+    channelId: row.channel_id,
+    ballots,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+//   CIRCLES
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Derived table of a circle's member user_ids, for joins. The main club has no
+ * sign-up of its own: everyone using the bot is in it. `param` is the index of
+ * the circle id placeholder.
+ */
+export function circleMembersSql(param) {
+  return `(
+    SELECT user_id FROM bc_users WHERE $${param} = '${DEFAULT_CIRCLE}'
+    UNION
+    SELECT user_id FROM bc_club_circle_members WHERE circle_id = $${param}
+  )`;
+}
+
+const CIRCLE_SELECT = `
+  SELECT c.*, (
+    SELECT COUNT(*) FROM (
+      SELECT user_id FROM bc_users WHERE c.circle_id = '${DEFAULT_CIRCLE}'
+      UNION
+      SELECT user_id FROM bc_club_circle_members m WHERE m.circle_id = c.circle_id
+    ) members
+  ) AS member_count
+  FROM bc_club_circles c
+`;
+
+export function circleSlug(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 50);
+}
+
+export async function getCircles() {
+  const res = await query(`${CIRCLE_SELECT} ORDER BY c.created_at ASC`);
+  return res.rows.map(mapCircle);
+}
+
+/**
+ * Look a circle up by slug or display name.
+ */
+export async function getCircle(idOrName = DEFAULT_CIRCLE) {
+  const res = await query(
+    `${CIRCLE_SELECT} WHERE c.circle_id = $1 OR LOWER(c.name) = LOWER($2) LIMIT 1`,
+    [circleSlug(idOrName), idOrName]
+  );
+  return res.rows[0] ? mapCircle(res.rows[0]) : null;
+}
+
+/**
+ * Create a circle. Returns null when the name is already taken.
+ */
+export async function createCircle({ name, adminRoleId = null, createdBy }) {
+  const res = await query(`
+    INSERT INTO bc_club_circles (circle_id, name, admin_role_id, created_by)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT DO NOTHING
+    RETURNING *
+  `, [circleSlug(name), name, adminRoleId, createdBy]);
+
+  if (!res.rows[0]) return null;
+  await joinCircle(res.rows[0].circle_id, createdBy);
+  return mapCircle({ ...res.rows[0], member_count: 1 });
+}
+
+export async function setCircleAdminRole(circleId, roleId) {
+  await query(`UPDATE bc_club_circles SET admin_role_id = $1 WHERE circle_id = $2`, [roleId, circleId]);
+}
+
+/**
+ * Add a member to a circle. Returns true if they weren't a member yet.
+ */
+export async function joinCircle(circleId, userId) {
+  const res = await query(`
+    INSERT INTO bc_club_circle_members (circle_id, user_id)
+    VALUES ($1, $2)
+    ON CONFLICT DO NOTHING
+  `, [circleId, userId]);
+  return res.rowCount > 0;
+}
+
+export async function leaveCircle(circleId, userId) {
+  const res = await query(
+    `DELETE FROM bc_club_circle_members WHERE circle_id = $1 AND user_id = $2`,
+    [circleId, userId]
+  );
+  return res.rowCount > 0;
+}
+
+export async function getCircleMembers(circleId) {
+  const res = await query(`
+    SELECT user_id, MIN(joined_at) AS joined_at
+    FROM (
+      SELECT user_id, joined_at FROM bc_users WHERE $1 = '${DEFAULT_CIRCLE}'
+      UNION ALL
+      SELECT user_id, joined_at FROM bc_club_circle_members WHERE circle_id = $1
+    ) members
+    GROUP BY user_id
+    ORDER BY joined_at ASC
+  `, [circleId]);
+  return res.rows.map((r) => ({ userId: r.user_id, joinedAt: r.joined_at }));
+}
+
+// ─────────────────────────────────────────────────────────────
+//   NOMINATIONS & VOTES
+// ─────────────────────────────────────────────────────────────
+
+const NOMINATION_SELECT = `
+  SELECT n.*, b.thumbnail, b.page_count,
+    COALESCE(array_agg(v.user_id ORDER BY v.voted_at) FILTER (WHERE v.user_id IS NOT NULL), '{}') AS votes
+  FROM bc_club_nominations n
+  LEFT JOIN bc_books b ON b.book_id = n.book_id
+  LEFT JOIN bc_club_votes v ON v.nomination_id = n.id
+`;
+
+// While a themed round is open, only its nominations are in play
+const IN_ACTIVE_ROUND = `
+  NOT EXISTS (
+    SELECT 1 FROM bc_club_nomination_rounds r
+    WHERE r.circle_id = n.circle_id AND r.closed_at IS NULL AND r.id IS DISTINCT FROM n.round_id
+  )
+`;
+
+const PICK_SELECT = `
+  SELECT p.*, b.thumbnail, b.page_count
+  FROM bc_club_picks p
+  LEFT JOIN bc_books b ON b.book_id = p.book_id
+`;
+
+// Only approved nominations can be voted on; pending ones wait in the review queue
+export async function getNominations(circleId, status = "approved") {
+  const res = await query(`
+    ${NOMINATION_SELECT}
+    WHERE n.circle_id = $1 AND n.status = $2 AND ${IN_ACTIVE_ROUND}
+    GROUP BY n.id, b.book_id
+    ORDER BY n.nominated_at ASC
+  `, [circleId, status]);
+  return res.rows.map(mapNomination);
+}
+
+/**
+ * A member's open nominations in a circle, pending or approved.
+ */
+export async function getMemberNominations(circleId, userId) {
+  const res = await query(`
+    ${NOMINATION_SELECT}
+    WHERE n.circle_id = $1 AND n.nominated_by = $2
+    GROUP BY n.id, b.book_id
+    ORDER BY n.nominated_at ASC
+  `, [circleId, userId]);
+  return res.rows.map(mapNomination);
+}
+
+export async function getNomination(nominationId) {
+  const res = await query(`
+    ${NOMINATION_SELECT}
+    WHERE n.id = $1
+    GROUP BY n.id, b.book_id
+  `, [nominationId]);
+  return res.rows[0] ? mapNomination(res.rows[0]) : null;
+}
+
+/**
+ * Insert a nomination. Returns null when the same edition or title/author
+ * is already nominated in the circle.
+ */
+export async function addNomination({ circleId, bookId = null, title, author, reason, nominatedBy, status = "approved", roundId = null }) {
+  const id = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const res = await query(`
+    INSERT INTO bc_club_nominations (id, circle_id, book_id, title, author, reason, nominated_by, status, round_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT DO NOTHING
+    RETURNING *
+  `, [id, circleId, bookId, title, author, reason, nominatedBy, status, roundId]);
+
+  return res.rows[0] ? mapNomination(res.rows[0]) : null;
+}
+
+/**
+ * Change a nomination's edition and/or reason. Pass bookId: null to drop the edition
+ * (a title/author-only nomination). Returns null when the new edition or title/author
+ * is already nominated in the circle.
+ */
+export async function updateNomination(nominationId, { bookId, title, author, reason, status }) {
+  try {
+    const res = await query(`
+      UPDATE bc_club_nominations
+      SET book_id = CASE WHEN $7 THEN $2 ELSE book_id END,
+          title = COALESCE($3, title),
+          author = COALESCE($4, author),
+          reason = COALESCE($5, reason),
+          status = COALESCE($6, status)
+      WHERE id = $1
+      RETURNING *
+    `, [nominationId, bookId ?? null, title ?? null, author ?? null, reason ?? null, status ?? null, bookId !== undefined]);
+    return res.rows[0] ? mapNomination(res.rows[0]) : null;
+  } catch (err) {
+    // Unique edition / title+author index within the circle
+    if (err.code === "23505") return null;
+    throw err;
+  }
+}
+
+/**
+ * Remove a nomination (votes and ballot ranks cascade). Returns true if it existed.
+ */
+export async function withdrawNomination(nominationId) {
+  const res = await query(`DELETE FROM bc_club_nominations WHERE id = $1`, [nominationId]);
+  return res.rowCount > 0;
+}
+
+/**
+ * Approve a pending nomination. Returns null if it was already reviewed or withdrawn.
+ */
+export async function approveNomination(nominationId, reviewerId) {
+  const res = await query(`
+    UPDATE bc_club_nominations
+    SET status = 'approved', reviewed_by = $2, reviewed_at = NOW()
+    WHERE id = $1 AND status = 'pending'
+    RETURNING *
+  `, [nominationId, reviewerId]);
+  return res.rows[0] ? mapNomination(res.rows[0]) : null;
+}
+
+/**
+ * Reject a pending nomination. It's deleted so the book can be nominated again later.
+ * Returns the rejected nomination, or null if it was already reviewed or withdrawn.
+ */
+export async function rejectNomination(nominationId) {
+  const res = await query(
+    `DELETE FROM bc_club_nominations WHERE id = $1 AND status = 'pending' RETURNING *`,
+    [nominationId]
+  );
+  return res.rows[0] ? mapNomination(res.rows[0]) : null;
+}
+
+/**
+ * Add or remove a member's vote. Returns { voted, count } after the change.
+ */
+export async function toggleVote(nominationId, userId) {
+  return withTransaction(async (db) => {
+    const removed = await db.query(
+      `DELETE FROM bc_club_votes WHERE nomination_id = $1 AND user_id = $2`,
+      [nominationId, userId]
+    );
+
+    if (!removed.rowCount) {
+      await db.query(
+        `INSERT INTO bc_club_votes (nomination_id, user_id) VALUES ($1, $2)
+         ON CONFLICT DO NOTHING`,
+        [nominationId, userId]
+      );
+    }
+
+    const countRes = await db.query(
+      `SELECT COUNT(*) FROM bc_club_votes WHERE nomination_id = $1`,
+      [nominationId]
+    );
+
+    return { voted: !removed.rowCount, count: parseInt(countRes.rows[0].count) };
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+//   PICKS
+// ─────────────────────────────────────────────────────────────
+
+// Picks nominated from search carry an exact edition; older picks only have title/author
+export function pickBookFilter(pick, offset = 0) {
+  if (pick.bookId) {
+    return { sql: `rl.book_id = $${offset + 1}`, params: [pick.bookId] };
+  }
+  return {
+    sql: `LOWER(b.title) = LOWER($${offset + 1}) AND LOWER(b.author) = LOWER($${offset + 2})`,
+    params: [pick.title, pick.author],
+  };
+}
+
+export async function getCurrentPick(circleId) {
+  const res = await query(`${PICK_SELECT} WHERE p.circle_id = $1 AND p.completed_at IS NULL`, [circleId]);
+  return res.rows[0] ? mapPick(res.rows[0]) : null;
+}
+
+export async function getPick(pickId) {
+  const res = await query(`${PICK_SELECT} WHERE p.id = $1`, [pickId]);
+  return res.rows[0] ? mapPick(res.rows[0]) : null;
+}
+
+export async function getPickHistory(circleId) {
+  const res = await query(`
+    ${PICK_SELECT}
+    WHERE p.circle_id = $1 AND p.completed_at IS NOT NULL
+    ORDER BY p.selected_at DESC
+  `, [circleId]);
+  return res.rows.map(mapPick);
+}
+
+export async function getClubCounts(circleId) {
+  const res = await query(`
+    SELECT
+      (SELECT COUNT(*) FROM bc_club_nominations WHERE circle_id = $1 AND status = 'approved') AS nominations,
+      (SELECT COUNT(*) FROM bc_club_picks WHERE circle_id = $1 AND completed_at IS NOT NULL) AS past_picks
+  `, [circleId]);
+  return {
+    nominations: parseInt(res.rows[0].nominations),
+    pastPicks: parseInt(res.rows[0].past_picks),
+  };
+}
+
+// Current picks whose meeting hasn't happened yet
+export async function getUpcomingMeetings() {
+  const res = await query(`
+    ${PICK_SELECT}
+    WHERE p.completed_at IS NULL AND p.discussion_at > NOW()
+    ORDER BY p.discussion_at ASC
+  `);
+  return res.rows.map(mapPick);
+}
+
+export async function setPickThread(pickId, threadId) {
+  await query(`UPDATE bc_club_picks SET thread_id = $1 WHERE id = $2`, [threadId, pickId]);
+}
+
+// ─────────────────────────────────────────────────────────────
+//   DISCUSSION THREADS
+// ─────────────────────────────────────────────────────────────
+
+async function fetchDiscussionThread(client, threadId) {
+  if (!threadId) return null;
+  try {
+    return await client.channels.fetch(threadId);
+  } catch (err) {
+    // Thread was deleted or the bot lost access — a new one will be created
+    logger.warn("Discussion thread not found", { threadId, error: err.message });
+    return null;
+  }
+}
+
+/**
+ * The pick's discussion thread, reopened or created in the configured channel.
+ * Returns { thread, error } — error says why there's no thread, e.g.
+ * "no discussion channel is configured".
+ */
+export async function getOrCreateDiscussionThread(client, pick, circle = null) {
+  const existing = await fetchDiscussionThread(client, pick.threadId);
+  if (existing) {
+    if (existing.archived) await existing.setArchived(false, "Book club discussion reopened");
+    return { thread: existing, error: null };
+  }
+
+  const channelId = config.bookclub.discussionChannelId;
+  if (!channelId) return { thread: null, error: "no discussion channel is configured" };
+
+  let channel;
+  try {
+    channel = await client.channels.fetch(channelId);
+  } catch (err) {
+    logger.warn("Discussion channel not found", { channelId, error: err.message });
+    return { thread: null, error: "the discussion channel doesn't exist or the bot can't see it" };
+  }
+  if (!channel?.threads) {
+    logger.warn("Discussion channel cannot hold threads", { channelId });
+    return { thread: null, error: `<#${channelId}> can't hold threads — it needs to be a text or forum channel` };
+  }
+
+  const options = {
+    name: `📚 ${circle && circle.id !== DEFAULT_CIRCLE ? `[${circle.name}] ` : ""}${pick.title} — ${pick.author}`.slice(0, 100),
+    autoArchiveDuration: config.bookclub.threadAutoArchiveMinutes,
+    reason: "Book club discussion thread",
+  };
+
+  // Forum channels require a starter message for every post
+  if (channel.type === ChannelType.GuildForum) {
+    options.message = {
+      content: `Discussion for **${pick.title}** by ${pick.author}. Mind the spoilers! 📖`,
+    };
+  }
+
+  try {
+    return { thread: await channel.threads.create(options), error: null };
+  } catch (err) {
+    logger.warn("Failed to create discussion thread", { channelId, error: err.message });
+    return { thread: null, error: `the bot isn't allowed to create threads in <#${channelId}>` };
+  }
+}
+
+async function archiveDiscussionThread(client, pick) {
+  const thread = await fetchDiscussionThread(client, pick?.threadId);
+  if (!thread || thread.archived) return;
+
+  try {
+    await thread.setArchived(true, "Book club pick moved to history");
+  } catch (err) {
+    logger.warn("Failed to archive discussion thread", {
+      threadId: pick.threadId,
+      error: err.message,
+    });
+  }
+}
+
+// A pick leaving the current slot takes its server event with it, so the event
+// doesn't stay listed after RSVPs have closed
+async function cancelMeetingEvent(client, pick) {
+  if (!pick?.eventId) return;
+
+  try {
+    const guild = await client.guilds.fetch(config.discord.guildId);
+    await guild.scheduledEvents.delete(pick.eventId);
+  } catch (err) {
+    // Already deleted by hand, or missing Manage Events
+    logger.warn("Failed to delete meeting event", { pickId: pick.id, eventId: pick.eventId, error: err.message });
+  }
+  await query(`UPDATE bc_club_picks SET event_id = NULL WHERE id = $1`, [pick.id]);
+}
+
+// ─────────────────────────────────────────────────────────────
+//   PROMOTE NOMINATION → CURRENT PICK
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Move the circle's current pick into history and make the nomination the new pick.
+ * Runs inside `db` when given (so callers can fold it into their own transaction);
+ * those callers run finishPromotion() themselves once it commits.
+ * Returns { pick, previous } or null if the nomination no longer exists.
+ */
+export async function promoteNomination(client, nominationId, { discussionDate = null, schedule = null } = {}, db = null) {
+  const promote = async (tx) => {
+    const nomRes = await tx.query(
+      `SELECT * FROM bc_club_nominations WHERE id = $1 FOR UPDATE`,
+      [nominationId]
+    );
+    const nomination = nomRes.rows[0];
+    if (!nomination) return null;
+
+    const previousRes = await tx.query(
+      `UPDATE bc_club_picks SET completed_at = NOW()
+       WHERE circle_id = $1 AND completed_at IS NULL
+       RETURNING *`,
+      [nomination.circle_id]
+    );
+
+    const pickRes = await tx.query(
+      `INSERT INTO bc_club_picks
+         (id, circle_id, book_id, title, author, reason, nominated_by, nominated_at, discussion_date, schedule)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        nomination.id,
+        nomination.circle_id,
+        nomination.book_id,
+        nomination.title,
+        nomination.author,
+        nomination.reason,
+        nomination.nominated_by,
+        nomination.nominated_at,
+        discussionDate || "TBD",
+        schedule ? JSON.stringify(schedule) : null,
+      ]
+    );
+
+    // Votes and ballot ranks cascade with the nomination
+    await tx.query(`DELETE FROM bc_club_nominations WHERE id = $1`, [nominationId]);
+
+    return {
+      pick: mapPick(pickRes.rows[0]),
+      previous: previousRes.rows[0] ? mapPick(previousRes.rows[0]) : null,
+    };
+  };
+
+  if (db) return promote(db);
+
+  const result = await withTransaction(promote);
+  if (result) await finishPromotion(client, result);
+  return result;
+}
+
+/**
+ * Discord side of a promotion — kept out of the transaction so a slow or failing
+ * API call can't hold row locks or roll the new pick back.
+ */
+export async function finishPromotion(client, { pick, previous }) {
+  if (previous) {
+    await archiveDiscussionThread(client, previous);
+    await cancelMeetingEvent(client, previous);
+  }
+  await resetSpoilerRole(client, pick.circleId);
+}
+
+// ─────────────────────────────────────────────────────────────
+//   VOTE ROUNDS & BALLOTS
+// ─────────────────────────────────────────────────────────────
+
+export const TIEBREAKS = {
+  earliest: "Earliest nomination wins",
+  latest: "Most recent nomination wins",
+  random: "Random draw",
+};
+
+export function isVotingClosed(round, now = new Date()) {
+  return Boolean(round?.closesAt && new Date(round.closesAt) <= now);
+}
+
+export async function getOpenVoteRound(circleId) {
+  const res = await query(
+    `SELECT * FROM bc_club_vote_rounds WHERE circle_id = $1 AND closed_at IS NULL`,
+    [circleId]
+  );
+  if (!res.rows[0]) return null;
+
+  const ranks = await query(
+    `SELECT user_id, rank, nomination_id FROM bc_club_ballot_ranks WHERE round_id = $1`,
+    [res.rows[0].id]
+  );
+  return mapRound(res.rows[0], ranks.rows);
+}
+
+/**
+ * Open a vote round. Returns null if the circle already has one open.
+ */
+export async function openVoteRound({ circleId, mode, ranks = null, openedBy, closesAt = null, tiebreak = null, channelId = null }) {
+  const res = await query(`
+    INSERT INTO bc_club_vote_rounds (circle_id, mode, ranks, opened_by, closes_at, tiebreak, channel_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT DO NOTHING
+    RETURNING *
+  `, [circleId, mode, ranks, openedBy, closesAt, tiebreak, channelId]);
+
+  return res.rows[0] ? mapRound(res.rows[0]) : null;
+}
+
+/**
+ * Put a nomination in one rank slot of a member's ballot.
+ * A book can only hold one rank — moving it clears its old slot.
+ */
+export async function setBallotRank(roundId, userId, rank, nominationId) {
+  await withTransaction(async (db) => {
+    await db.query(
+      `DELETE FROM bc_club_ballot_ranks
+       WHERE round_id = $1 AND user_id = $2 AND nomination_id = $3`,
+      [roundId, userId, nominationId]
+    );
+    await db.query(
+      `INSERT INTO bc_club_ballot_ranks (round_id, user_id, rank, nomination_id)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (round_id, user_id, rank) DO UPDATE SET nomination_id = EXCLUDED.nomination_id`,
+      [roundId, userId, rank, nominationId]
+    );
+  });
+}
+
+export async function clearBallot(roundId, userId) {
+  await query(
+    `DELETE FROM bc_club_ballot_ranks WHERE round_id = $1 AND user_id = $2`,
+    [roundId, userId]
+  );
+}
+
+/**
+ * Mark a round closed inside `db`. Returns the round with its ballots,
+ * or null if somebody else closed it first.
+ */
+async function claimRound(db, roundId) {
+  const res = await db.query(
+    `UPDATE bc_club_vote_rounds SET closed_at = NOW()
+     WHERE id = $1 AND closed_at IS NULL
+     RETURNING *`,
+    [roundId]
+  );
+  if (!res.rows[0]) return null;
+
+  const ranks = await db.query(
+    `SELECT user_id, rank, nomination_id FROM bc_club_ballot_ranks WHERE round_id = $1`,
+    [roundId]
+  );
+  return mapRound(res.rows[0], ranks.rows);
+}
+
+function rankedBallots(round) {
+  return Object.values(round.ballots || {})
+    .map((b) => b.filter(Boolean))
+    .filter((b) => b.length);
+}
+
+/**
+ * Close a round without promoting anything (manual /bookclub close-ballot).
+ * Returns { round, nominations, ballotCount, result } or null if already closed.
+ */
+export async function closeBallotRound(roundId) {
+  const closed = await withTransaction((db) => claimRound(db, roundId));
+  if (!closed) return null;
+
+  const nominations = await getNominations(closed.circleId);
+  const ballots = rankedBallots(closed);
+  const result = instantRunoff(ballots, nominations.map((n) => n.id));
+
+  return { round: closed, nominations, ballotCount: ballots.length, result };
+}
+
+function breakTie(tiedIds, nominations, tiebreak) {
+  const tied = nominations.filter((n) => tiedIds.includes(n.id));
+  if (!tied.length) return null;
+
+  if (tiebreak === "random") {
+    return tied[Math.floor(Math.random() * tied.length)].id;
+  }
+
+  const byDate = [...tied].sort(
+    (a, b) => new Date(a.nominatedAt).getTime() - new Date(b.nominatedAt).getTime()
+  );
+  return (tiebreak === "latest" ? byDate[byDate.length - 1] : byDate[0]).id;
+}
+
+function tallyRound(round, nominations) {
+  if (round.mode === "ballot") {
+    const ballots = rankedBallots(round);
+    const runoff = instantRunoff(ballots, nominations.map((n) => n.id));
+    return { ballotCount: ballots.length, runoff, winnerId: runoff.winner, tied: runoff.tied };
+  }
+
+  const counts = nominations.map((n) => ({ id: n.id, votes: n.votes?.length || 0 }));
+  const top = Math.max(0, ...counts.map((c) => c.votes));
+  const leaders = top > 0 ? counts.filter((c) => c.votes === top).map((c) => c.id) : [];
+  const ballotCount = new Set(nominations.flatMap((n) => n.votes || [])).size;
+
+  return {
+    ballotCount,
+    counts,
+    winnerId: leaders.length === 1 ? leaders[0] : null,
+    tied: leaders.length > 1 ? leaders : [],
+  };
+}
+
+/**
+ * Tally a timed round, promote the winner and announce it.
+ * Returns the new pick, or null when nobody voted or the round was already closed.
+ */
+export async function closeVoteRound(client, roundId) {
+  let announcement = null;
+
+  const promoted = await withTransaction(async (db) => {
+    const round = await claimRound(db, roundId);
+    if (!round) return null;
+
+    const nomRes = await db.query(`
+      ${NOMINATION_SELECT}
+      WHERE n.circle_id = $1 AND n.status = 'approved' AND ${IN_ACTIVE_ROUND}
+      GROUP BY n.id, b.book_id
+      ORDER BY n.nominated_at ASC
+    `, [round.circleId]);
+    const nominations = nomRes.rows.map(mapNomination);
+    const outcome = tallyRound(round, nominations);
+
+    let tiebreakUsed = false;
+    if (!outcome.winnerId && outcome.tied.length && outcome.ballotCount) {
+      outcome.winnerId = breakTie(outcome.tied, nominations, round.tiebreak);
+      tiebreakUsed = true;
+    }
+
+    const winner = nominations.find((n) => n.id === outcome.winnerId) || null;
+    announcement = { round, nominations, outcome, winner, tiebreakUsed };
+
+    logger.info("Timed vote round closed", {
+      circle: round.circleId,
+      mode: round.mode,
+      winner: winner?.title || null,
+      ballots: outcome.ballotCount,
+      tiebreakUsed,
+    });
+
+    return winner ? promoteNomination(client, winner.id, {}, db) : null;
+  });
+
+  if (!announcement) return null;
+  if (promoted) await finishPromotion(client, promoted);
+
+  const { round, nominations, outcome, winner, tiebreakUsed } = announcement;
+  const channelId = round.channelId || config.bookclub.announcementChannelId;
+  if (channelId) {
+    try {
+      const channel = await client.channels.fetch(channelId);
+      await channel.send({
+        embeds: [
+          voteResultEmbed(
+            round,
+            nominations,
+            outcome,
+            winner,
+            tiebreakUsed ? TIEBREAKS[round.tiebreak] || round.tiebreak : null
+          ),
+        ],
+      });
+    } catch (err) {
+      logger.warn("Failed to announce vote result", { channelId, error: err.message });
+    }
+  }
+
+  return promoted?.pick || null;
+}
+
+export async function closeDueVoteRounds(client) {
+  const res = await query(`
+    SELECT id FROM bc_club_vote_rounds
+    WHERE closed_at IS NULL AND closes_at IS NOT NULL AND closes_at <= NOW()
+  `);
+
+  const picks = [];
+  for (const row of res.rows) {
+    const pick = await closeVoteRound(client, row.id);
+    if (pick) picks.push(pick);
+  }
+  return picks;
+}
@@ -0,0 +1,216 @@
+// utils/clubMeetings.js — Book Club Meetings
+// ✅ Discord scheduled event for each pick's discussion meeting
+// ✅ RSVPs (going / maybe / can't make it) per pick
+// ✅ Attendance recorded by admins and rolled up for /bookclub stats
+
+import {
+  ChannelType,
+  GuildScheduledEventEntityType,
+  GuildScheduledEventPrivacyLevel,
+} from "discord.js";
+import { config } from "../config.js";
+import { query, withTransaction } from "./db.js";
+import { logger } from "./logger.js";
+import { DEFAULT_CIRCLE } from "./clubData.js";
+import { formatMeetingDate } from "./meetingTime.js";
+
+export const RSVP_STATUSES = {
+  going: { label: "Going", emoji: "✅" },
+  maybe: { label: "Maybe", emoji: "🤔" },
+  no: { label: "Can't make it", emoji: "❌" },
+};
+
+export function eventUrl(guildId, eventId) {
+  return `https://discord.com/events/${guildId}/${eventId}`;
+}
+
+// ─────────────────────────────────────────────────────────────
+//   SCHEDULED EVENTS
+// ─────────────────────────────────────────────────────────────
+
+async function meetingLocation(guild) {
+  const channelId = config.bookclub.meetingChannelId;
+  if (!channelId) return { entityType: GuildScheduledEventEntityType.External };
+
+  try {
+    const channel = await guild.channels.fetch(channelId);
+    if (channel?.type === ChannelType.GuildStageVoice) {
+      return { entityType: GuildScheduledEventEntityType.StageInstance, channel };
+    }
+    if (channel?.type === ChannelType.GuildVoice) {
+      return { entityType: GuildScheduledEventEntityType.Voice, channel };
+    }
+    logger.warn("Meeting channel is not a voice or stage channel", { channelId });
+  } catch (err) {
+    logger.warn("Meeting channel not found", { channelId, error: err.message });
+  }
+
+  return { entityType: GuildScheduledEventEntityType.External };
+}
+
+async function upsertScheduledEvent(guild, pick, date, circle) {
+  const start = date;
+  const end = new Date(start.getTime() + config.bookclub.meetingDurationMinutes * 60 * 1000);
+  const { entityType, channel } = await meetingLocation(guild);
+  const circleTag = circle && circle.id !== DEFAULT_CIRCLE ? `[${circle.name}] ` : "";
+
+  const options = {
+    name: `📚 ${circleTag}${pick.title}`.slice(0, 100),
+    description: `Book club discussion of **${pick.title}** by ${pick.author}. Mind the spoilers!`.slice(0, 1000),
+    scheduledStartTime: start,
+    scheduledEndTime: end,
+    privacyLevel: GuildScheduledEventPrivacyLevel.GuildOnly,
+    entityType,
+    channel: channel ?? null,
+    entityMetadata: channel ? null : { location: config.bookclub.meetingLocation },
+    reason: "Book club meeting",
+  };
+
+  if (pick.eventId) {
+    try {
+      const event = await guild.scheduledEvents.edit(pick.eventId, options);
+      return event.id;
+    } catch (err) {
+      // Event was deleted or already ended — fall through and create a fresh one
+      logger.warn("Could not update meeting event, creating a new one", {
+        eventId: pick.eventId,
+        error: err.message,
+      });
+    }
+  }
+
+  const event = await guild.scheduledEvents.create(options);
+  return event.id;
+}
+
+/**
+ * Set a pick's meeting time and create/move its Discord scheduled event.
+ * The date is saved even if the event can't be created (e.g. missing Manage Events).
+ * Returns { discussionDate, discussionAt, eventId }.
+ */
+export async function scheduleMeeting(guild, pick, date, circle = null, timeZone = config.bookclub.timezone) {
+  const discussionDate = formatMeetingDate(date, timeZone);
+
+  let eventId = pick.eventId || null;
+  try {
+    eventId = await upsertScheduledEvent(guild, pick, date, circle);
+  } catch (err) {
+    logger.error("Failed to create meeting event", { pickId: pick.id, error: err.message });
+  }
+
+  await query(
+    `UPDATE bc_club_picks SET discussion_date = $1, discussion_at = $2, event_id = $3 WHERE id = $4`,
+    [discussionDate, date, eventId, pick.id]
+  );
+  // A new date gets a fresh set of reminders
+  await query(`DELETE FROM bc_club_reminders_sent WHERE pick_id = $1`, [pick.id]);
+
+  return { discussionDate, discussionAt: date, eventId };
+}
+
+// ─────────────────────────────────────────────────────────────
+//   RSVPS
+// ─────────────────────────────────────────────────────────────
+
+export async function setRsvp(pickId, userId, status) {
+  await query(`
+    INSERT INTO bc_club_rsvps (pick_id, user_id, status)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (pick_id, user_id)
+    DO UPDATE SET status = EXCLUDED.status, updated_at = NOW()
+  `, [pickId, userId, status]);
+}
+
+/**
+ * Returns { going, maybe, no } counts for a pick.
+ */
+export async function getRsvpCounts(pickId) {
+  const res = await query(
+    `SELECT status, COUNT(*) AS count FROM bc_club_rsvps WHERE pick_id = $1 GROUP BY status`,
+    [pickId]
+  );
+
+  const counts = { going: 0, maybe: 0, no: 0 };
+  for (const row of res.rows) counts[row.status] = parseInt(row.count);
+  return counts;
+}
+
+export async function getRsvpUsers(pickId, status) {
+  const res = await query(
+    `SELECT user_id FROM bc_club_rsvps WHERE pick_id = $1 AND status = $2 ORDER BY updated_at ASC`,
+    [pickId, status]
+  );
+  return res.rows.map((r) => r.user_id);
+}
+
+// ─────────────────────────────────────────────────────────────
+//   ATTENDANCE
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * The circle's most recent meeting that has already started —
+ * the one an admin is most likely taking attendance for.
+ */
+export async function getLatestMeetingPick(circleId) {
+  const res = await query(`
+    SELECT id, title, author, discussion_at
+    FROM bc_club_picks
+    WHERE circle_id = $1 AND discussion_at IS NOT NULL AND discussion_at <= NOW()
+    ORDER BY discussion_at DESC
+    LIMIT 1
+  `, [circleId]);
+
+  const row = res.rows[0];
+  return row
+    ? { id: row.id, title: row.title, author: row.author, discussionAt: row.discussion_at }
+    : null;
+}
+
+export async function getAttendees(pickId) {
+  const res = await query(`SELECT user_id FROM bc_club_attendance WHERE pick_id = $1`, [pickId]);
+  return res.rows.map((r) => r.user_id);
+}
+
+/**
+ * Replace the attendance list for a meeting.
+ */
+export async function recordAttendance(pickId, userIds, recordedBy) {
+  await withTransaction(async (db) => {
+    await db.query(`DELETE FROM bc_club_attendance WHERE pick_id = $1`, [pickId]);
+    for (const userId of userIds) {
+      await db.query(
+        `INSERT INTO bc_club_attendance (pick_id, user_id, recorded_by) VALUES ($1, $2, $3)`,
+        [pickId, userId, recordedBy]
+      );
+    }
+  });
+}
+
+/**
+ * Returns { meetings, averageAttendance, regulars: [{ userId, attended }] } for a circle.
+ */
+export async function getAttendanceStats(circleId) {
+  const totals = await query(`
+    SELECT COUNT(DISTINCT a.pick_id) AS meetings, COUNT(*) AS attendances
+    FROM bc_club_attendance a
+    JOIN bc_club_picks p ON p.id = a.pick_id
+    WHERE p.circle_id = $1
+  `, [circleId]);
+
+  const regulars = await query(`
+    SELECT a.user_id, COUNT(*) AS attended
+    FROM bc_club_attendance a
+    JOIN bc_club_picks p ON p.id = a.pick_id
+    WHERE p.circle_id = $1
+    GROUP BY a.user_id
+    ORDER BY attended DESC
+    LIMIT 3
+  `, [circleId]);
+
+  const meetings = parseInt(totals.rows[0].meetings);
+  return {
+    meetings,
+    averageAttendance: meetings ? parseInt(totals.rows[0].attendances) / meetings : 0,
+    regulars: regulars.rows.map((r) => ({ userId: r.user_id, attended: parseInt(r.attended) })),
+  };
+}
@@ -0,0 +1,222 @@
+// utils/clubQuestions.js — Book Club Discussion Questions
+// ✅ Question bank per pick, each tagged with the pages (and chapter) it covers
+// ✅ Only questions at or below the club's median progress are eligible to post
+// ✅ One question per interval (default weekly) in the pick's discussion thread
+// ✅ Questions stay attached to the pick, so they show up in /bookclub history
+
+import { config } from "../config.js";
+import { query } from "./db.js";
+import { logger } from "./logger.js";
+import { circleMembersSql, getCircle, getPick, pickBookFilter, getOrCreateDiscussionThread, setPickThread } from "./clubData.js";
+import { questionEmbed } from "../views/bookclub.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_RANGE_PATTERN = /^(?:p(?:ages?|p)?\.?\s*)?(\d+)(?:\s*[-–]\s*(\d+))?$/i;
+
+function mapQuestion(row) {
+  return {
+    id: row.id,
+    pickId: row.pick_id,
+    question: row.question,
+    chapter: row.chapter,
+    startPage: row.start_page,
+    endPage: row.end_page,
+    submittedBy: row.submitted_by,
+    submittedAt: row.submitted_at,
+    postedAt: row.posted_at,
+    postedChannelId: row.posted_channel_id,
+    postedMessageId: row.posted_message_id,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+//   PAGE RANGES
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Parse "45", "30-60" or "pp. 30–60".
+ * A single page covers everything up to it.
+ * @returns {{ valid: boolean, error: string|null, startPage: number|null, endPage: number|null }}
+ */
+export function parsePageRange(input) {
+  const match = String(input || "").trim().match(PAGE_RANGE_PATTERN);
+  if (!match) {
+    return { valid: false, error: "Use a page or page range like `45` or `30-60`.", startPage: null, endPage: null };
+  }
+
+  const startPage = parseInt(match[1], 10);
+  const endPage = match[2] ? parseInt(match[2], 10) : startPage;
+
+  if (startPage < 1 || endPage < startPage || endPage > config.validation.maxPage) {
+    return { valid: false, error: `\`${input}\` isn't a valid page range.`, startPage: null, endPage: null };
+  }
+
+  return { valid: true, error: null, startPage: match[2] ? startPage : 1, endPage };
+}
+
+/**
+ * Look up a schedule section by its label ("Part Two"), for questions tagged by chapter only.
+ */
+export function findScheduleSection(pick, chapter) {
+  const label = String(chapter || "").trim().toLowerCase();
+  if (!label || !pick.schedule?.length) return null;
+  return pick.schedule.find((s) => s.label.toLowerCase() === label) || null;
+}
+
+// ─────────────────────────────────────────────────────────────
+//   QUESTION BANK
+// ─────────────────────────────────────────────────────────────
+
+export async function addQuestion({ pickId, question, chapter = null, startPage, endPage, submittedBy }) {
+  const res = await query(`
+    INSERT INTO bc_club_questions (pick_id, question, chapter, start_page, end_page, submitted_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [pickId, question, chapter, startPage, endPage, submittedBy]);
+  return mapQuestion(res.rows[0]);
+}
+
+export async function getQuestion(id) {
+  const res = await query(`SELECT * FROM bc_club_questions WHERE id = $1`, [id]);
+  return res.rows[0] ? mapQuestion(res.rows[0]) : null;
+}
+
+/**
+ * A pick's questions in reading order (posted and waiting).
+ */
+export async function getPickQuestions(pickId) {
+  const res = await query(`
+    SELECT * FROM bc_club_questions
+    WHERE pick_id = $1
+    ORDER BY end_page ASC, submitted_at ASC
+  `, [pickId]);
+  return res.rows.map(mapQuestion);
+}
+
+export async function removeQuestion(id) {
+  const res = await query(`DELETE FROM bc_club_questions WHERE id = $1`, [id]);
+  return res.rowCount > 0;
+}
+
+// ─────────────────────────────────────────────────────────────
+//   ELIGIBILITY
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Median page reached by circle members tracking the pick (finished readers count
+ * as the last page). Returns null when nobody is tracking it.
+ */
+export async function getMedianProgress(pick) {
+  const filter = pickBookFilter(pick, 1);
+  const res = await query(`
+    SELECT rl.status, rl.current_page, rl.total_pages
+    FROM bc_reading_logs rl
+    JOIN bc_books b ON rl.book_id = b.book_id
+    JOIN ${circleMembersSql(1)} m ON m.user_id = rl.user_id
+    WHERE ${filter.sql}
+  `, [pick.circleId, ...filter.params]);
+
+  const pages = res.rows
+    .map((r) =>
+      r.status === "completed"
+        ? Number(r.total_pages) || pick.pageCount || Number(r.current_page) || 0
+        : Number(r.current_page) || 0
+    )
+    .sort((a, b) => a - b);
+  if (!pages.length) return null;
+
+  const mid = Math.floor(pages.length / 2);
+  return pages.length % 2 ? pages[mid] : Math.floor((pages[mid - 1] + pages[mid]) / 2);
+}
+
+/**
+ * The next unposted question the club has read far enough for — earliest pages first.
+ */
+export async function getNextEligibleQuestion(pickId, medianPage) {
+  const res = await query(`
+    SELECT * FROM bc_club_questions
+    WHERE pick_id = $1 AND posted_at IS NULL AND end_page <= $2
+    ORDER BY end_page ASC, submitted_at ASC
+    LIMIT 1
+  `, [pickId, medianPage]);
+  return res.rows[0] ? mapQuestion(res.rows[0]) : null;
+}
+
+async function getLastPostedAt(pickId) {
+  const res = await query(`SELECT MAX(posted_at) AS last FROM bc_club_questions WHERE pick_id = $1`, [pickId]);
+  return res.rows[0].last;
+}
+
+// ─────────────────────────────────────────────────────────────
+//   POSTING
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Post the pick's next eligible question in its discussion thread.
+ * Returns { question, thread, medianPage } when one was posted, or { reason } when not.
+ */
+export async function postNextQuestion(client, pick) {
+  const medianPage = await getMedianProgress(pick);
+  if (medianPage === null) return { reason: "nobody in the circle is tracking this pick yet" };
+
+  const question = await getNextEligibleQuestion(pick.id, medianPage);
+  if (!question) return { reason: `no unposted questions cover pages up to ${medianPage} (the club's median)` };
+
+  const circle = await getCircle(pick.circleId);
+  const { thread, error } = await getOrCreateDiscussionThread(client, pick, circle);
+  if (!thread) return { reason: error };
+  if (pick.threadId !== thread.id) await setPickThread(pick.id, thread.id);
+
+  // Claim first so two ticks can't post the same question
+  const claim = await query(
+    `UPDATE bc_club_questions SET posted_at = NOW() WHERE id = $1 AND posted_at IS NULL`,
+    [question.id]
+  );
+  if (!claim.rowCount) return { reason: "that question was just posted" };
+
+  try {
+    const message = await thread.send({ embeds: [questionEmbed(pick, question, medianPage)] });
+    await query(
+      `UPDATE bc_club_questions SET posted_channel_id = $1, posted_message_id = $2 WHERE id = $3`,
+      [thread.id, message.id, question.id]
+    );
+  } catch (err) {
+    await query(`UPDATE bc_club_questions SET posted_at = NULL WHERE id = $1`, [question.id]);
+    throw err;
+  }
+
+  logger.info("Discussion question posted", { pickId: pick.id, questionId: question.id, medianPage });
+  return { question, thread, medianPage };
+}
+
+/**
+ * Scheduler entry point: post one question per current pick once the interval
+ * since its last question has passed. Returns the number posted.
+ */
+export async function postDueQuestions(client, now = new Date()) {
+  const intervalMs = config.bookclub.questionIntervalDays * DAY_MS;
+  if (!(intervalMs > 0)) return 0;
+
+  const res = await query(`
+    SELECT DISTINCT p.id
+    FROM bc_club_picks p
+    JOIN bc_club_questions q ON q.pick_id = p.id AND q.posted_at IS NULL
+    WHERE p.completed_at IS NULL
+  `);
+
+  let posted = 0;
+  for (const row of res.rows) {
+    const last = await getLastPostedAt(row.id);
+    if (last && now.getTime() - new Date(last).getTime() < intervalMs) continue;
+
+    try {
+      const pick = await getPick(row.id);
+      const result = await postNextQuestion(client, pick);
+      if (result.question) posted++;
+    } catch (err) {
+      logger.error("Failed to post discussion question", { pickId: row.id, error: err.message });
+    }
+  }
+
+  return posted;
+}
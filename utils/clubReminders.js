@@ -0,0 +1,209 @@
+// utils/clubReminders.js — Book Club Meeting Reminders
+// ✅ Reminds circle members ahead of each meeting (lead times from config)
+// ✅ Shows each tracker's percent complete; gentler nudge for non-trackers
+// ✅ DM by default, or one ping message in a reminder channel
+// ✅ Per-user opt-out stored in bc_notification_prefs
+
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js";
+import { config } from "../config.js";
+import { query } from "./db.js";
+import { logger } from "./logger.js";
+import { DEFAULT_CIRCLE, circleMembersSql, getCircle, getUpcomingMeetings, pickBookFilter } from "./clubData.js";
+import { reminderEmbed } from "../views/bookclub.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ─────────────────────────────────────────────────────────────
+//   PREFERENCES
+// ─────────────────────────────────────────────────────────────
+
+export async function setClubReminders(userId, enabled) {
+  await query(`
+    INSERT INTO bc_notification_prefs (user_id, club_reminders)
+    VALUES ($1, $2)
+    ON CONFLICT (user_id)
+    DO UPDATE SET club_reminders = EXCLUDED.club_reminders, updated_at = NOW()
+  `, [userId, enabled]);
+}
+
+export async function getClubReminders(userId) {
+  const res = await query(`SELECT club_reminders FROM bc_notification_prefs WHERE user_id = $1`, [userId]);
+  return res.rows[0]?.club_reminders ?? true;
+}
+
+// ─────────────────────────────────────────────────────────────
+//   RECIPIENTS
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Circle members who haven't opted out, with their progress on the pick.
+ * Returns [{ userId, tracking, currentPage, totalPages, percent }].
+ */
+async function getReminderRecipients(pick) {
+  const filter = pickBookFilter(pick, 1);
+  const res = await query(`
+    SELECT m.user_id, t.status, t.current_page, t.total_pages
+    FROM ${circleMembersSql(1)} m
+    LEFT JOIN LATERAL (
+      SELECT rl.status, rl.current_page, rl.total_pages
+      FROM bc_reading_logs rl
+      JOIN bc_books b ON rl.book_id = b.book_id
+      WHERE rl.user_id = m.user_id AND ${filter.sql}
+      ORDER BY rl.updated_at DESC
+      LIMIT 1
+    ) t ON TRUE
+    LEFT JOIN bc_notification_prefs np ON np.user_id = m.user_id
+    WHERE COALESCE(np.club_reminders, TRUE)
+  `, [pick.circleId, ...filter.params]);
+
+  return res.rows.map((r) => {
+    const totalPages = Number(r.total_pages) || pick.pageCount || 0;
+    const currentPage = Number(r.current_page) || 0;
+    const percent =
+      r.status === "completed"
+        ? 100
+        : totalPages
+          ? Math.min(100, Math.round((currentPage / totalPages) * 100))
+          : 0;
+
+    return { userId: r.user_id, tracking: Boolean(r.status), currentPage, totalPages, percent };
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+//   DELIVERY
+// ─────────────────────────────────────────────────────────────
+
+function optOutRow() {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("bc_reminders_off")
+      .setLabel("🔕 Stop club reminders")
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+async function sendDirectReminders(client, pick, circleName, recipients) {
+  let sent = 0;
+  for (const member of recipients) {
+    try {
+      const user = await client.users.fetch(member.userId);
+      await user.send({
+        embeds: [reminderEmbed(pick, circleName, member)],
+        components: [optOutRow()],
+      });
+      sent++;
+    } catch (err) {
+      // Closed DMs are common — skip the member rather than failing the batch
+      logger.warn("Failed to DM meeting reminder", { userId: member.userId, error: err.message });
+    }
+  }
+  return sent;
+}
+
+async function sendChannelReminder(client, pick, circleName, recipients) {
+  const channel = await client.channels.fetch(config.bookclub.reminderChannelId);
+  const ts = Math.floor(new Date(pick.discussionAt).getTime() / 1000);
+
+  const trackers = recipients
+    .filter((m) => m.tracking)
+    .sort((a, b) => b.percent - a.percent)
+    .map((m) => `<@${m.userId}> — **${m.percent}%**`);
+  const others = recipients.filter((m) => !m.tracking).map((m) => `<@${m.userId}>`);
+
+  const lines = [
+    `📅 **${circleName} meeting <t:${ts}:R>** — **${pick.title}** by ${pick.author} (<t:${ts}:F>)`,
+  ];
+  if (trackers.length) lines.push("", "📖 **Reading progress**", ...trackers);
+  if (others.length) {
+    lines.push("", `👋 Haven't started? You're still welcome to join in: ${others.join(" ")}`);
+  }
+
+  // Stay under Discord's 2000 character message limit
+  const chunks = [];
+  let current = "";
+  for (const line of lines) {
+    if (current.length + line.length + 1 > 1900) {
+      chunks.push(current);
+      current = "";
+    }
+    current += `${line}\n`;
+  }
+  if (current) chunks.push(current);
+
+  for (const [idx, content] of chunks.entries()) {
+    await channel.send({
+      content,
+      components: idx === chunks.length - 1 ? [optOutRow()] : [],
+    });
+  }
+  return recipients.length;
+}
+
+// ─────────────────────────────────────────────────────────────
+//   SCHEDULER ENTRY POINT
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Claim every lead time that has come due for the pick, returning the ones that
+ * hadn't been sent yet — when the bot was offline through several lead times,
+ * members get a single reminder, not one per lead time.
+ */
+async function claimDueLeadTimes(pick, now) {
+  const meetingAt = new Date(pick.discussionAt).getTime();
+  const due = config.bookclub.reminderLeadDays.filter((days) => meetingAt - days * DAY_MS <= now.getTime());
+  if (!due.length) return [];
+
+  const res = await query(`
+    INSERT INTO bc_club_reminders_sent (pick_id, lead_days)
+    SELECT $1, unnest($2::numeric[])
+    ON CONFLICT DO NOTHING
+    RETURNING lead_days
+  `, [pick.id, due]);
+
+  return res.rows.map((r) => r.lead_days);
+}
+
+// A failed send gives its lead times back so the next run retries them
+async function releaseLeadTimes(pick, leadDays) {
+  await query(
+    `DELETE FROM bc_club_reminders_sent WHERE pick_id = $1 AND lead_days = ANY($2::numeric[])`,
+    [pick.id, leadDays]
+  );
+}
+
+/**
+ * Send reminders for every upcoming meeting that has reached a lead time.
+ * Returns the number of picks reminded about.
+ */
+export async function sendDueReminders(client, now = new Date()) {
+  if (!config.bookclub.reminderLeadDays.length) return 0;
+
+  let reminded = 0;
+  for (const pick of await getUpcomingMeetings()) {
+    // Claimed before sending so overlapping runs can't both remind
+    const claimed = await claimDueLeadTimes(pick, now);
+    if (!claimed.length) continue;
+
+    try {
+      const circle = await getCircle(pick.circleId);
+      const circleName = circle && circle.id !== DEFAULT_CIRCLE ? circle.name : "Book club";
+      const recipients = await getReminderRecipients(pick);
+      if (!recipients.length) continue;
+
+      const sent = config.bookclub.reminderChannelId
+        ? await sendChannelReminder(client, pick, circleName, recipients)
+        : await sendDirectReminders(client, pick, circleName, recipients);
+
+      logger.info("Meeting reminders sent", { pickId: pick.id, circle: pick.circleId, sent });
+      reminded++;
+    } catch (err) {
+      logger.error("Failed to send meeting reminders", { pickId: pick.id, error: err.message });
+      await releaseLeadTimes(pick, claimed).catch((releaseErr) =>
+        logger.error("Failed to release reminder claim", { pickId: pick.id, error: releaseErr.message })
+      );
+    }
+  }
+
+  return reminded;
+}
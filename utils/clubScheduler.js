@@ -0,0 +1,95 @@
+// utils/clubScheduler.js — Book Club Scheduled Tasks
+// ✅ Closes timed vote rounds once their deadline passes
+// ✅ Sends meeting reminders at the configured lead times
+// ✅ Posts the weekly discussion question for each current pick
+// ✅ State lives in the database, so deadlines survive restarts
+// ✅ Graceful error handling and logging
+
+import { closeDueVoteRounds } from "./clubData.js";
+import { sendDueReminders } from "./clubReminders.js";
+import { postDueQuestions } from "./clubQuestions.js";
+import { logger } from "./logger.js";
+import { getConfig } from "../config.js";
+
+const config = getConfig();
+
+let tickInterval = null;
+let clientInstance = null;
+let running = false;
+
+// ─────────────────────────────────────────────────────────────
+//   START SCHEDULER
+// ─────────────────────────────────────────────────────────────
+
+export function startClubScheduler(client) {
+  if (tickInterval) {
+    logger.warn("Book club scheduler already running");
+    return;
+  }
+
+  clientInstance = client;
+  const intervalMs = config.bookclub.schedulerIntervalMinutes * 60 * 1000;
+
+  logger.info("Starting book club scheduler", {
+    intervalMinutes: config.bookclub.schedulerIntervalMinutes,
+  });
+
+  // Catch up on anything that came due while the bot was offline
+  setTimeout(() => {
+    runTick();
+  }, 10000);
+
+  tickInterval = setInterval(() => {
+    runTick();
+  }, intervalMs);
+
+  logger.info("✅ Book club scheduler started");
+}
+
+// ─────────────────────────────────────────────────────────────
+//   STOP SCHEDULER
+// ─────────────────────────────────────────────────────────────
+
+export function stopClubScheduler() {
+  if (tickInterval) {
+    clearInterval(tickInterval);
+    tickInterval = null;
+    logger.info("Book club scheduler stopped");
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+//   RUN TICK
+// ─────────────────────────────────────────────────────────────
+
+async function runTick() {
+  // Skip if the previous tick is still announcing results
+  if (running) return;
+  running = true;
+
+  try {
+    const picks = await closeDueVoteRounds(clientInstance);
+    for (const pick of picks) {
+      logger.info("Vote round closed by scheduler", { circle: pick.circleId, title: pick.title });
+    }
+
+    await sendDueReminders(clientInstance);
+    await postDueQuestions(clientInstance);
+  } catch (error) {
+    logger.error("Book club scheduler error", {
+      error: error.message,
+      stack: error.stack,
+    });
+  } finally {
+    running = false;
+  }
+}
+
+// Graceful shutdown
+process.on("SIGINT", () => {
+  stopClubScheduler();
+});
+
+process.on("SIGTERM", () => {
+  stopClubScheduler();
+});
@@ -0,0 +1,240 @@
+// utils/dataExport.js — Take-Your-Data-With-You Export
+// ✅ Gathers a member's tracker entries, earlier read-throughs, reading history, quotes, goals, favorites and tags
+// ✅ JSON (everything, nested), flat CSV (one file per dataset) or a Goodreads import-layout CSV
+// ✅ The Goodreads CSV uses the library export's columns, so /tracker import reads it back too
+
+import { query } from "./db.js";
+
+export const EXPORT_FORMATS = {
+  json: { label: "JSON" },
+  csv: { label: "CSV" },
+  goodreads: { label: "Goodreads CSV" },
+};
+
+// Goodreads library export / import columns, in order
+const GOODREADS_COLUMNS = [
+  "Book Id", "Title", "Author", "Author l-f", "Additional Authors", "ISBN", "ISBN13",
+  "My Rating", "Average Rating", "Publisher", "Binding", "Number of Pages", "Year Published",
+  "Original Publication Year", "Date Read", "Date Added", "Bookshelves", "Bookshelves with positions",
+  "Exclusive Shelf", "My Review", "Spoiler", "Private Notes", "Read Count", "Owned Copies",
+];
+
+const GOODREADS_SHELVES = {
+  completed: "read",
+  reading: "currently-reading",
+  planned: "to-read",
+  dropped: "did-not-finish",
+};
+
+const GOODREADS_BINDINGS = { print: "", ebook: "ebook", audio: "Audiobook" };
+
+// ─────────────────────────────────────────────────────────────
+//   COLLECT
+// ─────────────────────────────────────────────────────────────
+
+const iso = (d) => (d ? new Date(d).toISOString() : null);
+const num = (n) => (n === null || n === undefined ? null : Number(n));
+
+/**
+ * Everything the bot stores about a member, in plain objects.
+ */
+export async function collectUserData(userId) {
+  const entries = await query(`
+    SELECT rl.*, b.title, b.author, b.isbn, b.page_count, b.published_date,
+      COALESCE(
+        (SELECT array_agg(t.name ORDER BY LOWER(t.name))
+         FROM bc_reading_log_tags rlt JOIN bc_tags t ON t.id = rlt.tag_id
+         WHERE rlt.reading_log_id = rl.id),
+        '{}'
+      ) AS tags
+    FROM bc_reading_logs rl
+    LEFT JOIN bc_books b ON b.book_id = rl.book_id
+    WHERE rl.user_id = $1
+    ORDER BY rl.started_at NULLS LAST, rl.id
+  `, [userId]);
+
+  const readThroughs = await query(`
+    SELECT rt.*, b.title
+    FROM bc_read_throughs rt
+    LEFT JOIN bc_books b ON b.book_id = rt.book_id
+    WHERE rt.user_id = $1
+    ORDER BY rt.completed_at NULLS LAST, rt.id
+  `, [userId]);
+
+  const history = await query(`
+    SELECT h.*, b.title
+    FROM bc_reading_history h
+    LEFT JOIN bc_books b ON b.book_id = h.book_id
+    WHERE h.user_id = $1
+    ORDER BY h.timestamp, h.id
+  `, [userId]);
+
+  const quotes = await query(`SELECT * FROM bc_quotes WHERE user_id = $1 ORDER BY created_at, id`, [userId]);
+  const goals = await query(`SELECT * FROM bc_reading_goals WHERE user_id = $1 ORDER BY year`, [userId]);
+  const favorites = await query(`SELECT * FROM bc_favorites WHERE user_id = $1 ORDER BY created_at`, [userId]);
+  const tags = await query(`SELECT * FROM bc_tags WHERE user_id = $1 ORDER BY LOWER(name)`, [userId]);
+
+  return {
+    entries: entries.rows.map((e) => ({
+      bookId: e.book_id,
+      title: e.title,
+      author: e.author,
+      isbn: e.isbn,
+      goodreadsId: e.goodreads_id,
+      publishedDate: e.published_date,
+      status: e.status,
+      format: e.format,
+      currentPage: e.current_page,
+      totalPages: e.total_pages || e.page_count || null,
+      formatPosition: num(e.format_position),
+      formatLengthMinutes: e.format_length,
+      startedAt: iso(e.started_at),
+      completedAt: iso(e.completed_at),
+      droppedAt: iso(e.dropped_at),
+      dnfReason: e.dnf_reason,
+      rating: num(e.rating),
+      review: e.review,
+      reviewSpoiler: Boolean(e.review_spoiler),
+      reviewedAt: iso(e.reviewed_at),
+      tags: e.tags,
+      source: e.source,
+      updatedAt: iso(e.updated_at),
+    })),
+    readThroughs: readThroughs.rows.map((r) => ({
+      bookId: r.book_id,
+      title: r.title,
+      pagesRead: r.pages_read,
+      startedAt: iso(r.started_at),
+      completedAt: iso(r.completed_at),
+      rating: num(r.rating),
+      review: r.review,
+      reviewSpoiler: Boolean(r.review_spoiler),
+    })),
+    history: history.rows.map((h) => ({
+      bookId: h.book_id,
+      title: h.title,
+      pagesRead: h.pages_read,
+      startPage: h.start_page,
+      endPage: h.end_page,
+      durationSeconds: h.duration_seconds,
+      timestamp: iso(h.timestamp),
+    })),
+    quotes: quotes.rows.map((q) => ({
+      quote: q.quote,
+      bookTitle: q.book_title,
+      notes: q.notes,
+      createdAt: iso(q.created_at),
+    })),
+    goals: goals.rows.map((g) => ({ year: g.year, bookCount: g.book_count, createdAt: iso(g.created_at) })),
+    favorites: favorites.rows.map((f) => ({
+      bookId: f.book_id,
+      title: f.title,
+      author: f.author,
+      createdAt: iso(f.created_at),
+    })),
+    tags: tags.rows.map((t) => ({ name: t.name, public: t.is_public, createdAt: iso(t.created_at) })),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+//   FORMAT
+// ─────────────────────────────────────────────────────────────
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = Array.isArray(value) ? value.join(", ") : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows of objects → CSV text with the given columns (defaults to the first row's keys).
+ */
+export function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+  return [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\r\n") + "\r\n";
+}
+
+const goodreadsDate = (d) => (d ? d.slice(0, 10).replace(/-/g, "/") : "");
+
+function authorLastFirst(author) {
+  const parts = String(author || "").trim().split(/\s+/);
+  return parts.length > 1 ? `${parts.pop()}, ${parts.join(" ")}` : parts[0] || "";
+}
+
+/**
+ * Tracker entries in Goodreads' CSV layout. Goodreads has whole-star ratings,
+ * so half stars are rounded up.
+ */
+export function goodreadsCsv(data) {
+  const rereads = new Map();
+  for (const r of data.readThroughs) rereads.set(r.bookId, (rereads.get(r.bookId) || 0) + 1);
+
+  const rows = data.entries.map((e) => {
+    const shelf = GOODREADS_SHELVES[e.status] || "to-read";
+    const isbn = String(e.isbn || "");
+    const grId = e.goodreadsId || (e.bookId?.startsWith("gr_") ? e.bookId.slice(3) : "");
+    // Shelf names are comma-separated in this format
+    const shelves = [...e.tags.map((t) => t.replace(/,/g, " ")), ...(shelf === "did-not-finish" ? [shelf] : [])];
+
+    return {
+      "Book Id": grId,
+      "Title": e.title,
+      "Author": e.author,
+      "Author l-f": authorLastFirst(e.author),
+      "Additional Authors": "",
+      "ISBN": `="${isbn.length === 10 ? isbn : ""}"`,
+      "ISBN13": `="${isbn.length === 13 ? isbn : ""}"`,
+      "My Rating": e.rating ? Math.ceil(e.rating) : 0,
+      "Average Rating": "",
+      "Publisher": "",
+      "Binding": GOODREADS_BINDINGS[e.format] || "",
+      "Number of Pages": e.totalPages || "",
+      "Year Published": /^\d{4}/.test(e.publishedDate || "") ? e.publishedDate.slice(0, 4) : "",
+      "Original Publication Year": "",
+      "Date Read": goodreadsDate(e.status === "dropped" ? e.droppedAt : e.completedAt),
+      "Date Added": goodreadsDate(e.startedAt || e.updatedAt),
+      "Bookshelves": shelves.join(", "),
+      "Bookshelves with positions": "",
+      "Exclusive Shelf": shelf,
+      "My Review": e.review ? e.review.replace(/\r?\n/g, "<br/>") : "",
+      "Spoiler": e.review && e.reviewSpoiler ? "true" : "",
+      "Private Notes": e.dnfReason ? `DNF: ${e.dnfReason}` : "",
+      "Read Count": (rereads.get(e.bookId) || 0) + (e.status === "completed" ? 1 : 0),
+      "Owned Copies": 0,
+    };
+  });
+
+  return toCsv(rows, GOODREADS_COLUMNS);
+}
+
+/**
+ * Build the export files. Returns [{ name, content }].
+ */
+export function buildExportFiles(data, format, { userId, username }) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  const base = `bookclub-${username}-${stamp}`.replace(/[^\w.-]+/g, "_");
+
+  if (format === "goodreads") {
+    return [{ name: `${base}-goodreads.csv`, content: goodreadsCsv(data) }];
+  }
+
+  if (format === "csv") {
+    const flatEntries = data.entries.map((e) => ({ ...e, tags: e.tags.join("; ") }));
+    return [
+      ["entries", flatEntries],
+      ["read-throughs", data.readThroughs],
+      ["history", data.history],
+      ["quotes", data.quotes],
+      ["goals", data.goals],
+      ["favorites", data.favorites],
+    ]
+      .filter(([, rows]) => rows.length)
+      .map(([name, rows]) => ({ name: `${base}-${name}.csv`, content: toCsv(rows) }));
+  }
+
+  return [{
+    name: `${base}.json`,
+    content: JSON.stringify({ exportedAt: new Date().toISOString(), user: { id: userId, username }, ...data }, null, 2),
+  }];
+}
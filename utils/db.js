@@ -49,8 +49,15 @@ const SCHEMA = `
     total_pages INTEGER DEFAULT 0,
     started_at TIMESTAMP WITH TIME ZONE,
     completed_at TIMESTAMP WITH TIME ZONE,
-    rating INTEGER,
+    rating NUMERIC(2, 1), -- 1–5 in half stars
     review TEXT,
+    review_spoiler BOOLEAN DEFAULT FALSE,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    dnf_reason TEXT, -- set with status 'dropped'
+    dropped_at TIMESTAMP WITH TIME ZONE,
+    format VARCHAR(10) NOT NULL DEFAULT 'print', -- 'print', 'ebook', 'audio'; current_page holds page equivalents
+    format_position NUMERIC(8, 1), -- ebook percent or audio minutes listened
+    format_length INTEGER, -- audiobook length in minutes
     goodreads_id VARCHAR(255),
     source VARCHAR(50) DEFAULT 'manual',
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -80,10 +87,61 @@ const SCHEMA = `
     user_id VARCHAR(255) REFERENCES bc_users(user_id),
     book_id VARCHAR(255),
     pages_read INTEGER,
+    start_page INTEGER,
+    end_page INTEGER,
+    duration_seconds INTEGER, -- set for timed /read sessions
     timestamp TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
   );
   CREATE INDEX IF NOT EXISTS idx_bc_reading_history_user_book ON bc_reading_history(user_id, book_id);
 
+  CREATE TABLE IF NOT EXISTS bc_reading_sessions (
+    user_id VARCHAR(255) PRIMARY KEY REFERENCES bc_users(user_id), -- one open session per member
+    book_id VARCHAR(255) NOT NULL,
+    start_page INTEGER NOT NULL DEFAULT 0,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Finished read-throughs archived when a member starts a re-read;
+  -- bc_reading_logs always holds the current one
+  CREATE TABLE IF NOT EXISTS bc_read_throughs (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) REFERENCES bc_users(user_id),
+    book_id VARCHAR(255) NOT NULL,
+    pages_read INTEGER DEFAULT 0,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    rating NUMERIC(2, 1),
+    review TEXT,
+    review_spoiler BOOLEAN DEFAULT FALSE,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    archived_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE INDEX IF NOT EXISTS idx_bc_read_throughs_user_book ON bc_read_throughs(user_id, book_id);
+
+  -- Every finished read-through, for completion stats and reading goals
+  CREATE OR REPLACE VIEW bc_completions AS
+    SELECT user_id, book_id, completed_at FROM bc_reading_logs WHERE status = 'completed'
+    UNION ALL
+    SELECT user_id, book_id, completed_at FROM bc_read_throughs;
+
+  -- Members' own shelves/tags on top of the fixed statuses; many-to-many with bc_reading_logs
+  CREATE TABLE IF NOT EXISTS bc_tags (
+    id SERIAL PRIMARY KEY,
+    user_id VARCHAR(255) REFERENCES bc_users(user_id),
+    name VARCHAR(50) NOT NULL,
+    is_public BOOLEAN NOT NULL DEFAULT TRUE, -- public tags can be browsed by others with /shelf
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_bc_tags_user_name ON bc_tags(user_id, LOWER(name));
+
+  CREATE TABLE IF NOT EXISTS bc_reading_log_tags (
+    reading_log_id INTEGER REFERENCES bc_reading_logs(id) ON DELETE CASCADE,
+    tag_id INTEGER REFERENCES bc_tags(id) ON DELETE CASCADE,
+    tagged_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (reading_log_id, tag_id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_bc_reading_log_tags_tag ON bc_reading_log_tags(tag_id);
+
   CREATE TABLE IF NOT EXISTS bc_quotes (
     id SERIAL PRIMARY KEY,
     user_id VARCHAR(255) REFERENCES bc_users(user_id),
@@ -111,14 +169,287 @@ const SCHEMA = `
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     PRIMARY KEY (user_id, book_id)
   );
+
+  -- Book club: circles, nominations, votes, picks and vote rounds
+  CREATE TABLE IF NOT EXISTS bc_club_circles (
+    circle_id VARCHAR(50) PRIMARY KEY,
+    name TEXT NOT NULL,
+    admin_role_id VARCHAR(255),
+    created_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS bc_club_circle_members (
+    circle_id VARCHAR(50) REFERENCES bc_club_circles(circle_id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL,
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (circle_id, user_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS bc_club_nomination_rounds (
+    id SERIAL PRIMARY KEY,
+    circle_id VARCHAR(50) NOT NULL REFERENCES bc_club_circles(circle_id) ON DELETE CASCADE,
+    theme TEXT NOT NULL,
+    max_pages INTEGER,
+    min_year INTEGER,
+    max_year INTEGER,
+    opened_by VARCHAR(255),
+    opened_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMP WITH TIME ZONE
+  );
+
+  CREATE TABLE IF NOT EXISTS bc_club_nominations (
+    id VARCHAR(64) PRIMARY KEY,
+    circle_id VARCHAR(50) NOT NULL DEFAULT 'main' REFERENCES bc_club_circles(circle_id) ON DELETE CASCADE,
+    book_id VARCHAR(255), -- bc_books edition chosen by the nominator
+    title TEXT NOT NULL,
+    author TEXT,
+    reason TEXT,
+    nominated_by VARCHAR(255),
+    nominated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    status VARCHAR(20) NOT NULL DEFAULT 'approved', -- 'pending' while awaiting moderator review
+    reviewed_by VARCHAR(255),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    round_id INTEGER REFERENCES bc_club_nomination_rounds(id) ON DELETE SET NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS bc_club_votes (
+    nomination_id VARCHAR(64) REFERENCES bc_club_nominations(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL,
+    voted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (nomination_id, user_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS bc_club_picks (
+    id VARCHAR(64) PRIMARY KEY,
+    circle_id VARCHAR(50) NOT NULL DEFAULT 'main' REFERENCES bc_club_circles(circle_id) ON DELETE CASCADE,
+    book_id VARCHAR(255),
+    title TEXT NOT NULL,
+    author TEXT,
+    reason TEXT,
+    nominated_by VARCHAR(255),
+    nominated_at TIMESTAMP WITH TIME ZONE,
+    selected_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE, -- NULL = current pick
+    discussion_date TEXT, -- display label; discussion_at is the real timestamp
+    discussion_at TIMESTAMP WITH TIME ZONE,
+    event_id VARCHAR(255), -- Discord scheduled event for the meeting
+    schedule JSONB,
+    thread_id VARCHAR(255)
+  );
+
+  CREATE TABLE IF NOT EXISTS bc_club_rsvps (
+    pick_id VARCHAR(64) REFERENCES bc_club_picks(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL,
+    status VARCHAR(10) NOT NULL, -- 'going', 'maybe', 'no'
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (pick_id, user_id)
+  );
+
+  -- Ratings of past picks from members who never tracked the book
+  CREATE TABLE IF NOT EXISTS bc_club_pick_ratings (
+    pick_id VARCHAR(64) REFERENCES bc_club_picks(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL,
+    rating NUMERIC(2, 1) NOT NULL,
+    rated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (pick_id, user_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS bc_club_reminders_sent (
+    pick_id VARCHAR(64) REFERENCES bc_club_picks(id) ON DELETE CASCADE,
+    lead_days NUMERIC NOT NULL,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (pick_id, lead_days)
+  );
+
+  CREATE TABLE IF NOT EXISTS bc_notification_prefs (
+    user_id VARCHAR(255) PRIMARY KEY,
+    club_reminders BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS bc_club_attendance (
+    pick_id VARCHAR(64) REFERENCES bc_club_picks(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL,
+    recorded_by VARCHAR(255),
+    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (pick_id, user_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS bc_club_spoiler_grants (
+    pick_id VARCHAR(64) REFERENCES bc_club_picks(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL,
+    granted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (pick_id, user_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS bc_club_questions (
+    id SERIAL PRIMARY KEY,
+    pick_id VARCHAR(64) REFERENCES bc_club_picks(id) ON DELETE CASCADE,
+    question TEXT NOT NULL,
+    chapter TEXT, -- optional label, e.g. "Part Two" or "Ch. 5"
+    start_page INTEGER NOT NULL,
+    end_page INTEGER NOT NULL, -- posted once the club's median progress reaches this page
+    submitted_by VARCHAR(255),
+    submitted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    posted_at TIMESTAMP WITH TIME ZONE,
+    posted_channel_id VARCHAR(255),
+    posted_message_id VARCHAR(255)
+  );
+  CREATE INDEX IF NOT EXISTS idx_bc_club_questions_pick ON bc_club_questions(pick_id);
+
+  CREATE TABLE IF NOT EXISTS bc_club_vote_rounds (
+    id SERIAL PRIMARY KEY,
+    circle_id VARCHAR(50) NOT NULL DEFAULT 'main' REFERENCES bc_club_circles(circle_id) ON DELETE CASCADE,
+    mode VARCHAR(20) NOT NULL, -- 'plurality', 'ballot'
+    ranks INTEGER,
+    opened_by VARCHAR(255),
+    opened_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    closes_at TIMESTAMP WITH TIME ZONE,
+    tiebreak VARCHAR(20),
+    channel_id VARCHAR(255),
+    closed_at TIMESTAMP WITH TIME ZONE
+  );
+
+  CREATE TABLE IF NOT EXISTS bc_club_ballot_ranks (
+    round_id INTEGER REFERENCES bc_club_vote_rounds(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL,
+    rank INTEGER NOT NULL,
+    nomination_id VARCHAR(64) REFERENCES bc_club_nominations(id) ON DELETE CASCADE,
+    PRIMARY KEY (round_id, user_id, rank),
+    UNIQUE (round_id, user_id, nomination_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS bc_buddy_reads (
+    id SERIAL PRIMARY KEY,
+    book_id VARCHAR(255) NOT NULL,
+    started_by VARCHAR(255) NOT NULL,
+    channel_id VARCHAR(255), -- where the join card was posted
+    message_id VARCHAR(255),
+    thread_id VARCHAR(255), -- private thread for participants
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMP WITH TIME ZONE -- NULL = active
+  );
+  CREATE INDEX IF NOT EXISTS idx_bc_buddy_reads_book ON bc_buddy_reads(book_id) WHERE ended_at IS NULL;
+
+  CREATE TABLE IF NOT EXISTS bc_buddy_read_members (
+    buddy_read_id INTEGER REFERENCES bc_buddy_reads(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL,
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (buddy_read_id, user_id)
+  );
 `;
 
+// Moves the old bc_club_info 'club_data' JSONB blob into the relational club tables.
+// Runs once: the key is renamed afterwards so later startups skip it.
+async function migrateLegacyClubData(client) {
+  const res = await client.query(`SELECT value FROM bc_club_info WHERE key = 'club_data'`);
+  const data = res.rows[0]?.value;
+  if (!data) return;
+
+  const insertPick = `
+    INSERT INTO bc_club_picks
+      (id, title, author, reason, nominated_by, nominated_at, selected_at, completed_at,
+       discussion_date, schedule, thread_id)
+    VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, NOW()), $8, $9, $10, $11)
+    ON CONFLICT DO NOTHING
+  `;
+  const pickParams = (p, completedAt) => [
+    p.id || `legacy_${new Date(p.selectedAt || Date.now()).getTime()}`,
+    p.title,
+    p.author || null,
+    p.reason || null,
+    p.nominatedBy || null,
+    p.nominatedAt || null,
+    p.selectedAt || null,
+    completedAt,
+    p.discussionDate || null,
+    p.schedule ? JSON.stringify(p.schedule) : null,
+    p.threadId || null,
+  ];
+
+  await client.query('BEGIN');
+  try {
+    for (const pick of data.history || []) {
+      await client.query(insertPick, pickParams(pick, pick.completedAt || pick.selectedAt || new Date().toISOString()));
+    }
+    if (data.currentPick) {
+      await client.query(insertPick, pickParams(data.currentPick, null));
+    }
+
+    for (const nom of data.nominations || []) {
+      await client.query(
+        `INSERT INTO bc_club_nominations (id, title, author, reason, nominated_by, nominated_at)
+         VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()))
+         ON CONFLICT DO NOTHING`,
+        [nom.id, nom.title, nom.author || null, nom.reason || null, nom.nominatedBy || null, nom.nominatedAt || null]
+      );
+      for (const userId of nom.votes || []) {
+        await client.query(
+          `INSERT INTO bc_club_votes (nomination_id, user_id)
+           SELECT $1, $2 WHERE EXISTS (SELECT 1 FROM bc_club_nominations WHERE id = $1)
+           ON CONFLICT DO NOTHING`,
+          [nom.id, userId]
+        );
+      }
+    }
+
+    const round = data.voteRound;
+    if (round) {
+      const roundRes = await client.query(
+        `INSERT INTO bc_club_vote_rounds (mode, ranks, opened_by, opened_at, closes_at, tiebreak, channel_id)
+         VALUES ($1, $2, $3, COALESCE($4, NOW()), $5, $6, $7)
+         ON CONFLICT DO NOTHING
+         RETURNING id`,
+        [round.mode, round.ranks || null, round.openedBy || null, round.openedAt || null,
+          round.closesAt || null, round.tiebreak || null, round.channelId || null]
+      );
+      const roundId = roundRes.rows[0]?.id;
+
+      for (const [userId, ranks] of Object.entries(roundId ? round.ballots || {} : {})) {
+        for (const [rank, nominationId] of ranks.entries()) {
+          if (!nominationId) continue;
+          await client.query(
+            `INSERT INTO bc_club_ballot_ranks (round_id, user_id, rank, nomination_id)
+             SELECT $1, $2, $3, $4 WHERE EXISTS (SELECT 1 FROM bc_club_nominations WHERE id = $4)
+             ON CONFLICT DO NOTHING`,
+            [roundId, userId, rank, nominationId]
+          );
+        }
+      }
+    }
+
+    await client.query(
+      `UPDATE bc_club_info SET key = 'club_data_migrated', updated_at = NOW() WHERE key = 'club_data'`
+    );
+    await client.query('COMMIT');
+    logger.info('Migrated legacy club data to relational tables.');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
 export async function initDB() {
   const client = await pool.connect();
   try {
     logger.info('Initializing database schema...');
     await client.query(SCHEMA);
 
+    // Default reading circle — everyone already using the bot joins it when it's first created
+    const defaultCircle = await client.query(`
+      INSERT INTO bc_club_circles (circle_id, name) VALUES ('main', 'Main Club')
+      ON CONFLICT DO NOTHING
+      RETURNING circle_id
+    `);
+    if (defaultCircle.rowCount) {
+      await client.query(`
+        INSERT INTO bc_club_circle_members (circle_id, user_id)
+        SELECT 'main', user_id FROM bc_users
+        ON CONFLICT DO NOTHING
+      `);
+    }
+
     // Auto-migration for missing columns
     await client.query(`
       ALTER TABLE bc_goodreads_links 
@@ -126,8 +457,76 @@ export async function initDB() {
 
       ALTER TABLE bc_books
       ADD COLUMN IF NOT EXISTS preview_link TEXT;
+
+      -- Ratings allow half stars
+      ALTER TABLE bc_reading_logs
+      ALTER COLUMN rating TYPE NUMERIC(2, 1),
+      ADD COLUMN IF NOT EXISTS review_spoiler BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS dnf_reason TEXT,
+      ADD COLUMN IF NOT EXISTS dropped_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS format VARCHAR(10) NOT NULL DEFAULT 'print',
+      ADD COLUMN IF NOT EXISTS format_position NUMERIC(8, 1),
+      ADD COLUMN IF NOT EXISTS format_length INTEGER;
+
+      ALTER TABLE bc_read_throughs
+      ALTER COLUMN rating TYPE NUMERIC(2, 1),
+      ADD COLUMN IF NOT EXISTS review_spoiler BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+
+      ALTER TABLE bc_reading_history
+      ADD COLUMN IF NOT EXISTS start_page INTEGER,
+      ADD COLUMN IF NOT EXISTS end_page INTEGER,
+      ADD COLUMN IF NOT EXISTS duration_seconds INTEGER;
+
+      ALTER TABLE bc_club_nominations
+      ADD COLUMN IF NOT EXISTS book_id VARCHAR(255);
+
+      ALTER TABLE bc_club_picks
+      ADD COLUMN IF NOT EXISTS book_id VARCHAR(255);
+
+      ALTER TABLE bc_club_nominations
+      ADD COLUMN IF NOT EXISTS circle_id VARCHAR(50) NOT NULL DEFAULT 'main'
+        REFERENCES bc_club_circles(circle_id) ON DELETE CASCADE;
+
+      ALTER TABLE bc_club_picks
+      ADD COLUMN IF NOT EXISTS circle_id VARCHAR(50) NOT NULL DEFAULT 'main'
+        REFERENCES bc_club_circles(circle_id) ON DELETE CASCADE;
+
+      ALTER TABLE bc_club_nominations
+      ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'approved',
+      ADD COLUMN IF NOT EXISTS reviewed_by VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS round_id INTEGER REFERENCES bc_club_nomination_rounds(id) ON DELETE SET NULL;
+
+      ALTER TABLE bc_club_picks
+      ADD COLUMN IF NOT EXISTS discussion_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS event_id VARCHAR(255);
+
+      ALTER TABLE bc_club_vote_rounds
+      ADD COLUMN IF NOT EXISTS circle_id VARCHAR(50) NOT NULL DEFAULT 'main'
+        REFERENCES bc_club_circles(circle_id) ON DELETE CASCADE;
+
+      -- Club uniqueness is per circle
+      DROP INDEX IF EXISTS idx_bc_club_nominations_book;
+      DROP INDEX IF EXISTS idx_bc_club_nominations_book_id;
+      DROP INDEX IF EXISTS idx_bc_club_picks_current;
+      DROP INDEX IF EXISTS idx_bc_club_vote_rounds_open;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_bc_club_nominations_circle_book
+        ON bc_club_nominations (circle_id, LOWER(title), LOWER(COALESCE(author, '')));
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_bc_club_nominations_circle_book_id
+        ON bc_club_nominations (circle_id, book_id) WHERE book_id IS NOT NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_bc_club_picks_circle_current
+        ON bc_club_picks (circle_id) WHERE completed_at IS NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_bc_club_vote_rounds_circle_open
+        ON bc_club_vote_rounds (circle_id) WHERE closed_at IS NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_bc_club_nomination_rounds_circle_open
+        ON bc_club_nomination_rounds (circle_id) WHERE closed_at IS NULL;
     `);
 
+    await migrateLegacyClubData(client);
+
     logger.info('Database schema initialized successfully.');
   } catch (err) {
     logger.error('Failed to initialize database schema', err);
@@ -150,8 +549,25 @@ export async function getClient() {
   return client;
 }
 
+// Runs fn(client) inside BEGIN/COMMIT, rolling back if it throws
+export async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 export default {
   query,
   getClient,
+  withTransaction,
   initDB
 };
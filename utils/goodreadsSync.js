@@ -294,6 +294,7 @@ async function addBooksToTracker(discordUserId, books, client) {
 
       // 2. Insert into bc_reading_logs
       // We use ON CONFLICT to update status if it changed (e.g. reading -> completed)
+      // A read Goodreads already reported that was archived by a re-read is left alone
       await query(
         `INSERT INTO bc_reading_logs (user_id, book_id, status, current_page, total_pages, started_at, completed_at, source, goodreads_id)
          VALUES ($1, $2, $3, $4, $5, $6, $7, 'goodreads', $8)
@@ -301,7 +302,12 @@ async function addBooksToTracker(discordUserId, books, client) {
          SET status = EXCLUDED.status, 
              current_page = CASE WHEN EXCLUDED.status = 'completed' THEN EXCLUDED.total_pages ELSE bc_reading_logs.current_page END,
              completed_at = EXCLUDED.completed_at,
-             updated_at = NOW()`,
+             updated_at = NOW()
+         WHERE NOT EXISTS (
+           SELECT 1 FROM bc_read_throughs rt
+           WHERE rt.user_id = EXCLUDED.user_id AND rt.book_id = EXCLUDED.book_id
+             AND rt.completed_at >= EXCLUDED.completed_at
+         )`,
         [
           discordUserId,
           bookId,
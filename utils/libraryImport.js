@@ -0,0 +1,545 @@
+// utils/libraryImport.js — Goodreads & StoryGraph CSV Import
+// ✅ Reads the Goodreads library export and the StoryGraph export (the RSS sync only sees 100 books per shelf)
+// ✅ Maps shelves/read status, ratings, reviews, read dates, page counts and ISBNs into bc_books + bc_reading_logs
+// ✅ Other Goodreads shelves and StoryGraph tags become tracker tags (utils/tags.js)
+// ✅ planImport() is a dry run (new / updated / conflicting); applyImport() writes the plan in one transaction
+// ✅ Conflicts never overwrite the tracker — they're listed so members can fix them by hand
+
+import { query, withTransaction } from "./db.js";
+import { logger } from "./logger.js";
+import { parseRating } from "./reviews.js";
+import { parseTagName, MAX_TAGS } from "./tags.js";
+
+export const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+export const IMPORT_SOURCES = {
+  goodreads: { label: "Goodreads", source: "goodreads_csv" },
+  storygraph: { label: "StoryGraph", source: "storygraph_csv" },
+};
+
+// Later statuses win; moving an entry backwards is a conflict
+const STATUS_RANK = { planned: 0, reading: 1, dropped: 2, completed: 3 };
+
+// ─────────────────────────────────────────────────────────────
+//   CSV
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Parse RFC 4180 CSV (quoted fields, doubled quotes, newlines inside quotes).
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+/**
+ * Which export a header row belongs to, or null.
+ */
+export function detectSource(headers) {
+  const set = new Set(headers.map((h) => h.trim()));
+  if (set.has("Book Id") && set.has("Exclusive Shelf")) return "goodreads";
+  if (set.has("Read Status") && set.has("ISBN/UID")) return "storygraph";
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────
+//   ROW MAPPING
+// ─────────────────────────────────────────────────────────────
+
+const EXCLUSIVE_SHELVES = new Set(["read", "currently-reading", "to-read"]);
+
+/**
+ * "2023/05/14" or "2023-05-14" → Date (UTC midnight), else null.
+ */
+function parseDate(input) {
+  const match = String(input || "").trim().match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
+  if (!match) return null;
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Goodreads wraps ISBNs as ="0385490836"; StoryGraph mixes ISBNs with its own ids.
+ */
+function parseIsbn(input) {
+  const cleaned = String(input || "").replace(/[="\s-]/g, "").toUpperCase();
+  return /^(\d{13}|\d{9}[\dX])$/.test(cleaned) ? cleaned : null;
+}
+
+function mapStatus(shelf) {
+  const name = String(shelf || "").trim().toLowerCase();
+  if (name === "read") return "completed";
+  if (name === "currently-reading" || name === "paused") return "reading";
+  if (/^(did-not-finish|dnf|abandoned|dropped|gave-up)/.test(name)) return "dropped";
+  return "planned";
+}
+
+function mapFormat(binding) {
+  const name = String(binding || "").toLowerCase();
+  if (/audio/.test(name)) return "audio";
+  if (/kindle|ebook|e-book|digital|nook|kobo/.test(name)) return "ebook";
+  return "print";
+}
+
+function parseImportRating(input) {
+  const text = String(input || "").trim();
+  if (!text || text === "0") return null;
+  return parseRating(text).rating;
+}
+
+/**
+ * Goodreads reviews come with <br/> tags and the odd bit of HTML.
+ */
+function cleanReview(input) {
+  const text = String(input || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .trim();
+  return text ? text.slice(0, 1000) : null;
+}
+
+const splitList = (input) =>
+  String(input || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+function mapGoodreadsRow(get) {
+  const exclusive = get("Exclusive Shelf").trim().toLowerCase();
+  const status = mapStatus(exclusive);
+  const dateRead = parseDate(get("Date Read"));
+
+  return {
+    goodreadsId: get("Book Id").trim() || null,
+    title: get("Title").trim(),
+    author: get("Author").trim() || null,
+    isbn: parseIsbn(get("ISBN13")) || parseIsbn(get("ISBN")),
+    pages: parseInt(get("Number of Pages"), 10) || null,
+    status,
+    format: mapFormat(get("Binding")),
+    rating: parseImportRating(get("My Rating")),
+    review: cleanReview(get("My Review")),
+    spoiler: /^true$/i.test(get("Spoiler").trim()),
+    startedAt: parseDate(get("Date Added")),
+    completedAt: status === "completed" ? dateRead : null,
+    droppedAt: status === "dropped" ? dateRead : null,
+    // A custom exclusive shelf that isn't a DNF shelf is kept as a tag
+    tags: splitList(get("Bookshelves")).filter(
+      (s) => !EXCLUSIVE_SHELVES.has(s.toLowerCase()) && !(s.toLowerCase() === exclusive && status === "dropped")
+    ),
+  };
+}
+
+function mapStoryGraphRow(get) {
+  const status = mapStatus(get("Read Status"));
+  // "2023/01/05-2023/02/01, 2024/03/01-2024/03/20" — the last range is the latest read
+  const latestRange = splitList(get("Dates Read")).pop() || "";
+  const [rangeStart] = latestRange.split("-");
+  const lastRead = parseDate(get("Last Date Read"));
+
+  return {
+    goodreadsId: null,
+    title: get("Title").trim(),
+    author: splitList(get("Authors"))[0] || null,
+    isbn: parseIsbn(get("ISBN/UID")),
+    pages: null,
+    status,
+    format: mapFormat(get("Format")),
+    rating: parseImportRating(get("Star Rating")),
+    review: cleanReview(get("Review")),
+    spoiler: false,
+    startedAt: parseDate(rangeStart) || parseDate(get("Date Added")),
+    completedAt: status === "completed" ? lastRead : null,
+    droppedAt: status === "dropped" ? lastRead : null,
+    tags: splitList(get("Tags")),
+  };
+}
+
+/**
+ * Parse an export file into import records.
+ * @returns {{ source: string|null, records: object[], skipped: number, error: string|null }}
+ */
+export function readExport(text) {
+  const [headers, ...rows] = parseCsv(text);
+  const source = headers ? detectSource(headers) : null;
+  if (!source) {
+    return {
+      source: null,
+      records: [],
+      skipped: 0,
+      error: "That doesn't look like a Goodreads library export or a StoryGraph export.",
+    };
+  }
+
+  const index = new Map(headers.map((h, i) => [h.trim(), i]));
+  const mapRow = source === "goodreads" ? mapGoodreadsRow : mapStoryGraphRow;
+
+  const records = [];
+  let skipped = 0;
+  for (const row of rows) {
+    const get = (name) => (index.has(name) ? row[index.get(name)] ?? "" : "");
+    const record = mapRow(get);
+    if (record.title) records.push(record);
+    else skipped++;
+  }
+
+  return { source, records, skipped, error: null };
+}
+
+// ─────────────────────────────────────────────────────────────
+//   DRY RUN
+// ─────────────────────────────────────────────────────────────
+
+const normalizeTitle = (title) =>
+  String(title || "")
+    .replace(/\s*\([^)]*#[^)]*\)\s*$/, "") // Goodreads series suffix: "(The Expanse, #1)"
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, "");
+const normalizeAuthor = (author) => String(author || "").toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+const matchKey = (title, author) => `${normalizeTitle(title)}|${normalizeAuthor(author)}`;
+
+/**
+ * Compare a record with the member's existing entry.
+ * @returns {{ changes: string[], conflicts: string[], update: object }}
+ */
+function diffEntry(entry, record, newTags, rereading) {
+  const changes = [];
+  const conflicts = [];
+  const update = {};
+
+  const current = entry.status || "planned";
+  if (record.status !== current) {
+    if (STATUS_RANK[record.status] < STATUS_RANK[current]) {
+      conflicts.push(`${current} here, ${record.status} in the export`);
+    } else if (rereading) {
+      // The export's finished read is the one archived when the re-read started
+      conflicts.push("you're re-reading it here");
+    } else {
+      changes.push(`→ ${record.status}`);
+      update.status = record.status;
+    }
+  }
+
+  const status = update.status || current;
+  if (status === "completed" && !entry.completed_at && record.completedAt) {
+    changes.push("read date");
+    update.completedAt = record.completedAt;
+  }
+
+  if (record.rating !== null) {
+    if (entry.rating === null || entry.rating === undefined) {
+      changes.push(`rating ${record.rating}`);
+      update.rating = record.rating;
+    } else if (Number(entry.rating) !== record.rating) {
+      conflicts.push(`rated ${Number(entry.rating)}/5 here, ${record.rating}/5 in the export`);
+    }
+  }
+
+  if (record.review) {
+    if (!entry.review) {
+      changes.push("review");
+      update.review = record.review;
+    } else if (entry.review.trim() !== record.review) {
+      conflicts.push("different review");
+    }
+  }
+
+  if (!Number(entry.total_pages) && record.pages) {
+    changes.push("page count");
+    update.pages = record.pages;
+  }
+
+  if (newTags.length) {
+    changes.push(`tags +${newTags.length}`);
+    update.tags = newTags;
+  }
+
+  return { changes, conflicts, update };
+}
+
+/**
+ * Work out what importing these records would do, without writing anything.
+ * Returns { source, items, skipped, newTags, droppedTags } where each item is
+ * { record, action: 'new'|'update'|'conflict'|'unchanged', entryId, changes, conflicts, update }.
+ */
+export async function planImport(userId, source, records, skipped = 0) {
+  const entriesRes = await query(`
+    SELECT rl.*, b.title, b.author, b.isbn
+    FROM bc_reading_logs rl
+    JOIN bc_books b ON rl.book_id = b.book_id
+    WHERE rl.user_id = $1
+  `, [userId]);
+
+  const byBookId = new Map();
+  const byGoodreadsId = new Map();
+  const byIsbn = new Map();
+  const byKey = new Map();
+  for (const e of entriesRes.rows) {
+    byBookId.set(e.book_id, e);
+    if (e.goodreads_id) byGoodreadsId.set(e.goodreads_id, e);
+    if (e.isbn) byIsbn.set(e.isbn.toUpperCase(), e);
+    byKey.set(matchKey(e.title, e.author), e);
+  }
+
+  const rereadRes = await query(`SELECT DISTINCT book_id FROM bc_read_throughs WHERE user_id = $1`, [userId]);
+  const rereads = new Set(rereadRes.rows.map((r) => r.book_id));
+
+  const tagsRes = await query(`
+    SELECT t.name, rlt.reading_log_id
+    FROM bc_tags t
+    LEFT JOIN bc_reading_log_tags rlt ON rlt.tag_id = t.id
+    WHERE t.user_id = $1
+  `, [userId]);
+  const existingTags = new Map(tagsRes.rows.map((r) => [r.name.toLowerCase(), r.name]));
+  const entryTags = new Set(tagsRes.rows.filter((r) => r.reading_log_id).map((r) => `${r.reading_log_id}|${r.name.toLowerCase()}`));
+
+  // New tags, most used first, up to the member's tag limit
+  const tagUse = new Map();
+  for (const record of records) {
+    record.tags = [...new Set(record.tags.map((t) => parseTagName(t).name).filter(Boolean))];
+    for (const tag of record.tags) {
+      const key = tag.toLowerCase();
+      if (!existingTags.has(key)) tagUse.set(key, { name: tag, count: (tagUse.get(key)?.count || 0) + 1 });
+    }
+  }
+  const candidates = [...tagUse.values()].sort((a, b) => b.count - a.count).map((t) => t.name);
+  const room = Math.max(0, MAX_TAGS - existingTags.size);
+  const newTags = candidates.slice(0, room);
+  const droppedTags = candidates.slice(room);
+  const usable = new Set([...existingTags.keys(), ...newTags.map((t) => t.toLowerCase())]);
+
+  const seen = new Set();
+  const items = [];
+  for (const record of records) {
+    record.tags = record.tags.filter((t) => usable.has(t.toLowerCase()));
+
+    const entry =
+      (record.goodreadsId && (byBookId.get(`gr_${record.goodreadsId}`) || byGoodreadsId.get(record.goodreadsId))) ||
+      (record.isbn && byIsbn.get(record.isbn)) ||
+      byKey.get(matchKey(record.title, record.author));
+
+    // The same book twice in one file: the first row wins
+    const dedupeKey = entry ? `entry:${entry.id}` : record.goodreadsId ? `gr:${record.goodreadsId}` : `key:${matchKey(record.title, record.author)}`;
+    if (seen.has(dedupeKey)) {
+      skipped++;
+      continue;
+    }
+    seen.add(dedupeKey);
+
+    if (!entry) {
+      items.push({ record, action: "new", entryId: null, changes: [], conflicts: [], update: null });
+      continue;
+    }
+
+    const newTagsForEntry = record.tags.filter((t) => !entryTags.has(`${entry.id}|${t.toLowerCase()}`));
+    const rereading = entry.status === "reading" && rereads.has(entry.book_id);
+    const { changes, conflicts, update } = diffEntry(entry, record, newTagsForEntry, rereading);
+    items.push({
+      record,
+      action: conflicts.length ? "conflict" : changes.length ? "update" : "unchanged",
+      entryId: entry.id,
+      bookId: entry.book_id,
+      title: entry.title,
+      changes,
+      conflicts,
+      update,
+    });
+  }
+
+  return { source, items, skipped, newTags, droppedTags };
+}
+
+export function summarizePlan(plan) {
+  const count = (action) => plan.items.filter((i) => i.action === action).length;
+  return {
+    new: count("new"),
+    update: count("update"),
+    conflict: count("conflict"),
+    unchanged: count("unchanged"),
+    skipped: plan.skipped,
+    undated: plan.items.filter((i) => i.action === "new" && i.record.status === "completed" && !i.record.completedAt).length,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+//   APPLY
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Book row for a new entry: Goodreads books use the RSS sync's gr_<id> ids so a
+ * later sync finds them; StoryGraph books reuse any book with the same ISBN.
+ */
+async function resolveBook(db, record) {
+  if (!record.goodreadsId && record.isbn) {
+    const res = await db.query(`SELECT book_id FROM bc_books WHERE UPPER(isbn) = $1 LIMIT 1`, [record.isbn]);
+    if (res.rows[0]) return res.rows[0].book_id;
+  }
+
+  const bookId = record.goodreadsId
+    ? `gr_${record.goodreadsId}`
+    : record.isbn
+      ? `isbn_${record.isbn}`
+      : `import_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+  await db.query(`
+    INSERT INTO bc_books (book_id, title, author, page_count, isbn)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (book_id) DO UPDATE
+    SET page_count = COALESCE(NULLIF(bc_books.page_count, 0), EXCLUDED.page_count),
+        isbn = COALESCE(bc_books.isbn, EXCLUDED.isbn)
+  `, [bookId, record.title, record.author || "Unknown", record.pages || 0, record.isbn]);
+  return bookId;
+}
+
+async function insertEntry(db, userId, source, record) {
+  const bookId = await resolveBook(db, record);
+  const pages = record.pages || 0;
+  const reviewed = record.rating !== null || record.review;
+
+  const res = await db.query(`
+    INSERT INTO bc_reading_logs (
+      user_id, book_id, status, current_page, total_pages, started_at, completed_at,
+      rating, review, review_spoiler, reviewed_at, dropped_at, format, source, goodreads_id, updated_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW())
+    ON CONFLICT (user_id, book_id) DO NOTHING
+    RETURNING id
+  `, [
+    userId,
+    bookId,
+    record.status,
+    record.status === "completed" ? pages : 0,
+    pages,
+    record.startedAt || new Date(),
+    record.completedAt,
+    record.rating,
+    record.review,
+    Boolean(record.review && record.spoiler),
+    reviewed ? record.completedAt || new Date() : null,
+    record.status === "dropped" ? record.droppedAt || new Date() : null,
+    record.format,
+    IMPORT_SOURCES[source].source,
+    record.goodreadsId,
+  ]);
+  return res.rows[0]?.id || null;
+}
+
+async function updateEntry(db, item) {
+  const { update, record } = item;
+  // Only fills in what the entry is missing — conflicts were filtered out in the dry run
+  await db.query(`
+    UPDATE bc_reading_logs
+    SET status = COALESCE($2, status),
+        total_pages = CASE WHEN COALESCE(total_pages, 0) = 0 THEN COALESCE($3, total_pages) ELSE total_pages END,
+        current_page = CASE WHEN $2 = 'completed' THEN GREATEST(current_page, COALESCE(NULLIF(total_pages, 0), $3, 0)) ELSE current_page END,
+        completed_at = CASE WHEN COALESCE($2, status) = 'completed' THEN COALESCE(completed_at, $4) ELSE completed_at END,
+        dropped_at = CASE WHEN $2 = 'dropped' THEN COALESCE($5, NOW()) WHEN $2 = 'completed' THEN NULL ELSE dropped_at END,
+        dnf_reason = CASE WHEN $2 = 'completed' THEN NULL ELSE dnf_reason END,
+        rating = COALESCE(rating, $6),
+        review = COALESCE(review, $7),
+        review_spoiler = CASE WHEN review IS NULL AND $7::text IS NOT NULL THEN $8 ELSE review_spoiler END,
+        reviewed_at = CASE WHEN $6::numeric IS NOT NULL OR $7::text IS NOT NULL THEN COALESCE(reviewed_at, NOW()) ELSE reviewed_at END,
+        goodreads_id = COALESCE(goodreads_id, $9),
+        updated_at = NOW()
+    WHERE id = $1
+  `, [
+    item.entryId,
+    update.status || null,
+    update.pages || null,
+    update.completedAt || record.completedAt || null,
+    record.droppedAt,
+    update.rating ?? null,
+    update.review || null,
+    Boolean(record.spoiler),
+    record.goodreadsId,
+  ]);
+}
+
+/**
+ * Write a plan from planImport(). New and updated books are saved; conflicts and
+ * unchanged books are left alone. Returns { added, updated, tagsCreated }.
+ */
+export async function applyImport(userId, plan) {
+  const result = await withTransaction(async (db) => {
+    let added = 0;
+    let updated = 0;
+    const tagged = []; // [readingLogId, tagNames]
+
+    for (const item of plan.items) {
+      if (item.action === "new") {
+        const id = await insertEntry(db, userId, plan.source, item.record);
+        if (id) {
+          added++;
+          if (item.record.tags.length) tagged.push([id, item.record.tags]);
+        }
+      } else if (item.action === "update") {
+        await updateEntry(db, item);
+        updated++;
+        if (item.update.tags?.length) tagged.push([item.entryId, item.update.tags]);
+      }
+    }
+
+    for (const name of plan.newTags) {
+      await db.query(`
+        INSERT INTO bc_tags (user_id, name)
+        SELECT $1, $2
+        WHERE NOT EXISTS (SELECT 1 FROM bc_tags WHERE user_id = $1 AND LOWER(name) = LOWER($2))
+      `, [userId, name]);
+    }
+
+    if (tagged.length) {
+      const tagRes = await db.query(`SELECT id, name FROM bc_tags WHERE user_id = $1`, [userId]);
+      const tagIds = new Map(tagRes.rows.map((t) => [t.name.toLowerCase(), t.id]));
+      for (const [logId, names] of tagged) {
+        const ids = names.map((n) => tagIds.get(n.toLowerCase())).filter(Boolean);
+        await db.query(`
+          INSERT INTO bc_reading_log_tags (reading_log_id, tag_id)
+          SELECT $1, UNNEST($2::int[])
+          ON CONFLICT DO NOTHING
+        `, [logId, ids]);
+      }
+    }
+
+    return { added, updated, tagsCreated: plan.newTags.length };
+  });
+
+  logger.info("Library import applied", { userId, source: plan.source, ...result });
+  return result;
+}
@@ -167,7 +167,7 @@ class Logger {
     this.debug("Component interaction", {
       type: interaction.isButton()
         ? "button"
-        : interaction.isStringSelectMenu()
+        : interaction.isAnySelectMenu()
         ? "select"
         : "unknown",
       customId: interaction.customId,
@@ -0,0 +1,164 @@
+// utils/meetingTime.js — Club Meeting Dates
+// ✅ Parses free-text discussion dates ("Dec 15, 2025 7pm") into real timestamps
+// ✅ Reads the wall-clock time in the club's timezone (or a trailing IANA zone)
+// ✅ Falls back to a default meeting time when only a date is given
+
+import { config } from "../config.js";
+
+const TIME_PATTERN = /(?:\s+at)?\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Milliseconds the zone is ahead of UTC at the given instant
+function zoneOffsetMs(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(instant)
+      .map((p) => [p.type, p.value])
+  );
+
+  const asUTC = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  return asUTC - instant.getTime();
+}
+
+/**
+ * Convert a wall-clock time in `timeZone` to a Date.
+ * Two passes so times near a DST change land on the right offset.
+ */
+export function zonedTimeToDate({ year, month, day, hour, minute }, timeZone) {
+  const wallClock = Date.UTC(year, month, day, hour, minute);
+  const guess = wallClock - zoneOffsetMs(new Date(wallClock), timeZone);
+  return new Date(wallClock - zoneOffsetMs(new Date(guess), timeZone));
+}
+
+function parseTime(match) {
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3]?.toLowerCase();
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    if (meridiem === "pm" && hour !== 12) hour += 12;
+    if (meridiem === "am" && hour === 12) hour = 0;
+  }
+
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+function parseCalendarDate(text) {
+  const iso = text.match(ISO_DATE_PATTERN);
+  if (iso) {
+    return { year: Number(iso[1]), month: Number(iso[2]) - 1, day: Number(iso[3]) };
+  }
+
+  // Date-only strings without an ISO shape parse as local midnight, so read local fields
+  const parsed = new Date(text);
+  if (isNaN(parsed)) return null;
+
+  // "Dec 15" has no year — use the next Dec 15 rather than V8's default of 2001
+  if (!/\d{4}/.test(text)) {
+    const now = new Date();
+    parsed.setFullYear(now.getFullYear());
+    if (parsed < new Date(now.getFullYear(), now.getMonth(), now.getDate())) {
+      parsed.setFullYear(now.getFullYear() + 1);
+    }
+  }
+
+  return { year: parsed.getFullYear(), month: parsed.getMonth(), day: parsed.getDate() };
+}
+
+/**
+ * Parse a discussion date like "Dec 15, 2025", "Dec 15, 2025 7:30pm"
+ * or "2025-12-15 19:00 Europe/London".
+ * @param {string} input
+ * @param {string} [timeZone] - IANA zone used when the input doesn't name one
+ * @returns {{ valid: boolean, error: string|null, date: Date|null, timeZone: string|null }}
+ */
+export function parseMeetingDate(input, timeZone = config.bookclub.timezone) {
+  let text = String(input || "").trim().replace(/,?\s+$/, "");
+  if (!text) {
+    return { valid: false, error: "Discussion date is empty", date: null, timeZone: null };
+  }
+
+  // Optional trailing zone: "… America/New_York" or "… UTC"
+  const zoneMatch = text.match(/\s+([A-Za-z_]+\/[A-Za-z_\/]+|UTC|GMT)$/);
+  if (zoneMatch) {
+    timeZone = zoneMatch[1];
+    text = text.slice(0, zoneMatch.index).trim();
+  }
+
+  if (!isValidTimeZone(timeZone)) {
+    return { valid: false, error: `Unknown timezone \`${timeZone}\``, date: null, timeZone: null };
+  }
+
+  const [defaultHour, defaultMinute] = config.bookclub.meetingDefaultTime.split(":").map(Number);
+  let time = { hour: defaultHour, minute: defaultMinute || 0 };
+  const timeMatch = text.match(TIME_PATTERN);
+
+  // Only treat the trailing number as a time when it has minutes or am/pm ("Dec 15" stays a date)
+  if (timeMatch && (timeMatch[2] || timeMatch[3])) {
+    time = parseTime(timeMatch);
+    if (!time) {
+      return { valid: false, error: `Couldn't read the time in \`${input}\``, date: null, timeZone: null };
+    }
+    text = text.slice(0, timeMatch.index).trim().replace(/,$/, "");
+  }
+
+  const day = parseCalendarDate(text);
+  if (!day) {
+    return {
+      valid: false,
+      error: `Couldn't read \`${input}\`. Try \`Dec 15, 2025 7pm\` or \`2025-12-15 19:00\`.`,
+      date: null,
+      timeZone: null,
+    };
+  }
+
+  const date = zonedTimeToDate({ ...day, ...time }, timeZone);
+  if (date <= new Date()) {
+    return { valid: false, error: "The discussion date must be in the future", date: null, timeZone: null };
+  }
+
+  return { valid: true, error: null, date, timeZone };
+}
+
+/**
+ * Human-readable label stored alongside the timestamp, e.g. "Mon, Dec 15, 2025, 7:00 PM EST".
+ */
+export function formatMeetingDate(date, timeZone = config.bookclub.timezone) {
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+  }).format(date);
+}
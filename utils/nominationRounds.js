@@ -0,0 +1,159 @@
+// utils/nominationRounds.js — Themed Nomination Rounds
+// ✅ One open round per circle with a theme and optional page/year limits
+// ✅ Checks a book's metadata against the round's rules
+// ✅ Older nominations roll over into the new round (if they fit) or expire
+
+import { query, withTransaction } from "./db.js";
+import { logger } from "./logger.js";
+
+function mapRound(row) {
+  return {
+    id: row.id,
+    circleId: row.circle_id,
+    theme: row.theme,
+    maxPages: row.max_pages,
+    minYear: row.min_year,
+    maxYear: row.max_year,
+    openedBy: row.opened_by,
+    openedAt: row.opened_at,
+    closedAt: row.closed_at,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+//   RULES
+// ─────────────────────────────────────────────────────────────
+
+function publicationYear(publishedDate) {
+  const match = String(publishedDate || "").match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Check a book against a round's limits.
+ * @param {object|null} round
+ * @param {{ pageCount?: number, publishedDate?: string }} book
+ * @param {{ allowUnknown?: boolean }} [options] let books with no page count or year through
+ * @returns {string|null} why the book doesn't fit, or null if it does
+ */
+export function checkRoundRules(round, book, { allowUnknown = false } = {}) {
+  if (!round) return null;
+
+  if (round.maxPages) {
+    if (!book.pageCount) {
+      if (!allowUnknown) return "it has no page count listed, so the page limit can't be checked";
+    } else if (book.pageCount > round.maxPages) {
+      return `it's ${book.pageCount} pages (limit ${round.maxPages})`;
+    }
+  }
+
+  if (round.minYear || round.maxYear) {
+    const year = publicationYear(book.publishedDate);
+    if (!year) return allowUnknown ? null : "it has no publication year listed, so the year limit can't be checked";
+    if (round.minYear && year < round.minYear) return `it was published in ${year} (from ${round.minYear} on)`;
+    if (round.maxYear && year > round.maxYear) return `it was published in ${year} (up to ${round.maxYear})`;
+  }
+
+  return null;
+}
+
+/**
+ * One-line summary of a round's rules, e.g. "≤ 250 pages • published 1990–2010".
+ */
+export function describeRoundRules(round) {
+  const parts = [];
+  if (round.maxPages) parts.push(`≤ ${round.maxPages} pages`);
+  if (round.minYear && round.maxYear) parts.push(`published ${round.minYear}–${round.maxYear}`);
+  else if (round.minYear) parts.push(`published ${round.minYear} or later`);
+  else if (round.maxYear) parts.push(`published ${round.maxYear} or earlier`);
+  return parts.join(" • ");
+}
+
+// ─────────────────────────────────────────────────────────────
+//   ROUNDS
+// ─────────────────────────────────────────────────────────────
+
+export async function getActiveNominationRound(circleId) {
+  const res = await query(
+    `SELECT * FROM bc_club_nomination_rounds WHERE circle_id = $1 AND closed_at IS NULL`,
+    [circleId]
+  );
+  return res.rows[0] ? mapRound(res.rows[0]) : null;
+}
+
+/**
+ * Open a themed round, closing any previous one. Existing nominations either
+ * move into the new round (`rollover`) or are removed. Only nominations whose
+ * listed metadata breaks the new limits expire on rollover; ones missing a page
+ * count or year carry over.
+ * Returns { round, rolledOver, expired } where expired lists the removed
+ * nominations as { title, nominatedBy, status }.
+ */
+export async function openNominationRound({ circleId, theme, maxPages = null, minYear = null, maxYear = null, openedBy, rollover = true }) {
+  return withTransaction(async (db) => {
+    await db.query(
+      `UPDATE bc_club_nomination_rounds SET closed_at = NOW() WHERE circle_id = $1 AND closed_at IS NULL`,
+      [circleId]
+    );
+
+    const roundRes = await db.query(`
+      INSERT INTO bc_club_nomination_rounds (circle_id, theme, max_pages, min_year, max_year, opened_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [circleId, theme, maxPages, minYear, maxYear, openedBy]);
+    const round = mapRound(roundRes.rows[0]);
+
+    const older = await db.query(`
+      SELECT n.id, n.title, n.nominated_by, n.status, b.page_count, b.published_date
+      FROM bc_club_nominations n
+      LEFT JOIN bc_books b ON b.book_id = n.book_id
+      WHERE n.circle_id = $1
+      FOR UPDATE OF n
+    `, [circleId]);
+
+    const keep = [];
+    const expire = [];
+    for (const row of older.rows) {
+      const book = { pageCount: row.page_count, publishedDate: row.published_date };
+      const fits = !checkRoundRules(round, book, { allowUnknown: true });
+      (rollover && fits ? keep : expire).push(row);
+    }
+
+    if (keep.length) {
+      await db.query(
+        `UPDATE bc_club_nominations SET round_id = $1 WHERE id = ANY($2)`,
+        [round.id, keep.map((n) => n.id)]
+      );
+    }
+    if (expire.length) {
+      // Votes and ballot ranks cascade with the nominations
+      await db.query(`DELETE FROM bc_club_nominations WHERE id = ANY($1)`, [expire.map((n) => n.id)]);
+    }
+
+    logger.info("Nomination round opened", {
+      circle: circleId,
+      theme,
+      rolledOver: keep.length,
+      expired: expire.length,
+    });
+
+    return {
+      round,
+      rolledOver: keep.length,
+      expired: expire.map((n) => ({ title: n.title, nominatedBy: n.nominated_by, status: n.status })),
+    };
+  });
+}
+
+/**
+ * End the circle's themed round. Its nominations stay open for voting.
+ * Returns the closed round, or null if none was open.
+ */
+export async function closeNominationRound(circleId) {
+  const res = await query(`
+    UPDATE bc_club_nomination_rounds SET closed_at = NOW()
+    WHERE circle_id = $1 AND closed_at IS NULL
+    RETURNING *
+  `, [circleId]);
+  return res.rows[0] ? mapRound(res.rows[0]) : null;
+}
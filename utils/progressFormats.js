@@ -0,0 +1,171 @@
+// utils/progressFormats.js — Print, Ebook & Audiobook Progress
+// ✅ Each tracker entry has a format: print (pages), ebook (% or location) or audio (h:mm)
+// ✅ current_page always holds the page equivalent, so history, leaderboard and stats stay in pages
+// ✅ The position in the entry's own format is kept alongside (format_position / format_length)
+
+import { query } from "./db.js";
+
+export const FORMATS = {
+  print: { label: "Print", emoji: "📖" },
+  ebook: { label: "Ebook", emoji: "📱" },
+  audio: { label: "Audiobook", emoji: "🎧" },
+};
+
+// Page equivalents when the book has no page count
+export const NOMINAL_EBOOK_PAGES = 300;
+export const AUDIO_MINUTES_PER_PAGE = 2;
+
+const LOCATION_PATTERN = /^(?:loc(?:ation)?\.?\s*)?(\d+)\s*(?:\/|of)\s*(\d+)$/i;
+const PERCENT_PATTERN = /^(\d+(?:[.,]\d+)?)\s*%?$/;
+
+const formatOf = (entry) => (FORMATS[entry.format] ? entry.format : "print");
+
+/**
+ * Pages a whole read of this entry is worth.
+ */
+export function pageBasis(entry) {
+  const pages = Number(entry.total_pages) || Number(entry.page_count) || 0;
+  if (pages) return pages;
+
+  const format = formatOf(entry);
+  if (format === "audio" && entry.format_length) return Math.round(entry.format_length / AUDIO_MINUTES_PER_PAGE);
+  if (format === "ebook") return NOMINAL_EBOOK_PAGES;
+  return 0;
+}
+
+/**
+ * How far through the book the entry is (0–1), or null when unknown.
+ */
+export function progressFraction(entry) {
+  const format = formatOf(entry);
+  const position = entry.format_position === null || entry.format_position === undefined ? null : Number(entry.format_position);
+
+  if (format === "ebook" && position !== null) return Math.min(1, position / 100);
+  if (format === "audio" && position !== null && entry.format_length) return Math.min(1, position / entry.format_length);
+
+  const basis = pageBasis(entry);
+  return basis ? Math.min(1, Number(entry.current_page || 0) / basis) : null;
+}
+
+/**
+ * Page equivalent of a position in the entry's format.
+ */
+export function positionToPages(entry, position) {
+  const format = formatOf(entry);
+  if (format === "print") return Math.round(position);
+
+  if (format === "ebook") return Math.round((position / 100) * pageBasis(entry));
+
+  // Audio: a share of the book when its length is known, otherwise a flat rate
+  if (entry.format_length) return Math.round((position / entry.format_length) * pageBasis(entry));
+  return Math.round(position / AUDIO_MINUTES_PER_PAGE);
+}
+
+/**
+ * Position in the entry's format for a page equivalent (e.g. after /read stop).
+ */
+export function pagesToPosition(entry, pages) {
+  const format = formatOf(entry);
+  if (format === "print") return null;
+
+  const basis = pageBasis(entry);
+  if (format === "ebook") return basis ? Math.min(100, Math.round((pages / basis) * 1000) / 10) : null;
+  if (entry.format_length) return basis ? Math.min(entry.format_length, Math.round((pages / basis) * entry.format_length)) : null;
+  return pages * AUDIO_MINUTES_PER_PAGE;
+}
+
+// ─────────────────────────────────────────────────────────────
+//   INPUT
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Minutes from "3:25", "3h 25m", "3h", "205m" or "205".
+ */
+export function parseDuration(input) {
+  const text = String(input || "").trim().toLowerCase();
+  if (!text) return null;
+
+  let match = text.match(/^(\d+):([0-5]?\d)$/);
+  if (match) return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+
+  match = text.match(/^(?:(\d+)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:ute)?s?)?)?$/);
+  if (match && (match[1] || match[2])) return parseInt(match[1] || 0, 10) * 60 + parseInt(match[2] || 0, 10);
+
+  return /^\d+$/.test(text) ? parseInt(text, 10) : null;
+}
+
+/**
+ * Parse progress typed in the entry's format.
+ * @param {object} entry - tracker row (format, format_length, total_pages, page_count)
+ * @param {string} input - "120", "45%", "1234/5000" or "3:25"
+ * @param {string} [lengthInput] - audiobook length, when given
+ * @returns {{ valid: boolean, error: string|null, pages: number|null, position: number|null, length: number|null }}
+ */
+export function parseProgress(entry, input, lengthInput = "") {
+  const format = formatOf(entry);
+  const text = String(input || "").trim();
+  const fail = (error) => ({ valid: false, error, pages: null, position: null, length: null });
+
+  if (format === "print") {
+    const page = parseInt(text, 10);
+    if (isNaN(page) || page < 0) return fail("Invalid page number.");
+    return { valid: true, error: null, pages: page, position: null, length: null };
+  }
+
+  if (format === "ebook") {
+    let percent;
+    const location = text.match(LOCATION_PATTERN);
+    const plain = text.match(PERCENT_PATTERN);
+    if (location) {
+      const [at, of] = [parseInt(location[1], 10), parseInt(location[2], 10)];
+      if (!of || at > of) return fail("The location can't be past the end of the book.");
+      percent = (at / of) * 100;
+    } else if (plain) {
+      percent = parseFloat(plain[1].replace(",", "."));
+    } else {
+      return fail("Enter a percentage like `45%` or a location like `1234/5000`.");
+    }
+    if (percent > 100) return fail("Progress can't be over 100%.");
+
+    const position = Math.round(percent * 10) / 10;
+    return { valid: true, error: null, pages: positionToPages(entry, position), position, length: null };
+  }
+
+  const position = parseDuration(text);
+  if (position === null) return fail("Enter the time listened like `3:25` or `3h 25m`.");
+
+  const length = lengthInput?.trim() ? parseDuration(lengthInput) : entry.format_length || null;
+  if (lengthInput?.trim() && !length) return fail("Enter the audiobook length like `10:30`.");
+  if (length && position > length) return fail("That's past the end of the audiobook.");
+
+  const withLength = { ...entry, format_length: length };
+  return { valid: true, error: null, pages: positionToPages(withLength, position), position, length };
+}
+
+// ─────────────────────────────────────────────────────────────
+//   STORAGE
+// ─────────────────────────────────────────────────────────────
+
+export async function savePosition(userId, bookId, { position, length = null }) {
+  await query(`
+    UPDATE bc_reading_logs
+    SET format_position = $3, format_length = COALESCE($4, format_length)
+    WHERE user_id = $1 AND book_id = $2
+  `, [userId, bookId, position, length]);
+}
+
+/**
+ * Switch an entry's format, carrying its progress over.
+ */
+export async function setFormat(userId, entry, format) {
+  const fraction = progressFraction(entry);
+  let position = null;
+  if (format === "ebook" && fraction !== null) position = Math.round(fraction * 1000) / 10;
+  if (format === "audio" && fraction !== null && entry.format_length) position = Math.round(fraction * entry.format_length);
+
+  await query(`
+    UPDATE bc_reading_logs
+    SET format = $3, format_position = $4, updated_at = NOW()
+    WHERE user_id = $1 AND book_id = $2
+  `, [userId, entry.book_id, format, position]);
+}
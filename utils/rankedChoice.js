@@ -0,0 +1,52 @@
+// utils/rankedChoice.js — Instant-Runoff Tally
+// ✅ Counts each ballot toward its highest-ranked remaining choice
+// ✅ Eliminates the last-place nominations until one has a majority
+// ✅ Keeps a round-by-round breakdown for the results embed
+
+/**
+ * Run an instant-runoff tally.
+ * @param {string[][]} ballots - Each ballot is a list of candidate IDs, best first
+ * @param {string[]} candidateIds - Every candidate still on the ballot
+ * @returns {{ winner: string|null, tied: string[], rounds: Array<{ counts: Object, exhausted: number, eliminated: string[] }> }}
+ */
+export function instantRunoff(ballots, candidateIds) {
+  const remaining = new Set(candidateIds);
+  const rounds = [];
+
+  while (remaining.size) {
+    const counts = Object.fromEntries([...remaining].map((id) => [id, 0]));
+    let exhausted = 0;
+
+    for (const ballot of ballots) {
+      const choice = ballot.find((id) => remaining.has(id));
+      if (choice) counts[choice]++;
+      else exhausted++;
+    }
+
+    const round = { counts, exhausted, eliminated: [] };
+    rounds.push(round);
+
+    const active = ballots.length - exhausted;
+    if (active === 0) {
+      return { winner: null, tied: [...remaining], rounds };
+    }
+
+    const [leader, leaderVotes] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    if (leaderVotes * 2 > active || remaining.size === 1) {
+      return { winner: leader, tied: [], rounds };
+    }
+
+    const fewest = Math.min(...Object.values(counts));
+    const lowest = Object.keys(counts).filter((id) => counts[id] === fewest);
+
+    // Everyone left is level — nobody can be eliminated fairly
+    if (lowest.length === remaining.size) {
+      return { winner: null, tied: lowest, rounds };
+    }
+
+    round.eliminated = lowest;
+    lowest.forEach((id) => remaining.delete(id));
+  }
+
+  return { winner: null, tied: [], rounds };
+}
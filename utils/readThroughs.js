@@ -0,0 +1,77 @@
+// utils/readThroughs.js — Re-reads
+// ✅ A tracker entry is the current read-through of a book
+// ✅ Starting a re-read archives the finished one (dates, rating, review) to bc_read_throughs
+// ✅ Completion stats and goals count every read-through via the bc_completions view
+
+import { query, withTransaction } from "./db.js";
+import { logger } from "./logger.js";
+
+function mapReadThrough(row) {
+  return {
+    id: row.id,
+    bookId: row.book_id,
+    pagesRead: row.pages_read,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    rating: row.rating === null ? null : Number(row.rating),
+    review: row.review,
+    reviewSpoiler: row.review_spoiler,
+  };
+}
+
+/**
+ * Finished read-throughs of a book before the current one, oldest first.
+ */
+export async function getReadThroughs(userId, bookId) {
+  const res = await query(`
+    SELECT * FROM bc_read_throughs
+    WHERE user_id = $1 AND book_id = $2
+    ORDER BY completed_at ASC NULLS FIRST, id ASC
+  `, [userId, bookId]);
+  return res.rows.map(mapReadThrough);
+}
+
+/**
+ * Archive a completed tracker entry and reset it for another read.
+ * Returns the number of the new read-through, or null if the entry isn't completed.
+ */
+export async function startReRead(userId, bookId) {
+  const readNumber = await withTransaction(async (db) => {
+    const res = await db.query(`
+      SELECT * FROM bc_reading_logs
+      WHERE user_id = $1 AND book_id = $2 AND status = 'completed'
+      FOR UPDATE
+    `, [userId, bookId]);
+    const entry = res.rows[0];
+    if (!entry) return null;
+
+    await db.query(`
+      INSERT INTO bc_read_throughs
+        (user_id, book_id, pages_read, started_at, completed_at, rating, review, review_spoiler, reviewed_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      userId, bookId, entry.current_page || 0, entry.started_at, entry.completed_at,
+      entry.rating, entry.review, entry.review_spoiler, entry.reviewed_at,
+    ]);
+
+    await db.query(`
+      UPDATE bc_reading_logs
+      SET status = 'reading', current_page = 0, started_at = NOW(), completed_at = NULL,
+          rating = NULL, review = NULL, review_spoiler = FALSE, reviewed_at = NULL, updated_at = NOW()
+      WHERE id = $1
+    `, [entry.id]);
+
+    const count = await db.query(
+      `SELECT COUNT(*) FROM bc_read_throughs WHERE user_id = $1 AND book_id = $2`,
+      [userId, bookId]
+    );
+    return parseInt(count.rows[0].count) + 1;
+  });
+
+  if (readNumber) logger.info("Re-read started", { userId, bookId, readNumber });
+  return readNumber;
+}
+
+export async function deleteReadThroughs(userId, bookId) {
+  await query(`DELETE FROM bc_read_throughs WHERE user_id = $1 AND book_id = $2`, [userId, bookId]);
+}
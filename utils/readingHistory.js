@@ -0,0 +1,156 @@
+// utils/readingHistory.js — Editable Reading History
+// ✅ Paginated bc_reading_history log for /tracker history
+// ✅ Edit or delete an entry; "Undo last update" deletes a book's latest one
+// ✅ The tracker entry's current_page (and completion) follows when the entry was its latest update
+
+import { query, withTransaction } from "./db.js";
+import { logger } from "./logger.js";
+import { pagesToPosition } from "./progressFormats.js";
+
+export const HISTORY_PER_PAGE = 10;
+
+function mapHistoryEntry(row) {
+  return {
+    id: row.id,
+    bookId: row.book_id,
+    title: row.title,
+    pagesRead: row.pages_read,
+    startPage: row.start_page,
+    endPage: row.end_page,
+    durationSeconds: row.duration_seconds,
+    timestamp: row.timestamp,
+  };
+}
+
+/**
+ * A page of the member's history, newest first. Returns { entries, total }.
+ */
+export async function getHistoryPage(userId, page = 0) {
+  const count = await query(`SELECT COUNT(*) FROM bc_reading_history WHERE user_id = $1`, [userId]);
+
+  const res = await query(`
+    SELECT h.*, COALESCE(b.title, h.book_id) AS title
+    FROM bc_reading_history h
+    LEFT JOIN bc_books b ON b.book_id = h.book_id
+    WHERE h.user_id = $1
+    ORDER BY h.timestamp DESC, h.id DESC
+    LIMIT $2 OFFSET $3
+  `, [userId, HISTORY_PER_PAGE, page * HISTORY_PER_PAGE]);
+
+  return { entries: res.rows.map(mapHistoryEntry), total: parseInt(count.rows[0].count) };
+}
+
+export async function getHistoryEntry(userId, id) {
+  const res = await query(`
+    SELECT h.*, COALESCE(b.title, h.book_id) AS title
+    FROM bc_reading_history h
+    LEFT JOIN bc_books b ON b.book_id = h.book_id
+    WHERE h.id = $1 AND h.user_id = $2
+  `, [id, userId]);
+  return res.rows[0] ? mapHistoryEntry(res.rows[0]) : null;
+}
+
+/**
+ * The latest history entry for one of the member's books.
+ */
+export async function getLastHistoryEntry(userId, bookId) {
+  const res = await query(`
+    SELECT h.*, COALESCE(b.title, h.book_id) AS title
+    FROM bc_reading_history h
+    LEFT JOIN bc_books b ON b.book_id = h.book_id
+    WHERE h.user_id = $1 AND h.book_id = $2
+    ORDER BY h.timestamp DESC, h.id DESC
+    LIMIT 1
+  `, [userId, bookId]);
+  return res.rows[0] ? mapHistoryEntry(res.rows[0]) : null;
+}
+
+/**
+ * Move the tracker entry back in line after its latest update changed.
+ * Only applies when the tracker still sits where that update left it,
+ * so later manual changes aren't overwritten. Returns the new page or null.
+ */
+async function syncTracker(db, userId, row, newEnd, delta) {
+  const latest = await db.query(`
+    SELECT 1 FROM bc_reading_history
+    WHERE user_id = $1 AND book_id = $2 AND (timestamp, id) > ($3, $4)
+    LIMIT 1
+  `, [userId, row.book_id, row.timestamp, row.id]);
+  if (latest.rowCount) return null;
+
+  const res = await db.query(`
+    SELECT * FROM bc_reading_logs WHERE user_id = $1 AND book_id = $2 FOR UPDATE
+  `, [userId, row.book_id]);
+  const entry = res.rows[0];
+  if (!entry) return null;
+
+  const current = Number(entry.current_page || 0);
+  let page;
+  if (row.end_page !== null) {
+    if (current !== row.end_page) return null;
+    page = newEnd;
+  } else {
+    // Older entries only know how many pages were read
+    page = Math.max(0, current + delta);
+  }
+
+  const total = Number(entry.total_pages || 0);
+  const status =
+    total && page >= total ? "completed" : entry.status === "completed" ? "reading" : entry.status;
+
+  await db.query(`
+    UPDATE bc_reading_logs
+    SET current_page = $1, status = $2,
+        completed_at = CASE WHEN $2 = 'completed' THEN COALESCE(completed_at, NOW()) END,
+        format_position = $3, updated_at = NOW()
+    WHERE id = $4
+  `, [page, status, pagesToPosition(entry, page), entry.id]);
+
+  return page;
+}
+
+/**
+ * Change how many pages an entry logged. Returns { entry, currentPage } or null.
+ */
+export async function editHistoryEntry(userId, id, pagesRead) {
+  const result = await withTransaction(async (db) => {
+    const res = await db.query(
+      `SELECT * FROM bc_reading_history WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+      [id, userId]
+    );
+    const row = res.rows[0];
+    if (!row) return null;
+
+    const newEnd = row.start_page !== null ? row.start_page + pagesRead : row.end_page;
+    await db.query(
+      `UPDATE bc_reading_history SET pages_read = $1, end_page = $2 WHERE id = $3`,
+      [pagesRead, newEnd, id]
+    );
+
+    const currentPage = await syncTracker(db, userId, row, newEnd, pagesRead - row.pages_read);
+    return { bookId: row.book_id, currentPage };
+  });
+
+  if (result) logger.info("Reading history entry edited", { userId, id, pagesRead });
+  return result;
+}
+
+/**
+ * Remove an entry. Returns { bookId, currentPage } or null.
+ */
+export async function deleteHistoryEntry(userId, id) {
+  const result = await withTransaction(async (db) => {
+    const res = await db.query(
+      `DELETE FROM bc_reading_history WHERE id = $1 AND user_id = $2 RETURNING *`,
+      [id, userId]
+    );
+    const row = res.rows[0];
+    if (!row) return null;
+
+    const currentPage = await syncTracker(db, userId, row, row.start_page, -row.pages_read);
+    return { bookId: row.book_id, currentPage };
+  });
+
+  if (result) logger.info("Reading history entry deleted", { userId, id });
+  return result;
+}
@@ -0,0 +1,105 @@
+// utils/readingProgress.js — Tracker Progress Updates
+// ✅ Moves a tracker entry to a new page (tracker modal and /read stop share this)
+// ✅ Logs the pages read to bc_reading_history, with session timing when given
+// ✅ Runs the follow-ups: buddy read completion and the spoiler role
+// ✅ Did-not-finish keeps the pages read but drops the book from completions
+
+import { query } from "./db.js";
+import { appendReadingLog } from "./analytics.js";
+import { checkBuddyReadCompletion } from "./buddyReads.js";
+import { checkSpoilerRole } from "./spoilerRole.js";
+
+/**
+ * Side effects of progress on a book. Returns true if the spoiler role was unlocked.
+ */
+export async function runProgressHooks(interaction, bookId, justCompleted) {
+  if (justCompleted) {
+    await checkBuddyReadCompletion(interaction.client, interaction.user.id, bookId);
+  }
+  return checkSpoilerRole(interaction.guild, interaction.user.id, bookId);
+}
+
+async function logPages(userId, entry, oldPage, newPage, session = null) {
+  const pagesRead = Math.max(0, newPage - oldPage);
+  let durationSeconds = session?.durationSeconds ?? null;
+
+  // Pages logged through /tracker while a /read session ran already have their own
+  // untimed rows; split the session's time across them by pages so speeds stay right
+  if (session?.startedAt) {
+    const spanned = newPage - Number(session.startPage || 0);
+    if (spanned > pagesRead) {
+      await query(`
+        UPDATE bc_reading_history
+        SET duration_seconds = ROUND($4::numeric * pages_read / $5)
+        WHERE user_id = $1 AND book_id = $2 AND timestamp >= $3
+          AND duration_seconds IS NULL AND pages_read > 0
+      `, [userId, entry.book_id, session.startedAt, durationSeconds, spanned]);
+      durationSeconds = Math.round((durationSeconds * pagesRead) / spanned);
+    }
+  }
+
+  if (pagesRead > 0 || session) {
+    await appendReadingLog(userId, entry.book_id, pagesRead, {
+      startPage: oldPage,
+      endPage: newPage,
+      durationSeconds,
+    });
+  }
+}
+
+/**
+ * Set a tracker entry's current page, completing it when the last page is reached.
+ * @param {object} entry - bc_reading_logs row (with book_id, current_page, total_pages, status)
+ * @param {number} newPage
+ * @param {{ durationSeconds?: number, startPage?: number, startedAt?: Date }} [session] - timing from /read
+ * @returns {{ status: string, pagesRead: number, justCompleted: boolean, spoilersUnlocked: boolean }}
+ */
+export async function applyProgress(interaction, entry, newPage, session = null) {
+  const userId = interaction.user.id;
+  const oldPage = Number(entry.current_page || 0);
+  const pagesRead = Math.max(0, newPage - oldPage);
+
+  let status = entry.status;
+  let completedAt = entry.completed_at;
+
+  if (entry.total_pages && newPage >= entry.total_pages) {
+    status = "completed";
+    completedAt = completedAt || new Date();
+  } else if ((status === "planned" || status === "dropped") && newPage > 0) {
+    // Logging pages on a DNF book picks it back up
+    status = "reading";
+  }
+
+  await query(`
+    UPDATE bc_reading_logs
+    SET current_page = $1, status = $2, completed_at = $3,
+        started_at = COALESCE(started_at, NOW()), updated_at = NOW(),
+        dnf_reason = CASE WHEN $2 = 'dropped' THEN dnf_reason END,
+        dropped_at = CASE WHEN $2 = 'dropped' THEN dropped_at END
+    WHERE user_id = $4 AND book_id = $5
+  `, [newPage, status, completedAt, userId, entry.book_id]);
+
+  await logPages(userId, entry, oldPage, newPage, session);
+
+  const justCompleted = status === "completed" && entry.status !== "completed";
+  const spoilersUnlocked = await runProgressHooks(interaction, entry.book_id, justCompleted);
+
+  return { status, pagesRead, justCompleted, spoilersUnlocked };
+}
+
+/**
+ * Mark an entry did-not-finish at `page`. Pages read up to there still go to
+ * bc_reading_history (and so the leaderboard); the entry no longer counts as completed.
+ */
+export async function markDnf(userId, entry, page, reason = null) {
+  const oldPage = Number(entry.current_page || 0);
+
+  await query(`
+    UPDATE bc_reading_logs
+    SET status = 'dropped', current_page = $1, dnf_reason = $2, dropped_at = NOW(),
+        completed_at = NULL, started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+    WHERE user_id = $3 AND book_id = $4
+  `, [page, reason?.trim() || null, userId, entry.book_id]);
+
+  await logPages(userId, entry, oldPage, page);
+}
@@ -0,0 +1,191 @@
+// utils/readingSchedule.js — Club Pick Reading Schedules
+// ✅ Parses admin-entered sections ("Part One: 1-120 @ Dec 1, 2025; ...")
+// ✅ Finds the section due this week
+// ✅ Places a member on the schedule from their current page
+// ✅ Ahead/behind pace against the schedule or the discussion date
+// ✅ Spoiler-gates section labels until their checkpoint date
+
+import { config } from "../config.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SECTION_PATTERN = /^(?:(.+?)\s*:\s*)?(\d+)\s*-\s*(\d+)\s*@\s*(.+)$/;
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+// ─────────────────────────────────────────────────────────────
+//   PARSE
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Parse a schedule string into sections.
+ * Sections are separated by ";" or new lines, each written as
+ * "[Label:] startPage-endPage @ date".
+ * @param {string} input
+ * @returns {{ valid: boolean, error: string|null, sections: Array|null }}
+ */
+export function parseSchedule(input) {
+  const parts = String(input || "")
+    .split(/[;\n]/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+
+  if (!parts.length) {
+    return { valid: false, error: "Schedule is empty", sections: null };
+  }
+
+  const sections = [];
+
+  for (const [idx, part] of parts.entries()) {
+    const match = part.match(SECTION_PATTERN);
+    if (!match) {
+      return {
+        valid: false,
+        error: `Couldn't read section ${idx + 1} (\`${part}\`). Use \`Label: 1-50 @ Dec 1, 2025\`.`,
+        sections: null,
+      };
+    }
+
+    const [, label, start, end, dateStr] = match;
+    const startPage = parseInt(start, 10);
+    const endPage = parseInt(end, 10);
+    const dueDate = new Date(dateStr.trim());
+
+    if (startPage < 1 || endPage < startPage || endPage > config.validation.maxPage) {
+      return {
+        valid: false,
+        error: `Section ${idx + 1} has an invalid page range (${startPage}-${endPage}).`,
+        sections: null,
+      };
+    }
+
+    if (isNaN(dueDate)) {
+      return {
+        valid: false,
+        error: `Section ${idx + 1} has an invalid date (\`${dateStr.trim()}\`).`,
+        sections: null,
+      };
+    }
+
+    sections.push({
+      label: (label || `Section ${idx + 1}`).slice(0, 80),
+      startPage,
+      endPage,
+      dueDate: dueDate.toISOString(),
+    });
+  }
+
+  sections.sort((a, b) => a.startPage - b.startPage);
+
+  for (let i = 1; i < sections.length; i++) {
+    if (sections[i].startPage <= sections[i - 1].endPage) {
+      return {
+        valid: false,
+        error: `Sections "${sections[i - 1].label}" and "${sections[i].label}" overlap.`,
+        sections: null,
+      };
+    }
+    if (new Date(sections[i].dueDate) < new Date(sections[i - 1].dueDate)) {
+      return {
+        valid: false,
+        error: `"${sections[i].label}" is due before "${sections[i - 1].label}".`,
+        sections: null,
+      };
+    }
+  }
+
+  return { valid: true, error: null, sections };
+}
+
+// ─────────────────────────────────────────────────────────────
+//   LOOKUPS
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * The section members should be working on: the first one whose due date
+ * hasn't passed yet. Returns null once every checkpoint is behind us.
+ */
+export function getCurrentSection(sections, now = new Date()) {
+  if (!sections?.length) return null;
+
+  const today = startOfDay(now);
+  const idx = sections.findIndex((s) => new Date(s.dueDate) >= today);
+  if (idx === -1) return null;
+
+  const section = sections[idx];
+  const daysLeft = Math.round((startOfDay(section.dueDate) - today) / DAY_MS);
+
+  return { ...section, index: idx, daysLeft, dueThisWeek: daysLeft < 7 };
+}
+
+/**
+ * The page members should have reached by now: the end of the last section
+ * whose checkpoint has passed (0 before the first one).
+ */
+function getScheduleTarget(sections, now = new Date()) {
+  const today = startOfDay(now);
+  const passed = sections.filter((s) => new Date(s.dueDate) < today);
+  return passed.length ? passed[passed.length - 1].endPage : 0;
+}
+
+/**
+ * Where a member sits on the schedule given their current page.
+ * `completed` is the number of sections fully read.
+ */
+export function getMemberPosition(sections, currentPage, now = new Date()) {
+  const page = Number(currentPage || 0);
+  const completed = sections.filter((s) => page >= s.endPage).length;
+  const behindBy = Math.max(0, getScheduleTarget(sections, now) - page);
+
+  return {
+    page,
+    completed,
+    total: sections.length,
+    onTrack: behindBy === 0,
+    behindBy,
+  };
+}
+
+/**
+ * Pages a member is ahead of (positive) or behind (negative) where they should be.
+ * Uses the pick's schedule when it has one, otherwise an even pace from the day
+ * the pick was selected to the discussion date. Small gaps count as on pace (0).
+ * Returns null when there's nothing to measure against.
+ */
+export function getPaceOffset(pick, currentPage, totalPages, now = new Date()) {
+  const page = Number(currentPage || 0);
+  const withinTolerance = (offset) =>
+    Math.abs(offset) <= Math.max(5, Math.round((totalPages || 0) * 0.02)) ? 0 : offset;
+
+  if (pick.schedule?.length) {
+    return withinTolerance(page - getScheduleTarget(pick.schedule, now));
+  }
+
+  if (!pick.discussionAt || !totalPages) return null;
+
+  const start = new Date(pick.selectedAt).getTime();
+  const end = new Date(pick.discussionAt).getTime();
+  const elapsed = end > start ? Math.min(1, Math.max(0, (now.getTime() - start) / (end - start))) : 1;
+  return withinTolerance(page - Math.round(totalPages * elapsed));
+}
+
+/**
+ * A section label is revealed once its checkpoint date has passed,
+ * or once the viewer has read past it.
+ */
+export function isSectionRevealed(section, memberPage = 0, now = new Date()) {
+  return new Date(section.dueDate) < startOfDay(now) || Number(memberPage) >= section.endPage;
+}
+
+export function formatSectionLine(section, memberPage = 0, now = new Date()) {
+  const label = isSectionRevealed(section, memberPage, now)
+    ? section.label
+    : `||${section.label}||`;
+  const due = Math.floor(new Date(section.dueDate).getTime() / 1000);
+  const done = Number(memberPage) >= section.endPage ? " ✅" : "";
+
+  return `**${label}** — pp. ${section.startPage}-${section.endPage} • due <t:${due}:D>${done}`;
+}
@@ -0,0 +1,131 @@
+// utils/reviews.js — Ratings & Reviews
+// ✅ 1–5 star ratings in half stars, stored on the tracker entry (bc_reading_logs.rating)
+// ✅ Optional written review with a spoiler flag
+// ✅ /reviews lists everyone's reviews of a book across editions (same title and author), re-reads included
+
+import { query } from "./db.js";
+import { logger } from "./logger.js";
+
+export const REVIEW_MAX_LENGTH = 1000;
+export const REVIEWS_PER_PAGE = 5;
+
+/**
+ * Parse "4", "3.5", "3,5", "4/5" or "★★★★" into a rating rounded to the nearest half star.
+ * An empty input means no rating.
+ * @returns {{ valid: boolean, error: string|null, rating: number|null }}
+ */
+export function parseRating(input) {
+  const text = String(input || "").trim();
+  if (!text) return { valid: true, error: null, rating: null };
+
+  let value;
+  if (/^[★⭐]+½?$/.test(text)) {
+    value = [...text.replace("½", "")].length + (text.endsWith("½") ? 0.5 : 0);
+  } else {
+    const match = text.replace(",", ".").match(/^(\d(?:\.\d+)?)(?:\s*\/\s*5)?$/);
+    value = match ? parseFloat(match[1]) : NaN;
+  }
+
+  const rating = Math.round(value * 2) / 2;
+  if (isNaN(rating) || rating < 1 || rating > 5) {
+    return { valid: false, error: "Ratings go from 1 to 5 — half stars like `3.5` are fine.", rating: null };
+  }
+  return { valid: true, error: null, rating };
+}
+
+/**
+ * Save the rating and review on the member's current read-through of a book.
+ */
+export async function saveReview(userId, bookId, { rating, review = null, spoiler = false }) {
+  const text = review?.trim() ? review.trim().slice(0, REVIEW_MAX_LENGTH) : null;
+
+  const res = await query(`
+    UPDATE bc_reading_logs
+    SET rating = $3, review = $4, review_spoiler = $5,
+        reviewed_at = CASE WHEN $3::numeric IS NULL AND $4::text IS NULL THEN NULL ELSE NOW() END,
+        updated_at = NOW()
+    WHERE user_id = $1 AND book_id = $2
+  `, [userId, bookId, rating, text, Boolean(text && spoiler)]);
+
+  if (res.rowCount) logger.info("Review saved", { userId, bookId, rating, hasReview: Boolean(text) });
+  return res.rowCount > 0;
+}
+
+// Editions of a book share a title and author; different books can share a title
+const SAME_BOOK = `LOWER(b.title) = LOWER($1) AND LOWER(COALESCE(b.author, '')) = LOWER(COALESCE($2, ''))`;
+
+const HAS_REVIEW = `(
+  EXISTS (SELECT 1 FROM bc_reading_logs rl WHERE rl.book_id = b.book_id AND (rl.rating IS NOT NULL OR rl.review IS NOT NULL))
+  OR EXISTS (SELECT 1 FROM bc_read_throughs rt WHERE rt.book_id = b.book_id AND (rt.rating IS NOT NULL OR rt.review IS NOT NULL))
+)`;
+
+/**
+ * Books with at least one rating or review, for /reviews autocomplete.
+ */
+export async function searchReviewedBooks(term, limit = 25) {
+  const res = await query(`
+    SELECT DISTINCT ON (LOWER(b.title), LOWER(COALESCE(b.author, ''))) b.book_id, b.title, b.author
+    FROM bc_books b
+    WHERE b.title ILIKE $1 AND ${HAS_REVIEW}
+    ORDER BY LOWER(b.title), LOWER(COALESCE(b.author, '')), b.book_id
+    LIMIT $2
+  `, [`%${term}%`, limit]);
+  return res.rows;
+}
+
+/**
+ * A book by id, or by typed title. When several books share the title, one
+ * with reviews wins, so the author shown on /reviews tells them apart.
+ */
+export async function findBook(input) {
+  const res = await query(`
+    SELECT b.book_id, b.title, b.author FROM bc_books b
+    WHERE b.book_id = $1 OR LOWER(b.title) = LOWER($1)
+    ORDER BY (b.book_id = $1) DESC, ${HAS_REVIEW} DESC
+    LIMIT 1
+  `, [input]);
+  return res.rows[0] || null;
+}
+
+/**
+ * Everyone's ratings and reviews of a book (any edition with the same title and author), newest first.
+ * Returns { reviews, total, average, ratings }.
+ */
+export async function getBookReviews(book, page = 0) {
+  const source = `
+    SELECT rl.user_id, rl.rating, rl.review, rl.review_spoiler, COALESCE(rl.reviewed_at, rl.completed_at, rl.updated_at) AS at
+    FROM bc_reading_logs rl
+    JOIN bc_books b ON b.book_id = rl.book_id
+    WHERE ${SAME_BOOK} AND (rl.rating IS NOT NULL OR rl.review IS NOT NULL)
+    UNION ALL
+    SELECT rt.user_id, rt.rating, rt.review, rt.review_spoiler, COALESCE(rt.reviewed_at, rt.completed_at, rt.archived_at) AS at
+    FROM bc_read_throughs rt
+    JOIN bc_books b ON b.book_id = rt.book_id
+    WHERE ${SAME_BOOK} AND (rt.rating IS NOT NULL OR rt.review IS NOT NULL)
+  `;
+
+  const summary = await query(`
+    SELECT COUNT(*) AS total, AVG(rating) AS average, COUNT(rating) AS ratings
+    FROM (${source}) r
+  `, [book.title, book.author]);
+
+  const res = await query(`
+    SELECT * FROM (${source}) r
+    ORDER BY (review IS NOT NULL) DESC, at DESC NULLS LAST
+    LIMIT $3 OFFSET $4
+  `, [book.title, book.author, REVIEWS_PER_PAGE, page * REVIEWS_PER_PAGE]);
+
+  const row = summary.rows[0];
+  return {
+    reviews: res.rows.map((r) => ({
+      userId: r.user_id,
+      rating: r.rating === null ? null : Number(r.rating),
+      review: r.review,
+      spoiler: r.review_spoiler,
+      at: r.at,
+    })),
+    total: parseInt(row.total),
+    average: row.average ? Number(row.average) : null,
+    ratings: parseInt(row.ratings),
+  };
+}
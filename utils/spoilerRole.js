@@ -0,0 +1,103 @@
+// utils/spoilerRole.js — Progress-Gated Spoiler Role
+// ✅ Grants the configured role once a member finishes the current pick (or reaches a set page)
+// ✅ Triggered from the tracker's progress update and complete handlers
+// ✅ Removed from everyone it was granted to when the next pick is selected
+// ✅ Only tracks grants the bot made, so manually assigned roles are left alone
+
+import { config } from "../config.js";
+import { query } from "./db.js";
+import { logger } from "./logger.js";
+
+function spoilerRoleEnabled() {
+  return Boolean(config.bookclub.spoilerRoleId);
+}
+
+/**
+ * The current pick of the spoiler circle, if this tracker entry is for it and has
+ * reached the threshold. Mirrors pickBookFilter(): exact edition, or title/author
+ * for older picks without one.
+ */
+async function getUnlockedPick(userId, bookId) {
+  const res = await query(`
+    SELECT p.id, rl.status, rl.current_page
+    FROM bc_club_picks p
+    JOIN bc_reading_logs rl ON rl.user_id = $2 AND rl.book_id = $3
+    JOIN bc_books b ON b.book_id = rl.book_id
+    WHERE p.circle_id = $1 AND p.completed_at IS NULL
+      AND (
+        p.book_id = rl.book_id
+        OR (p.book_id IS NULL AND LOWER(b.title) = LOWER(p.title) AND LOWER(b.author) = LOWER(p.author))
+      )
+  `, [config.bookclub.spoilerRoleCircle, userId, bookId]);
+
+  const row = res.rows[0];
+  if (!row) return null;
+
+  const page = config.bookclub.spoilerRolePage;
+  const unlocked = row.status === "completed" || (page > 0 && Number(row.current_page) >= page);
+  return unlocked ? row.id : null;
+}
+
+/**
+ * Grant the spoiler role if the member's entry for `bookId` qualifies.
+ * Returns true when the role was newly granted.
+ */
+export async function checkSpoilerRole(guild, userId, bookId) {
+  if (!spoilerRoleEnabled() || !guild) return false;
+
+  try {
+    const pickId = await getUnlockedPick(userId, bookId);
+    if (!pickId) return false;
+
+    const member = await guild.members.fetch(userId);
+    if (member.roles.cache.has(config.bookclub.spoilerRoleId)) return false;
+
+    await member.roles.add(config.bookclub.spoilerRoleId, "Finished the current book club pick");
+    await query(`
+      INSERT INTO bc_club_spoiler_grants (pick_id, user_id)
+      VALUES ($1, $2)
+      ON CONFLICT DO NOTHING
+    `, [pickId, userId]);
+
+    logger.info("Spoiler role granted", { userId, pickId });
+    return true;
+  } catch (err) {
+    // Usually Manage Roles is missing or the role sits above the bot's highest role
+    logger.warn("Failed to grant spoiler role", { userId, bookId, error: err.message });
+    return false;
+  }
+}
+
+/**
+ * Take the role back from every member the bot granted it to.
+ * Called when a new pick is selected for the spoiler circle.
+ */
+export async function resetSpoilerRole(client, circleId) {
+  if (!spoilerRoleEnabled() || circleId !== config.bookclub.spoilerRoleCircle) return 0;
+
+  let guild;
+  try {
+    guild = await client.guilds.fetch(config.discord.guildId);
+  } catch (err) {
+    logger.error("Failed to fetch guild for spoiler role reset", { error: err.message });
+    return 0;
+  }
+
+  const res = await query(`DELETE FROM bc_club_spoiler_grants RETURNING user_id`);
+  if (!res.rowCount) return 0;
+
+  let removed = 0;
+  for (const userId of new Set(res.rows.map((r) => r.user_id))) {
+    try {
+      const member = await guild.members.fetch(userId);
+      await member.roles.remove(config.bookclub.spoilerRoleId, "New book club pick selected");
+      removed++;
+    } catch (err) {
+      // Members who left the server can't be fetched — nothing to remove
+      logger.warn("Failed to remove spoiler role", { userId, error: err.message });
+    }
+  }
+
+  logger.info("Spoiler role reset for new pick", { circle: circleId, removed });
+  return removed;
+}
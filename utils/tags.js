@@ -0,0 +1,220 @@
+// utils/tags.js — Personal Shelves & Tags
+// ✅ Members make their own tags ("comfort reads", "book-club-maybe") beyond the fixed statuses
+// ✅ Many-to-many with bc_reading_logs through bc_reading_log_tags
+// ✅ Tags are public by default so others can browse them with /shelf; any tag can be made private
+
+import { query, withTransaction } from "./db.js";
+import { logger } from "./logger.js";
+
+export const TAG_NAME_MAX_LENGTH = 30;
+// One select menu's worth, so every tag fits the tracker's filter and detail menus
+export const MAX_TAGS = 25;
+
+// Tag filters ride in the same customId slot as status filters: "tag-<id>"
+export const tagFilter = (tagId) => `tag-${tagId}`;
+export function tagIdFromFilter(filterType) {
+  const match = String(filterType || "").match(/^tag-(\d+)$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function mapTag(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    isPublic: row.is_public,
+    username: row.username ?? null,
+    bookCount: row.book_count === undefined ? null : parseInt(row.book_count),
+  };
+}
+
+/**
+ * Tidy a tag name: trimmed, single spaces, no backticks or mentions.
+ * @returns {{ valid: boolean, error: string|null, name: string|null }}
+ */
+export function parseTagName(input) {
+  const name = String(input || "").replace(/[`@#<>]/g, "").replace(/\s+/g, " ").trim();
+  if (!name) return { valid: false, error: "Give the tag a name.", name: null };
+  if (name.length > TAG_NAME_MAX_LENGTH) {
+    return { valid: false, error: `Tag names can be up to ${TAG_NAME_MAX_LENGTH} characters.`, name: null };
+  }
+  return { valid: true, error: null, name };
+}
+
+// ─────────────────────────────────────────────────────────────
+//   LOOKUP
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * A member's tags with how many books each holds, A–Z.
+ */
+export async function getTags(userId, { publicOnly = false } = {}) {
+  const res = await query(`
+    SELECT t.*, COUNT(rlt.reading_log_id) AS book_count
+    FROM bc_tags t
+    LEFT JOIN bc_reading_log_tags rlt ON rlt.tag_id = t.id
+    WHERE t.user_id = $1 ${publicOnly ? "AND t.is_public" : ""}
+    GROUP BY t.id
+    ORDER BY LOWER(t.name)
+  `, [userId]);
+  return res.rows.map(mapTag);
+}
+
+export async function getTag(tagId) {
+  const res = await query(`
+    SELECT t.*, u.username
+    FROM bc_tags t
+    LEFT JOIN bc_users u ON u.user_id = t.user_id
+    WHERE t.id = $1
+  `, [tagId]);
+  return res.rows[0] ? mapTag(res.rows[0]) : null;
+}
+
+export async function findTag(userId, name) {
+  const res = await query(
+    `SELECT * FROM bc_tags WHERE user_id = $1 AND LOWER(name) = LOWER($2)`,
+    [userId, String(name || "").trim()]
+  );
+  return res.rows[0] ? mapTag(res.rows[0]) : null;
+}
+
+/**
+ * A tag as another member sees it: private tags are only visible to their owner.
+ */
+export async function getVisibleTag(tagId, viewerId) {
+  const tag = await getTag(tagId);
+  return tag && (tag.isPublic || tag.userId === viewerId) ? tag : null;
+}
+
+/**
+ * Tags on one of the member's tracker entries.
+ */
+export async function getBookTags(userId, bookId) {
+  const res = await query(`
+    SELECT t.*
+    FROM bc_tags t
+    JOIN bc_reading_log_tags rlt ON rlt.tag_id = t.id
+    JOIN bc_reading_logs rl ON rl.id = rlt.reading_log_id
+    WHERE rl.user_id = $1 AND rl.book_id = $2
+    ORDER BY LOWER(t.name)
+  `, [userId, bookId]);
+  return res.rows.map(mapTag);
+}
+
+// ─────────────────────────────────────────────────────────────
+//   MANAGE
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Find the member's tag by name, creating it if needed.
+ * @returns {{ tag: object|null, created: boolean, error: string|null }}
+ */
+export async function getOrCreateTag(userId, input) {
+  const parsed = parseTagName(input);
+  if (!parsed.valid) return { tag: null, created: false, error: parsed.error };
+
+  const existing = await findTag(userId, parsed.name);
+  if (existing) return { tag: existing, created: false, error: null };
+
+  const count = await query(`SELECT COUNT(*) FROM bc_tags WHERE user_id = $1`, [userId]);
+  if (parseInt(count.rows[0].count) >= MAX_TAGS) {
+    return { tag: null, created: false, error: `You can have up to ${MAX_TAGS} tags — delete one to make room.` };
+  }
+
+  const res = await query(
+    `INSERT INTO bc_tags (user_id, name) VALUES ($1, $2) RETURNING *`,
+    [userId, parsed.name]
+  );
+  logger.info("Tag created", { userId, tagId: res.rows[0].id });
+  return { tag: mapTag(res.rows[0]), created: true, error: null };
+}
+
+/**
+ * @returns {{ tag: object|null, error: string|null }}
+ */
+export async function renameTag(userId, tagId, input) {
+  const parsed = parseTagName(input);
+  if (!parsed.valid) return { tag: null, error: parsed.error };
+
+  const clash = await findTag(userId, parsed.name);
+  if (clash && clash.id !== tagId) return { tag: null, error: `You already have a tag called **${clash.name}**.` };
+
+  const res = await query(
+    `UPDATE bc_tags SET name = $3 WHERE id = $1 AND user_id = $2 RETURNING *`,
+    [tagId, userId, parsed.name]
+  );
+  return res.rows[0] ? { tag: mapTag(res.rows[0]), error: null } : { tag: null, error: "Tag not found." };
+}
+
+export async function setTagVisibility(userId, tagId, isPublic) {
+  const res = await query(
+    `UPDATE bc_tags SET is_public = $3 WHERE id = $1 AND user_id = $2`,
+    [tagId, userId, isPublic]
+  );
+  return res.rowCount > 0;
+}
+
+/**
+ * Delete a tag; the books on it stay in the tracker.
+ */
+export async function deleteTag(userId, tagId) {
+  const res = await query(`DELETE FROM bc_tags WHERE id = $1 AND user_id = $2`, [tagId, userId]);
+  if (res.rowCount) logger.info("Tag deleted", { userId, tagId });
+  return res.rowCount > 0;
+}
+
+// ─────────────────────────────────────────────────────────────
+//   TAGGING
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Put one of the member's books on a tag. Returns false when the book isn't tracked.
+ */
+export async function tagBook(userId, bookId, tagId) {
+  const entry = await query(
+    `SELECT id FROM bc_reading_logs WHERE user_id = $1 AND book_id = $2`,
+    [userId, bookId]
+  );
+  if (!entry.rows[0]) return false;
+
+  await query(`
+    INSERT INTO bc_reading_log_tags (reading_log_id, tag_id)
+    SELECT $1, id FROM bc_tags WHERE id = $2 AND user_id = $3
+    ON CONFLICT DO NOTHING
+  `, [entry.rows[0].id, tagId, userId]);
+  return true;
+}
+
+export async function untagBook(userId, bookId, tagId) {
+  const res = await query(`
+    DELETE FROM bc_reading_log_tags rlt
+    USING bc_reading_logs rl
+    WHERE rl.id = rlt.reading_log_id AND rl.user_id = $1 AND rl.book_id = $2 AND rlt.tag_id = $3
+  `, [userId, bookId, tagId]);
+  return res.rowCount > 0;
+}
+
+/**
+ * Replace a book's tags with exactly these (the detail view's tag menu).
+ */
+export async function setBookTags(userId, bookId, tagIds) {
+  return withTransaction(async (db) => {
+    const entry = await db.query(
+      `SELECT id FROM bc_reading_logs WHERE user_id = $1 AND book_id = $2`,
+      [userId, bookId]
+    );
+    const logId = entry.rows[0]?.id;
+    if (!logId) return false;
+
+    await db.query(
+      `DELETE FROM bc_reading_log_tags WHERE reading_log_id = $1 AND NOT (tag_id = ANY($2::int[]))`,
+      [logId, tagIds]
+    );
+    await db.query(`
+      INSERT INTO bc_reading_log_tags (reading_log_id, tag_id)
+      SELECT $1, id FROM bc_tags WHERE id = ANY($2::int[]) AND user_id = $3
+      ON CONFLICT DO NOTHING
+    `, [logId, tagIds, userId]);
+    return true;
+  });
+}
@@ -221,6 +221,37 @@ export function validateProgress(currentPage, totalPages) {
   });
 }
 
+// ===== Deadline Validation =====
+const DEADLINE_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MAX_DEADLINE_DAYS = 90;
+
+export function validateDeadline(input, now = new Date()) {
+  if (!input || typeof input !== "string") {
+    return invalidResult("Deadline is required");
+  }
+
+  const trimmed = input.trim();
+  const relative = trimmed.match(/^(\d+)\s*(m|min|mins|minutes?|h|hrs?|hours?|d|days?)$/i);
+
+  const deadline = relative
+    ? new Date(now.getTime() + parseInt(relative[1], 10) * DEADLINE_UNITS[relative[2][0].toLowerCase()])
+    : new Date(trimmed);
+
+  if (isNaN(deadline)) {
+    return invalidResult("Deadline must be a duration like `48h` or `3d`, or a date like `Dec 15, 2025 20:00`");
+  }
+
+  if (deadline <= now) {
+    return invalidResult("Deadline must be in the future");
+  }
+
+  if (deadline - now > MAX_DEADLINE_DAYS * DEADLINE_UNITS.d) {
+    return invalidResult(`Deadline cannot be more than ${MAX_DEADLINE_DAYS} days away`);
+  }
+
+  return validResult(deadline);
+}
+
 // ===== Batch Validation Helper =====
 export function validateFields(fields) {
   const results = {};
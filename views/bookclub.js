@@ -0,0 +1,394 @@
+import {
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    StringSelectMenuBuilder,
+    StringSelectMenuOptionBuilder,
+} from "discord.js";
+import { progressBarPages } from "./tracker.js";
+
+const GOLD = 0xf59e0b;
+const BLUE = 0x3498db;
+const PURPLE = 0x9b59b6;
+const GREEN = 0x2ecc71;
+
+export const PROGRESS_PER_PAGE = 10;
+
+// ===== Utility helpers =====
+
+function addRunoffRounds(embed, runoff, titleOf) {
+    runoff.rounds.slice(0, 20).forEach((round, idx) => {
+        const lines = Object.entries(round.counts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([id, count]) => `${titleOf(id).slice(0, 60)} — **${count}**`);
+
+        if (round.exhausted) lines.push(`*Exhausted ballots — ${round.exhausted}*`);
+        if (round.eliminated.length) {
+            lines.push(`❌ Eliminated: ${round.eliminated.map(titleOf).join(", ")}`);
+        }
+
+        embed.addFields({
+            name: `Round ${idx + 1}`,
+            value: lines.join("\n").slice(0, 1024),
+            inline: false,
+        });
+    });
+}
+
+function titleLookup(nominations) {
+    const byId = new Map(nominations.map((n) => [n.id, n]));
+    return (id) => byId.get(id)?.title || "Unknown";
+}
+
+const fmtDate = (d) => (d ? `<t:${Math.floor(new Date(d).getTime() / 1000)}:D>` : "—");
+
+function paceLabel(offset) {
+    if (offset === null) return null;
+    if (offset === 0) return "✅ on pace";
+    const pages = `${Math.abs(offset)} page${Math.abs(offset) === 1 ? "" : "s"}`;
+    return offset > 0 ? `⏩ ${pages} ahead` : `⏳ ${pages} behind`;
+}
+
+function questionRange(question) {
+    const pages =
+        question.startPage <= 1
+            ? `up to p. ${question.endPage}`
+            : `pp. ${question.startPage}–${question.endPage}`;
+    return question.chapter ? `${question.chapter} (${pages})` : pages;
+}
+
+const stars = (rating) => {
+    const full = Math.round(Number(rating) || 0);
+    return "★".repeat(full) + "☆".repeat(5 - full);
+};
+
+// ===== Embeds =====
+
+export function runoffEmbed(nominations, ballotCount, result) {
+    const titleOf = titleLookup(nominations);
+
+    const embed = new EmbedBuilder()
+        .setColor(result.winner ? GOLD : BLUE)
+        .setTitle("🗳️ Ranked-Choice Results");
+
+    if (!ballotCount) {
+        return embed.setDescription("No ballots were cast.");
+    }
+
+    if (result.winner) {
+        const winner = nominations.find((n) => n.id === result.winner);
+        embed.setDescription(
+            `🏆 **${winner.title}** by ${winner.author} wins after ` +
+            `${result.rounds.length} round${result.rounds.length === 1 ? "" : "s"}!\n\n` +
+            `📊 ${ballotCount} ballot${ballotCount === 1 ? "" : "s"} cast\n` +
+            `🆔 Nomination ID: \`${winner.id}\` — use \`/bookclub select\` to make it official.`
+        );
+    } else {
+        embed.setDescription(
+            `🤝 **Tie** between ${result.tied.map((id) => `**${titleOf(id)}**`).join(", ")}.\n\n` +
+            `📊 ${ballotCount} ballot${ballotCount === 1 ? "" : "s"} cast — an admin will need to break the tie.`
+        );
+    }
+
+    addRunoffRounds(embed, result, titleOf);
+    return embed;
+}
+
+export function voteResultEmbed(round, nominations, outcome, winner, tiebreakLabel = null) {
+    const titleOf = titleLookup(nominations);
+
+    const embed = new EmbedBuilder()
+        .setColor(winner ? GOLD : BLUE)
+        .setTitle("⏰ Voting Has Closed!");
+
+    if (!winner) {
+        return embed.setDescription(
+            "Nobody voted this round, so no new pick was selected.\n\n" +
+            "Nominations stay open — an admin can start another round with `/bookclub open-vote`."
+        );
+    }
+
+    const voters = `${outcome.ballotCount} member${outcome.ballotCount === 1 ? "" : "s"} voted`;
+    const tieLine = tiebreakLabel
+        ? `\n🎲 Tie between ${outcome.tied.map((id) => `**${titleOf(id)}**`).join(", ")} — ` +
+        `broken by: ${tiebreakLabel}`
+        : "";
+
+    embed
+        .setDescription(
+            `🎯 **${winner.title}** by ${winner.author} is our next book club pick!\n\n` +
+            `📊 ${voters}${round.mode === "ballot" ? " (ranked choice)" : ""}${tieLine}\n\n` +
+            "Use `/bookclub current` to add it to your tracker."
+        )
+        .setFooter({ text: "HL Book Club • Higher-er Learning" });
+
+    if (round.mode === "ballot") {
+        addRunoffRounds(embed, outcome.runoff, titleOf);
+    } else {
+        const lines = [...outcome.counts]
+            .sort((a, b) => b.votes - a.votes)
+            .slice(0, 10)
+            .map((c) => `${titleOf(c.id).slice(0, 60)} — **${c.votes}**`);
+
+        embed.addFields({ name: "📊 Final Tally", value: lines.join("\n"), inline: false });
+    }
+
+    return embed;
+}
+
+// ===== Progress board =====
+
+/**
+ * readers: [{ userId, status, currentPage, totalPages, updatedAt, pace }]
+ * where pace is the getPaceOffset() result.
+ */
+export function progressEmbed(title, pick, readers, page) {
+    const start = page * PROGRESS_PER_PAGE;
+    const pageCount = Math.max(1, Math.ceil(readers.length / PROGRESS_PER_PAGE));
+    const finished = readers.filter((r) => r.status === "completed").length;
+    const behind = readers.filter((r) => r.status !== "completed" && r.pace < 0).length;
+
+    const lines = readers.slice(start, start + PROGRESS_PER_PAGE).map((r, idx) => {
+        const updated = `<t:${Math.floor(new Date(r.updatedAt).getTime() / 1000)}:R>`;
+
+        if (r.status === "completed") {
+            return `**${start + idx + 1}.** <@${r.userId}> — 🏁 Finished • ${updated}`;
+        }
+
+        const pct = r.totalPages ? Math.min(100, Math.round((r.currentPage / r.totalPages) * 100)) : 0;
+        const pace = paceLabel(r.pace);
+        return (
+            `**${start + idx + 1}.** <@${r.userId}>${pace ? ` — ${pace}` : ""}\n` +
+            `${progressBarPages(r.currentPage, r.totalPages, 12)} ${pct}% • ` +
+            `p. ${r.currentPage}${r.totalPages ? `/${r.totalPages}` : ""} • ${updated}`
+        );
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor(GREEN)
+        .setTitle(title)
+        .setDescription(
+            `**${pick.title}** by ${pick.author}\n` +
+            `👥 **${readers.length}** tracking • 🏁 **${finished}** finished` +
+            (behind ? ` • ⏳ **${behind}** behind` : "") +
+            "\n\n" +
+            (lines.length ? lines.join("\n\n") : "Nobody is tracking this pick yet.")
+        )
+        .setFooter({
+            text: pick.discussionAt || pick.schedule?.length
+                ? `Page ${page + 1}/${pageCount} • Pace is measured against the ${pick.schedule?.length ? "reading schedule" : "discussion date"}`
+                : `Page ${page + 1}/${pageCount} • Set a discussion date to see who's ahead or behind`,
+        });
+
+    if (pick.thumbnail) embed.setThumbnail(pick.thumbnail);
+
+    return embed;
+}
+
+export function progressComponents(circle, page, total) {
+    const pageCount = Math.ceil(total / PROGRESS_PER_PAGE);
+    if (pageCount <= 1) return [];
+
+    return [
+        new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`bc_progress_page_${circle.id}_${page - 1}`)
+                .setLabel("◀ Prev")
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(page <= 0),
+            new ButtonBuilder()
+                .setCustomId(`bc_progress_page_${circle.id}_${page + 1}`)
+                .setLabel("Next ▶")
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(page >= pageCount - 1)
+        ),
+    ];
+}
+
+// ===== Meeting reminders =====
+
+export function reminderEmbed(pick, circleName, member) {
+    const ts = Math.floor(new Date(pick.discussionAt).getTime() / 1000);
+    const embed = new EmbedBuilder()
+        .setTitle(`📅 ${circleName} meeting reminder`)
+        .setFooter({ text: "HL Book Club • Higher-er Learning" });
+
+    if (!member.tracking) {
+        return embed
+            .setColor(BLUE)
+            .setDescription(
+                `We're discussing **${pick.title}** by ${pick.author} on <t:${ts}:F> (<t:${ts}:R>).\n\n` +
+                "No pressure if you haven't started — everyone is welcome to drop in and listen. " +
+                "If you'd like to read along, `/bookclub current` will add it to your tracker."
+            );
+    }
+
+    const percent = member.percent;
+    const nudge =
+        percent >= 100
+            ? "You've finished — come share your thoughts! 🎉"
+            : percent >= 75
+                ? "Almost there — the finish line is in sight!"
+                : "Every chapter counts — see you there!";
+
+    return embed
+        .setColor(percent >= 100 ? GOLD : PURPLE)
+        .setDescription(
+            `We're discussing **${pick.title}** by ${pick.author} on <t:${ts}:F> (<t:${ts}:R>).\n\n` +
+            `📖 You're **${percent}%** through` +
+            (member.totalPages ? ` (page ${member.currentPage} of ${member.totalPages})` : "") +
+            `.\n${nudge}`
+        );
+}
+
+// ===== Discussion Questions =====
+
+export function questionEmbed(pick, question, medianPage) {
+    return new EmbedBuilder()
+        .setColor(GOLD)
+        .setTitle("💬 Discussion Question of the Week")
+        .setDescription(`${question.question}\n\n📖 **${pick.title}** — ${questionRange(question)}`)
+        .addFields({
+            name: "✍️ Asked by",
+            value: question.submittedBy ? `<@${question.submittedBy}>` : "The club",
+            inline: true,
+        })
+        .setFooter({
+            text: `Spoilers up to p. ${question.endPage} • Half the club has reached p. ${medianPage}`,
+        });
+}
+
+/**
+ * Questions past the viewer's page are hidden behind spoiler tags.
+ */
+export function questionListEmbed(pick, questions, memberPage, title) {
+    const lines = questions.map((q) => {
+        const ahead = memberPage === null || q.endPage > memberPage;
+        const text = q.question.length > 200 ? `${q.question.slice(0, 197)}...` : q.question;
+        return (
+            `**#${q.id}** ${q.postedAt ? "✅" : "⏳"} ${questionRange(q)} • <@${q.submittedBy}>\n` +
+            (ahead ? `||${text}||` : text)
+        );
+    });
+
+    let description = `**${pick.title}** by ${pick.author}\n\n`;
+    for (const [idx, line] of lines.entries()) {
+        if (description.length + line.length + 2 > 4000) {
+            description += `*…and ${lines.length - idx} more*`;
+            break;
+        }
+        description += `${line}\n\n`;
+    }
+
+    return new EmbedBuilder()
+        .setColor(GOLD)
+        .setTitle(title)
+        .setDescription(lines.length ? description : `${description}No questions yet — add one with \`/bookclub question add\`.`)
+        .setFooter({ text: "✅ posted • ⏳ waiting for the club to get there • Spoilers hidden past your page" });
+}
+
+// ===== History =====
+
+export function historyEmbed(pick, stats, page, total, questions = []) {
+    const embed = new EmbedBuilder()
+        .setColor(PURPLE)
+        .setTitle("📜 Book Club History")
+        .setDescription(
+            `**${pick.title}**\n` +
+            `*by ${pick.author}*\n\n` +
+            `${pick.reason || "No description"}`
+        )
+        .addFields(
+            { name: "🎯 Selected", value: fmtDate(pick.selectedAt), inline: true },
+            { name: "💬 Discussed", value: pick.discussionDate || "TBD", inline: true },
+            { name: "🏁 Wrapped Up", value: fmtDate(pick.completedAt), inline: true },
+            {
+                name: "✅ Finished",
+                value: `${stats.finished} of ${stats.readers} reader${stats.readers === 1 ? "" : "s"}`,
+                inline: true,
+            },
+            {
+                name: "⭐ Average Rating",
+                value: stats.ratings
+                    ? `${stars(stats.avgRating)} ${Number(stats.avgRating).toFixed(1)} (${stats.ratings} rating${stats.ratings === 1 ? "" : "s"})`
+                    : "Not rated yet",
+                inline: true,
+            },
+            {
+                name: "📝 Nominated By",
+                value: pick.nominatedBy ? `<@${pick.nominatedBy}>` : "Admin",
+                inline: true,
+            }
+        )
+        .setFooter({ text: `Pick ${page + 1}/${total} • Newest first • Rate it below!` });
+
+    if (questions.length) {
+        const lines = [];
+        let length = 0;
+        for (const q of questions) {
+            const text = q.question.length > 150 ? `${q.question.slice(0, 147)}...` : q.question;
+            const line = `• *${questionRange(q)}* — ${text}`;
+            if (length + line.length > 950) {
+                lines.push(`*…and ${questions.length - lines.length} more*`);
+                break;
+            }
+            lines.push(line);
+            length += line.length + 1;
+        }
+
+        embed.addFields({
+            name: `💬 Discussion Questions (${questions.length})`,
+            value: lines.join("\n"),
+            inline: false,
+        });
+    }
+
+    if (pick.thumbnail) embed.setThumbnail(pick.thumbnail);
+
+    return embed;
+}
+
+export function historyComponents(circle, pick, page, total) {
+    const rows = [
+        new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`bc_history_rate_${page}_${pick.id}`)
+                .setPlaceholder("Rate this pick...")
+                .setOptions(
+                    [5, 4, 3, 2, 1].map((n) =>
+                        new StringSelectMenuOptionBuilder()
+                            .setLabel(`${"★".repeat(n)}${"☆".repeat(5 - n)}`)
+                            .setValue(String(n))
+                            .setDescription(`${n} star${n === 1 ? "" : "s"}`)
+                    )
+                )
+        ),
+    ];
+
+    if (total > 1) {
+        const navRow = new ActionRowBuilder();
+
+        if (page > 0) {
+            navRow.addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`bc_history_page_${circle.id}_${page - 1}`)
+                    .setLabel("◀ Newer")
+                    .setStyle(ButtonStyle.Secondary)
+            );
+        }
+
+        if (page < total - 1) {
+            navRow.addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`bc_history_page_${circle.id}_${page + 1}`)
+                    .setLabel("Older ▶")
+                    .setStyle(ButtonStyle.Secondary)
+            );
+        }
+
+        rows.push(navRow);
+    }
+
+    return rows;
+}
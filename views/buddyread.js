@@ -0,0 +1,129 @@
+import {
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+} from "discord.js";
+import { EMBED_THEME } from "../utils/embedThemes.js";
+import { progressBarPages } from "./tracker.js";
+
+const TEAL = 0x1abc9c;
+const MAX_LISTED_MEMBERS = 20;
+
+// ===== Utility helpers =====
+
+const relative = (date) => `<t:${Math.floor(new Date(date).getTime() / 1000)}:R>`;
+
+function memberList(members) {
+    const shown = members.slice(0, MAX_LISTED_MEMBERS).map((id) => `<@${id}>`).join(", ");
+    const extra = members.length - MAX_LISTED_MEMBERS;
+    return extra > 0 ? `${shown} +${extra} more` : shown || "Nobody yet";
+}
+
+// ===== Embeds =====
+
+/**
+ * The public card members join from.
+ */
+export function buddyReadEmbed(read) {
+    const embed = new EmbedBuilder()
+        .setColor(read.endedAt ? EMBED_THEME.SUCCESS : TEAL)
+        .setTitle(`🤝 Buddy read: ${read.title}`.slice(0, 256))
+        .setDescription(
+            [
+                `**${read.title}** by ${read.author}${read.pageCount ? ` • ${read.pageCount} pages` : ""}`,
+                `Started by <@${read.startedBy}> ${relative(read.createdAt)}`,
+                "",
+                read.endedAt
+                    ? read.members.length
+                        ? `🏁 Everyone finished ${relative(read.endedAt)} — thanks for reading together!`
+                        : `🛑 Ended ${relative(read.endedAt)} — everyone left.`
+                    : "Press **Join** to read along. Progress comes from each reader's `/tracker` entry.",
+            ].join("\n")
+        )
+        .addFields({
+            name: `👥 Readers (${read.members.length})`,
+            value: memberList(read.members).slice(0, 1024),
+        })
+        .setFooter({ text: `Buddy read #${read.id} • ${EMBED_THEME.footer}` });
+
+    if (read.thumbnail) embed.setThumbnail(read.thumbnail);
+
+    return embed;
+}
+
+export function buddyReadComponents(read) {
+    return [
+        new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`buddy_join_${read.id}`)
+                .setLabel(read.endedAt ? "Ended" : "Join")
+                .setEmoji("🤝")
+                .setStyle(ButtonStyle.Success)
+                .setDisabled(Boolean(read.endedAt)),
+            new ButtonBuilder()
+                .setCustomId(`buddy_board_${read.id}`)
+                .setLabel("Progress")
+                .setEmoji("📊")
+                .setStyle(ButtonStyle.Secondary)
+        ),
+    ];
+}
+
+/**
+ * rows: [{ userId, tracking, status, currentPage, totalPages, percent }]
+ */
+export function buddyBoardEmbed(read, rows) {
+    const finished = rows.filter((r) => r.status === "completed").length;
+
+    const lines = rows.map((r, idx) => {
+        if (r.status === "completed") return `**${idx + 1}.** <@${r.userId}> — 🏁 Finished`;
+        if (!r.tracking) return `**${idx + 1}.** <@${r.userId}> — *not tracking this book*`;
+
+        return (
+            `**${idx + 1}.** <@${r.userId}>\n` +
+            `${progressBarPages(r.currentPage, r.totalPages, 12)} ${r.percent}% • ` +
+            `p. ${r.currentPage}${r.totalPages ? `/${r.totalPages}` : ""}`
+        );
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor(read.endedAt ? EMBED_THEME.SUCCESS : TEAL)
+        .setTitle(`📊 Buddy read progress — ${read.title}`.slice(0, 256))
+        .setDescription(
+            (
+                `👥 **${rows.length}** reading • 🏁 **${finished}** finished\n\n` +
+                (lines.length ? lines.join("\n\n") : "Nobody is in this buddy read anymore.")
+            ).slice(0, 4096)
+        )
+        .setFooter({
+            text: read.endedAt
+                ? `Buddy read #${read.id} • Ended`
+                : `Buddy read #${read.id} • Update your page with /tracker — it ends when everyone has finished`,
+        });
+
+    if (read.thumbnail) embed.setThumbnail(read.thumbnail);
+
+    return embed;
+}
+
+export function buddyListEmbed(reads, userId, guildId) {
+    const lines = reads.map((r) => {
+        const joined = r.members.includes(userId) ? " • ✅ you're in" : "";
+        const card = r.channelId && r.messageId ? ` • [join card](https://discord.com/channels/${guildId}/${r.channelId}/${r.messageId})` : "";
+        return (
+            `**#${r.id} — ${r.title}** by ${r.author}\n` +
+            `Started by <@${r.startedBy}> ${relative(r.createdAt)} • 👥 ${r.members.length}${joined}${card}`
+        );
+    });
+
+    return new EmbedBuilder()
+        .setColor(TEAL)
+        .setTitle("🤝 Active Buddy Reads")
+        .setDescription(
+            lines.length
+                ? lines.join("\n\n").slice(0, 4096)
+                : "No buddy reads right now. Start one with `/buddyread start`!"
+        )
+        .setFooter({ text: EMBED_THEME.footer });
+}
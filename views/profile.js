@@ -61,6 +61,18 @@ export function buildProfileEmbed(interaction, target, stats) {
                 .join("\n")
             : "";
 
+    const buddySection =
+        stats.buddyReads?.length > 0
+            ? `\n**🤝 Buddy Reads Started (${stats.buddyReadsStarted}):**\n` +
+            stats.buddyReads
+                .map(
+                    (r) =>
+                        `• ${r.title} — ${r.members} reader${r.members === 1 ? "" : "s"} • ` +
+                        `${r.endedAt ? "🏁 finished" : "📖 reading"}`
+                )
+                .join("\n")
+            : "";
+
     const quoteSection = stats.favoriteQuote
         ? `\n**🪶 Favorite Quote:**\n"${stats.favoriteQuote.slice(0, 150)}${stats.favoriteQuote.length > 150 ? '...' : ''}"`
         : "";
@@ -69,7 +81,7 @@ export function buildProfileEmbed(interaction, target, stats) {
         .setColor(theme.color)
         .setTitle(`📘 ${target.username}'s HL Book Club Profile`)
         .setThumbnail(target.displayAvatarURL({ dynamic: true, size: 256 }))
-        .setDescription(`${descLines.join("\n")}${recentSection}${quoteSection}`)
+        .setDescription(`${descLines.join("\n")}${recentSection}${buddySection}${quoteSection}`)
         .addFields({
             name: "🏅 Achievements",
             value: badges,
@@ -0,0 +1,91 @@
+import {
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+} from "discord.js";
+import { EMBED_THEME } from "../utils/embedThemes.js";
+
+const GOLD = 0xf59e0b;
+const PREVIEW_LENGTH = 600;
+
+// ===== Utility helpers =====
+
+/**
+ * "★★★½☆" for a rating in half stars.
+ */
+export function ratingStars(rating) {
+    const value = Number(rating) || 0;
+    const full = Math.floor(value);
+    const half = value - full >= 0.5 ? 1 : 0;
+    return "★".repeat(full) + (half ? "½" : "") + "☆".repeat(Math.max(0, 5 - full - half));
+}
+
+export const formatRating = (rating) => {
+    const value = Number(rating);
+    return `${ratingStars(value)} ${Number.isInteger(value) ? value : value.toFixed(1)}/5`;
+};
+
+/**
+ * Review text for display, hidden behind a spoiler tag when flagged.
+ */
+export function reviewText(review, spoiler, maxLength = PREVIEW_LENGTH) {
+    const text = review.length > maxLength ? `${review.slice(0, maxLength)}…` : review;
+    return spoiler ? `⚠️ Spoilers: ||${text}||` : text;
+}
+
+// ===== Embeds =====
+
+export function reviewsEmbed(book, { reviews, total, average, ratings }, page = 0, perPage = 5) {
+    const totalPages = Math.max(1, Math.ceil(total / perPage));
+
+    const embed = new EmbedBuilder()
+        .setColor(GOLD)
+        .setTitle(`📝 Reviews: ${book.title}`.slice(0, 256))
+        .setFooter({ text: `Page ${page + 1}/${totalPages} • ${EMBED_THEME.footer}` });
+
+    if (!reviews.length) {
+        return embed.setDescription("Nobody has rated or reviewed this book yet.\nMark it complete in `/tracker` to be the first!");
+    }
+
+    const header = [
+        book.author ? `by ${book.author}` : null,
+        average
+            ? `**${ratingStars(Math.round(average * 2) / 2)} ${average.toFixed(1)}/5** average from ${ratings} rating${ratings === 1 ? "" : "s"}`
+            : null,
+    ].filter(Boolean);
+
+    const entries = reviews.map((r) => {
+        const line = `<@${r.userId}>${r.rating ? ` — ${formatRating(r.rating)}` : ""}`;
+        if (!r.review) return line;
+        // One quoted line per review so spoiler tags can't break across the quote
+        return `${line}\n> ${reviewText(r.review.replace(/\s*\n+\s*/g, " "), r.spoiler)}`;
+    });
+
+    return embed.setDescription([header.join("\n"), ...entries].filter(Boolean).join("\n\n").slice(0, 4096));
+}
+
+// ===== Components =====
+
+export function reviewsComponents(bookId, total, page = 0, perPage = 5) {
+    const totalPages = Math.ceil(total / perPage);
+    const prefix = `rev_page_${page + 1}_`;
+
+    // Buttons carry the book id; very long ids (old embed URLs) can't page
+    if (totalPages <= 1 || prefix.length + bookId.length > 100) return [];
+
+    return [
+        new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`rev_page_${page - 1}_${bookId}`)
+                .setLabel("◀ Previous")
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(page <= 0),
+            new ButtonBuilder()
+                .setCustomId(`rev_page_${page + 1}_${bookId}`)
+                .setLabel("Next ▶")
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(page >= totalPages - 1)
+        ),
+    ];
+}
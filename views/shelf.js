@@ -27,13 +27,16 @@ export function buildShelfEmbed(
     viewMode,
     page,
     interaction,
-    totalCount
+    totalCount,
+    tag = null
 ) {
     const theme = EMBED_THEME?.HL_BOOK_CLUB || { color: 0x9b59b6 };
     const totalPages = Math.ceil(totalCount / BOOKS_PER_PAGE);
+    // Browsing a member's own tag (/shelf member tag)
+    const tagTitle = tag ? `🏷️ ${tag.username || "A member"}'s ${tag.name} Shelf` : null;
 
     if (!books.length) {
-        const filterLabel = {
+        const filterLabel = tag ? `the **${tag.name}**` : {
             mine: "your",
             all: "the community",
         }[userFilter] || "this user's";
@@ -47,9 +50,9 @@ export function buildShelfEmbed(
 
         return new EmbedBuilder()
             .setColor(theme.color)
-            .setTitle("📚 Bookshelf")
+            .setTitle(tagTitle || "📚 Bookshelf")
             .setDescription(
-                `No ${statusLabel} books found in ${filterLabel} shelf.\n\n` +
+                `No ${statusLabel ? `${statusLabel} ` : ""}books found in ${filterLabel} shelf.\n\n` +
                 "Try a different filter or add some books!"
             )
             .setFooter({ text: "HL Book Club • Higher-er Learning" });
@@ -71,12 +74,17 @@ export function buildShelfEmbed(
                     ? readers.map((r) => `<@${r}>`).join(", ")
                     : `<@${readers[0]}> +${readers.length - 1} more`;
 
-            return `[**${book.title}**](${book.preview_link || ""})\n> **By ${book.author}**\n   👥 ${readerCount} reader${readerCount > 1 ? "s" : ""}: ${readerList}`;
+            const buddyReads = parseInt(book.buddy_reads || 0);
+            const buddyLine = buddyReads
+                ? `\n   🤝 ${buddyReads} active buddy read${buddyReads > 1 ? "s" : ""} — \`/buddyread list\``
+                : "";
+
+            return `[**${book.title}**](${book.preview_link || ""})\n> **By ${book.author}**\n   👥 ${readerCount} reader${readerCount > 1 ? "s" : ""}: ${readerList}${buddyLine}`;
         });
 
         return new EmbedBuilder()
             .setColor(theme.color)
-            .setTitle("📚 HL Book Club — Bookshelf (Grouped)")
+            .setTitle(tagTitle ? `${tagTitle} (Grouped)` : "📚 HL Book Club — Bookshelf (Grouped)")
             .setDescription(lines.join("\n\n"))
             .setFooter({
                 text: `Page ${page + 1}/${totalPages} • ${totalCount} unique books • HL Book Club`,
@@ -93,6 +101,7 @@ export function buildShelfEmbed(
             reading: "📖",
             completed: "✅",
             planned: "📚",
+            dropped: "🛑",
         }[b.status] || "📖";
 
         const progress =
@@ -116,7 +125,7 @@ export function buildShelfEmbed(
 
     return new EmbedBuilder()
         .setColor(theme.color)
-        .setTitle(`📚 ${filterLabel} Bookshelf${statusLabel}`)
+        .setTitle(tagTitle ? `${tagTitle}${statusLabel}` : `📚 ${filterLabel} Bookshelf${statusLabel}`)
         .setDescription(lines.join("\n\n"))
         .setFooter({
             text: `Page ${page + 1}/${totalPages} • ${totalCount} books • HL Book Club`,
@@ -9,36 +9,87 @@ import {
     TextInputBuilder,
     TextInputStyle,
 } from "discord.js";
+import { formatRating, reviewText } from "./reviews.js";
+import { FORMATS, progressFraction } from "../utils/progressFormats.js";
+import { tagIdFromFilter, TAG_NAME_MAX_LENGTH } from "../utils/tags.js";
 
 const PURPLE = 0x8b5cf6;
 const GOLD = 0xf59e0b;
 const BOOKS_PER_PAGE = 10;
 
+export const SPOILER_UNLOCKED = "\n🔓 You've unlocked the club's spoiler channels — enjoy the discussion!";
+
 // ===== Utility helpers =====
-const progressBarPages = (current, total, width = 18) => {
-    if (!total || total <= 0) return "";
+export const progressBarPages = (current, total, width = 18) => {
+    if (!total || total <= 0) return "▱".repeat(width);
     const pct = Math.min(1, Math.max(0, current / total));
     const filled = Math.round(pct * width);
     return "▰".repeat(filled) + "▱".repeat(width - filled);
 };
 
 const fmtTime = (d) => new Date(d).toLocaleString();
+const fmtDate = (d) => new Date(d).toLocaleDateString();
+
+export function formatMinutes(minutes) {
+    if (minutes < 60) return `${minutes}m`;
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return m ? `${h}h ${m}m` : `${h}h`;
+}
+
+/**
+ * Progress in the entry's own format: "Page 120/300", "45%" or "3h 25m of 10h 30m".
+ */
+export function formatProgress(t) {
+    const cp = Number(t.current_page || 0);
+    const tp = Number(t.total_pages || 0);
+    const position = t.format_position === null || t.format_position === undefined ? null : Number(t.format_position);
+
+    if (t.format === "ebook") {
+        const fraction = progressFraction(t);
+        const pct = position ?? (fraction === null ? null : Math.round(fraction * 1000) / 10);
+        return pct === null ? `Page ${cp}` : `${pct}%`;
+    }
+    if (t.format === "audio") {
+        if (position === null) return t.format_length ? `0m of ${formatMinutes(t.format_length)}` : `≈ page ${cp}`;
+        return `${formatMinutes(Math.round(position))}${t.format_length ? ` of ${formatMinutes(t.format_length)}` : " listened"}`;
+    }
+    return `Page ${cp}${tp ? `/${tp}` : ""}`;
+}
+
+/**
+ * "⚡ 32 pages/hr • ⏳ ~5h 20m left" from getReadingSpeed() + estimateMinutesLeft().
+ * `speed.overall` marks a speed borrowed from the member's other books.
+ */
+export function speedLine(speed, minutesLeft) {
+    if (!speed) return null;
+    const parts = [`⚡ ${Math.round(speed.pagesPerHour)} pages/hr${speed.overall ? " (all books)" : ""}`];
+    if (minutesLeft) parts.push(`⏳ ~${formatMinutes(minutesLeft)} left`);
+    return parts.join(" • ");
+}
 
 // ===== Embeds =====
 
-export function listEmbed(username, books, filterType = "reading", sortType = "recent", page = 0, totalCount = 0) {
+export function listEmbed(username, books, filterType = "reading", sortType = "recent", page = 0, totalCount = 0, tags = []) {
     const totalPages = Math.ceil(totalCount / BOOKS_PER_PAGE);
     const start = page * BOOKS_PER_PAGE;
+    const tagId = tagIdFromFilter(filterType);
+    const tag = tags.find((t) => t.id === tagId);
 
     const filterEmoji = {
         reading: "📖",
         completed: "✅",
         planned: "📚",
+        dropped: "🛑",
         all: "🌟",
     };
 
     const e = new EmbedBuilder()
-        .setTitle(`${filterEmoji[filterType]} ${username}'s Trackers`)
+        .setTitle(
+            tag
+                ? `${tag.isPublic ? "🏷️" : "🔒"} ${username}'s Trackers: ${tag.name}`
+                : `${filterEmoji[filterType] || "🌟"} ${username}'s Trackers`
+        )
         .setColor(PURPLE);
 
     if (!books.length) {
@@ -46,28 +97,34 @@ export function listEmbed(username, books, filterType = "reading", sortType = "r
             reading: "You're not currently reading any books.\n\nAdd a book or sync from Goodreads!",
             completed: "You haven't completed any books yet.\n\nKeep reading! 📖",
             planned: "You don't have any planned books.\n\nAdd some to your reading list!",
+            dropped: "No DNFs — you've stuck with every book so far.",
             all: "You aren't tracking any books yet.\n\nClick **Add Book** below to start.",
         };
-        e.setDescription(emptyMsg[filterType] || emptyMsg.all);
+        e.setDescription(
+            tag
+                ? `No books tagged **${tag.name}** yet.\n\nTag a book from its details below or with \`/tracker tag add\`.`
+                : emptyMsg[filterType] || emptyMsg.all
+        );
         return e;
     }
 
     const lines = books
         .map((t, idx) => {
             const globalIdx = start + idx + 1;
-            const cp = Number(t.current_page || 0);
-            const tp = Number(t.total_pages || 0); // Note: DB column names
-            const bar = tp ? `${progressBarPages(cp, tp)} ` : "";
-            const pct = tp ? ` (${Math.round((cp / tp) * 100)}%)` : "";
+            const fraction = progressFraction(t);
+            const bar = fraction !== null ? `${progressBarPages(fraction, 1)} ` : "";
+            const pct = fraction !== null && t.format !== "ebook" ? ` (${Math.round(fraction * 100)}%)` : "";
             const author = t.author ? ` — *${t.author}*` : "";
             const statusEmoji = {
                 reading: "📖",
                 completed: "✅",
                 planned: "📚",
+                dropped: "🛑",
             }[t.status] || "";
 
-            return `**${globalIdx}.** ${t.title}${author}\n   ${bar}Page ${cp}${tp ? `/${tp}${pct}` : ""
-                } ${statusEmoji}`;
+            const format = t.format && t.format !== "print" ? ` ${FORMATS[t.format]?.emoji || ""}` : "";
+
+            return `**${globalIdx}.** ${t.title}${author}\n   ${bar}${formatProgress(t)}${pct} ${statusEmoji}${format}`;
         })
         .join("\n\n");
 
@@ -87,21 +144,26 @@ export function listEmbed(username, books, filterType = "reading", sortType = "r
     return e;
 }
 
-export function detailEmbed(t, logs, stats) {
+export function detailEmbed(t, logs, stats, speed = null, minutesLeft = null, readThroughs = [], tags = []) {
     const e = new EmbedBuilder()
         .setTitle(`📖 ${t.title}`)
         .setColor(GOLD);
 
     if (t.author) e.addFields({ name: "Author", value: t.author, inline: true });
     if (t.status) {
-        const statusLabel = {
+        let statusLabel = {
             reading: "📖 Reading",
             completed: "✅ Completed",
             planned: "📚 Planned",
+            dropped: "🛑 Did Not Finish",
         }[t.status] || t.status;
+        if (readThroughs.length && t.status === "reading") statusLabel = `🔁 Re-reading (read #${readThroughs.length + 1})`;
         e.addFields({ name: "Status", value: statusLabel, inline: true });
     }
 
+    const format = FORMATS[t.format] || FORMATS.print;
+    e.addFields({ name: "Format", value: `${format.emoji} ${format.label}`, inline: true });
+
     const tp = Number(t.total_pages || 0);
     if (tp)
         e.addFields({
@@ -109,25 +171,58 @@ export function detailEmbed(t, logs, stats) {
             value: String(tp),
             inline: true,
         });
+    if (t.format === "audio" && t.format_length)
+        e.addFields({
+            name: "Length",
+            value: formatMinutes(t.format_length),
+            inline: true,
+        });
 
     const cp = Number(t.current_page || 0);
+    const fraction = progressFraction(t);
 
-    if (tp) {
-        const pct = Math.round((cp / tp) * 100);
-        const bar = progressBarPages(cp, tp);
+    if (fraction !== null) {
+        const pct = Math.round(fraction * 100);
+        const bar = progressBarPages(fraction, 1);
+        const equivalent = t.format && t.format !== "print" ? ` (≈ page ${cp}${tp ? `/${tp}` : ""})` : "";
         e.addFields({
             name: "Progress",
-            value: `${bar} ${pct}%\nPage ${cp}/${tp}`,
+            value: `${bar} ${pct}%\n${formatProgress(t)}${t.format === "ebook" ? "" : equivalent}`,
             inline: false,
         });
     } else if (cp > 0) {
         e.addFields({
             name: "Progress",
-            value: `Page ${cp}`,
+            value: formatProgress(t),
+            inline: false,
+        });
+    }
+
+    if (t.status === "dropped") {
+        e.addFields({
+            name: "🛑 DNF",
+            value:
+                `Stopped at ${t.format && t.format !== "print" ? formatProgress(t) : `page ${cp}`}${t.dropped_at ? ` on ${fmtDate(t.dropped_at)}` : ""}` +
+                (t.dnf_reason ? `\n> ${t.dnf_reason}` : ""),
+            inline: false,
+        });
+    }
+
+    if (tags.length) {
+        e.addFields({
+            name: "🏷️ Tags",
+            value: tags.map((tag) => `\`${tag.name}\`${tag.isPublic ? "" : " 🔒"}`).join(" "),
             inline: false,
         });
     }
 
+    if (t.rating !== null && t.rating !== undefined) {
+        e.addFields({ name: "⭐ Your Rating", value: formatRating(t.rating), inline: false });
+    }
+    if (t.review) {
+        e.addFields({ name: "📝 Your Review", value: reviewText(t.review, t.review_spoiler, 1000), inline: false });
+    }
+
     if (stats?.avgPages) {
         e.addFields({
             name: "📊 Stats",
@@ -138,12 +233,42 @@ export function detailEmbed(t, logs, stats) {
         });
     }
 
+    if (speed) {
+        e.addFields({
+            name: "⏱️ Reading Speed",
+            value:
+                `${speedLine(speed, minutesLeft)}\n` +
+                (speed.overall
+                    ? "Time a session with `/read start` to measure this book."
+                    : `From ${speed.sessions} timed session${speed.sessions === 1 ? "" : "s"} (${formatMinutes(Math.round(speed.seconds / 60))} total)`),
+            inline: false,
+        });
+    }
+
+    if (readThroughs.length) {
+        const lines = readThroughs.slice(-5).map((r, i) => {
+            const n = readThroughs.length - Math.min(readThroughs.length, 5) + i + 1;
+            return (
+                `**#${n}** ${r.startedAt ? `${fmtDate(r.startedAt)} → ` : ""}${r.completedAt ? fmtDate(r.completedAt) : "finished"}` +
+                (r.rating ? ` • ${formatRating(r.rating)}` : "") +
+                (r.review ? `\n> ${reviewText(r.review.replace(/\s*\n+\s*/g, " "), r.reviewSpoiler, 100)}` : "")
+            );
+        });
+        e.addFields({
+            name: `🔁 Previous Reads (${readThroughs.length})`,
+            value: lines.join("\n"),
+            inline: false,
+        });
+    }
+
     const recentLogs = (logs || []).slice(-3).reverse();
     if (recentLogs.length) {
         e.addFields({
             name: "Recent Logs",
             value: recentLogs
-                .map((l) => `• +${l.pagesRead} pages on ${fmtTime(l.timestamp)}`)
+                .map((l) =>
+                    `• +${l.pagesRead} pages${l.durationSeconds ? ` in ${formatMinutes(Math.max(1, Math.round(l.durationSeconds / 60)))}` : ""} on ${fmtTime(l.timestamp)}`
+                )
                 .join("\n"),
             // Note: logs structure might need adjustment depending on how we fetch them
             inline: false,
@@ -153,9 +278,115 @@ export function detailEmbed(t, logs, stats) {
     return e;
 }
 
+/**
+ * /tracker history: the member's progress updates, newest first.
+ */
+export function historyEmbed(username, entries, page = 0, total = 0, perPage = 10) {
+    const totalPages = Math.max(1, Math.ceil(total / perPage));
+    const e = new EmbedBuilder()
+        .setTitle(`🗒️ ${username}'s Reading History`)
+        .setColor(PURPLE)
+        .setFooter({ text: `Page ${page + 1}/${totalPages} • ${total} updates` });
+
+    if (!entries.length) {
+        return e.setDescription("No progress updates yet. Log some pages with **Update Progress** in `/tracker list`.");
+    }
+
+    const lines = entries.map((h, idx) => {
+        const range = h.startPage !== null && h.endPage !== null ? ` (p. ${h.startPage} → ${h.endPage})` : "";
+        const timed = h.durationSeconds ? ` in ${formatMinutes(Math.max(1, Math.round(h.durationSeconds / 60)))}` : "";
+        return `**${page * perPage + idx + 1}.** ${h.title}\n   +${h.pagesRead} pages${range}${timed} • ${fmtTime(h.timestamp)}`;
+    });
+
+    return e.setDescription(
+        lines.join("\n\n") +
+        "\n\nFixing a typo? Pick the update below — the book's current page follows if it was the latest one."
+    );
+}
+
+/**
+ * /tracker tag list: the member's tags and how many books each holds.
+ */
+export function tagsEmbed(username, tags) {
+    const e = new EmbedBuilder()
+        .setTitle(`🏷️ ${username}'s Tags`)
+        .setColor(PURPLE);
+
+    if (!tags.length) {
+        return e.setDescription(
+            "No tags yet. Make your own shelves like `comfort reads` or `book-club-maybe` with " +
+            "`/tracker tag add`, or **New Tag** on a book's details."
+        );
+    }
+
+    return e
+        .setDescription(
+            tags
+                .map((t) => `${t.isPublic ? "🏷️" : "🔒"} **${t.name}** — ${t.bookCount} book${t.bookCount === 1 ? "" : "s"}`)
+                .join("\n")
+        )
+        .setFooter({ text: "🔒 Private tags are hidden from /shelf • Pick a tag in /tracker list to browse it" });
+}
+
+/**
+ * /tracker import dry run: what confirming would add, update or leave alone.
+ */
+export function importPreviewEmbed(plan, summary, sourceLabel) {
+    const statusEmoji = { reading: "📖", completed: "✅", planned: "📚", dropped: "🛑" };
+    const listField = (name, items, line) => {
+        const lines = items.slice(0, 5).map((i) => `• ${line(i)}`.slice(0, 180));
+        if (items.length > 5) lines.push(`…and ${items.length - 5} more`);
+        return { name, value: lines.join("\n").slice(0, 1024), inline: false };
+    };
+
+    const lines = [
+        `🆕 **${summary.new}** new book${summary.new === 1 ? "" : "s"}`,
+        `🔄 **${summary.update}** update${summary.update === 1 ? "" : "s"} to books you already track`,
+        `⚠️ **${summary.conflict}** conflict${summary.conflict === 1 ? "" : "s"} — left as they are in your tracker`,
+        `✔️ ${summary.unchanged} unchanged • ⏭️ ${summary.skipped} row${summary.skipped === 1 ? "" : "s"} skipped`,
+    ];
+    if (plan.newTags.length) {
+        const names = plan.newTags.slice(0, 8).map((t) => `\`${t}\``).join(", ");
+        lines.push(`🏷️ ${plan.newTags.length} new tag${plan.newTags.length === 1 ? "" : "s"} from your shelves: ${names}${plan.newTags.length > 8 ? "…" : ""}`);
+    }
+    if (plan.droppedTags.length) {
+        lines.push(`🏷️ ${plan.droppedTags.length} shelf/tag name${plan.droppedTags.length === 1 ? "" : "s"} left out — that's past the tag limit`);
+    }
+    if (summary.undated) {
+        lines.push(`📅 ${summary.undated} finished book${summary.undated === 1 ? " has" : "s have"} no read date, so ${summary.undated === 1 ? "it won't" : "they won't"} count toward yearly goals`);
+    }
+
+    const e = new EmbedBuilder()
+        .setTitle(`📥 Import Preview — ${sourceLabel} export`)
+        .setColor(PURPLE)
+        .setDescription(`${lines.join("\n")}\n\nNothing is saved until you press **Import**.`)
+        .setFooter({ text: "This preview expires in 15 minutes" });
+
+    const byAction = (action) => plan.items.filter((i) => i.action === action);
+    const added = byAction("new");
+    const updated = byAction("update");
+    const conflicts = byAction("conflict");
+
+    if (added.length) {
+        e.addFields(listField("🆕 New", added, (i) =>
+            `${statusEmoji[i.record.status] || ""} ${i.record.title}${i.record.author ? ` — *${i.record.author}*` : ""}`
+        ));
+    }
+    if (updated.length) {
+        e.addFields(listField("🔄 Updates", updated, (i) => `${i.title}: ${i.changes.join(", ")}`));
+    }
+    if (conflicts.length) {
+        e.addFields(listField("⚠️ Conflicts (fix these by hand if the export is right)", conflicts, (i) =>
+            `${i.title}: ${i.conflicts.join("; ")}`
+        ));
+    }
+
+    return e;
+}
+
 // ===== Components =====
 
-export function listComponents(books, filterType = "reading", sortType = "recent", page = 0, totalCount = 0) {
+export function listComponents(books, filterType = "reading", sortType = "recent", page = 0, totalCount = 0, tags = []) {
     const totalPages = Math.ceil(totalCount / BOOKS_PER_PAGE);
     const rows = [];
 
@@ -174,6 +405,10 @@ export function listComponents(books, filterType = "reading", sortType = "recent
                 .setCustomId(`trk_filter_planned_${sortType}_0`)
                 .setLabel("📚 Planned")
                 .setStyle(filterType === "planned" ? ButtonStyle.Primary : ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId(`trk_filter_dropped_${sortType}_0`)
+                .setLabel("🛑 DNF")
+                .setStyle(filterType === "dropped" ? ButtonStyle.Danger : ButtonStyle.Secondary),
             new ButtonBuilder()
                 .setCustomId(`trk_filter_all_${sortType}_0`)
                 .setLabel("🌟 All")
@@ -181,6 +416,28 @@ export function listComponents(books, filterType = "reading", sortType = "recent
         )
     );
 
+    // Tag tabs: the member's own shelves, next to the status filters
+    if (tags.length) {
+        const tagId = tagIdFromFilter(filterType);
+        rows.push(
+            new ActionRowBuilder().addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId(`trk_tagfilter_${sortType}`)
+                    .setPlaceholder("🏷️ Show a tag…")
+                    .setOptions(
+                        tags.map((tag) =>
+                            new StringSelectMenuOptionBuilder()
+                                .setLabel(tag.name)
+                                .setValue(String(tag.id))
+                                .setDescription(`${tag.bookCount ?? 0} book${tag.bookCount === 1 ? "" : "s"}${tag.isPublic ? "" : " • private"}`)
+                                .setEmoji(tag.isPublic ? "🏷️" : "🔒")
+                                .setDefault(tag.id === tagId)
+                        )
+                    )
+            )
+        );
+    }
+
     // Sort dropdown
     rows.push(
         new ActionRowBuilder().addComponents(
@@ -231,10 +488,7 @@ export function listComponents(books, filterType = "reading", sortType = "recent
             return new StringSelectMenuOptionBuilder()
                 .setLabel(t.title.slice(0, 100))
                 .setValue(safeId)
-                .setDescription(
-                    `Page ${Number(t.current_page || 0)}${t.total_pages ? `/${t.total_pages}` : ""
-                    }`
-                );
+                .setDescription(formatProgress(t).slice(0, 100));
         });
 
         rows.push(
@@ -247,10 +501,9 @@ export function listComponents(books, filterType = "reading", sortType = "recent
         );
     }
 
-    // Pagination buttons
+    // Pagination buttons, with Add Book alongside to stay within five rows
+    const navRow = new ActionRowBuilder();
     if (totalPages > 1) {
-        const navRow = new ActionRowBuilder();
-
         if (page > 0) {
             navRow.addComponents(
                 new ButtonBuilder()
@@ -268,48 +521,194 @@ export function listComponents(books, filterType = "reading", sortType = "recent
                     .setStyle(ButtonStyle.Secondary)
             );
         }
-
-        if (navRow.components.length > 0) {
-            rows.push(navRow);
-        }
     }
 
-    // Add Book button
-    rows.push(
-        new ActionRowBuilder().addComponents(
-            new ButtonBuilder()
-                .setCustomId("trk_add_modal")
-                .setLabel("Add Book")
-                .setStyle(ButtonStyle.Success)
-        )
+    navRow.addComponents(
+        new ButtonBuilder()
+            .setCustomId("trk_add_modal")
+            .setLabel("Add Book")
+            .setStyle(ButtonStyle.Success)
     );
+    rows.push(navRow);
 
     return rows;
 }
 
-export function detailComponents(bookId) {
-    return [
+export function detailComponents(bookId, status = null, format = "print", tags = [], bookTags = []) {
+    const tagged = new Set(bookTags.map((t) => t.id));
+
+    const rows = [
         new ActionRowBuilder().addComponents(
             new ButtonBuilder()
                 .setCustomId(`trk_update_${bookId}`)
                 .setLabel("Update Progress")
                 .setStyle(ButtonStyle.Primary),
-            new ButtonBuilder()
-                .setCustomId(`trk_complete_${bookId}`)
-                .setLabel("Mark Complete")
-                .setStyle(ButtonStyle.Success),
+            ...(status === "completed"
+                ? [
+                    new ButtonBuilder()
+                        .setCustomId(`trk_reread_${bookId}`)
+                        .setLabel("Start Re-read")
+                        .setEmoji("🔁")
+                        .setStyle(ButtonStyle.Success),
+                    new ButtonBuilder()
+                        .setCustomId(`trk_review_${bookId}`)
+                        .setLabel("Rate & Review")
+                        .setEmoji("⭐")
+                        .setStyle(ButtonStyle.Secondary),
+                ]
+                : [
+                    new ButtonBuilder()
+                        .setCustomId(`trk_complete_${bookId}`)
+                        .setLabel("Mark Complete")
+                        .setStyle(ButtonStyle.Success),
+                    ...(status === "dropped"
+                        ? []
+                        : [
+                            new ButtonBuilder()
+                                .setCustomId(`trk_dnf_${bookId}`)
+                                .setLabel("DNF")
+                                .setEmoji("🛑")
+                                .setStyle(ButtonStyle.Secondary),
+                        ]),
+                ]),
             new ButtonBuilder()
                 .setCustomId(`trk_delete_${bookId}`)
                 .setLabel("Remove")
                 .setStyle(ButtonStyle.Danger)
         ),
+        new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`trk_format_${bookId}`)
+                .setPlaceholder("Reading format")
+                .setOptions(
+                    Object.entries(FORMATS).map(([value, f]) =>
+                        new StringSelectMenuOptionBuilder()
+                            .setLabel(`Format: ${f.label}`)
+                            .setValue(value)
+                            .setEmoji(f.emoji)
+                            .setDefault(value === (format || "print"))
+                    )
+                )
+        ),
         new ActionRowBuilder().addComponents(
             new ButtonBuilder()
                 .setCustomId("trk_back_to_list")
                 .setLabel("← Back to List")
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId(`trk_undo_${bookId}`)
+                .setLabel("Undo Last Update")
+                .setEmoji("↩️")
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId(`trk_newtag_${bookId}`)
+                .setLabel("New Tag")
+                .setEmoji("🏷️")
                 .setStyle(ButtonStyle.Secondary)
         ),
     ];
+
+    if (tags.length) {
+        rows.push(
+            new ActionRowBuilder().addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId(`trk_tags_${bookId}`)
+                    .setPlaceholder("🏷️ Tags")
+                    .setMinValues(0)
+                    .setMaxValues(tags.length)
+                    .setOptions(
+                        tags.map((tag) =>
+                            new StringSelectMenuOptionBuilder()
+                                .setLabel(tag.name)
+                                .setValue(String(tag.id))
+                                .setEmoji(tag.isPublic ? "🏷️" : "🔒")
+                                .setDefault(tagged.has(tag.id))
+                        )
+                    )
+            )
+        );
+    }
+
+    return rows;
+}
+
+export function historyComponents(entries, page = 0, total = 0, perPage = 10) {
+    if (!entries.length) return [];
+
+    const options = (verb) =>
+        entries.map((h, idx) =>
+            new StringSelectMenuOptionBuilder()
+                .setLabel(`${verb} #${page * perPage + idx + 1}: +${h.pagesRead} pages`.slice(0, 100))
+                .setDescription(`${h.title} • ${new Date(h.timestamp).toLocaleDateString()}`.slice(0, 100))
+                .setValue(String(h.id))
+        );
+
+    const rows = [
+        new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`trk_hist_edit_${page}`)
+                .setPlaceholder("✏️ Edit an update…")
+                .setOptions(options("Edit"))
+        ),
+        new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`trk_hist_del_${page}`)
+                .setPlaceholder("🗑️ Delete an update…")
+                .setOptions(options("Delete"))
+        ),
+    ];
+
+    const totalPages = Math.ceil(total / perPage);
+    if (totalPages > 1) {
+        rows.push(
+            new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`trk_hist_page_${page - 1}`)
+                    .setLabel("◀ Previous")
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(page <= 0),
+                new ButtonBuilder()
+                    .setCustomId(`trk_hist_page_${page + 1}`)
+                    .setLabel("Next ▶")
+                    .setStyle(ButtonStyle.Secondary)
+                    .setDisabled(page >= totalPages - 1)
+            )
+        );
+    }
+
+    return rows;
+}
+
+export function importComponents(token, canImport = true) {
+    return [
+        new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`trk_import_confirm_${token}`)
+                .setLabel("Import")
+                .setEmoji("📥")
+                .setStyle(ButtonStyle.Success)
+                .setDisabled(!canImport),
+            new ButtonBuilder()
+                .setCustomId(`trk_import_cancel_${token}`)
+                .setLabel("Cancel")
+                .setStyle(ButtonStyle.Secondary)
+        ),
+    ];
+}
+
+/**
+ * "Rate & Review" prompt for replies where the book was just completed.
+ */
+export function reviewPromptComponents(bookId) {
+    return [
+        new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`trk_review_${bookId}`)
+                .setLabel("Rate & Review")
+                .setEmoji("⭐")
+                .setStyle(ButtonStyle.Primary)
+        ),
+    ];
 }
 
 // ===== Modals =====
@@ -345,18 +744,155 @@ export function addBookModal() {
     return modal;
 }
 
-export function updateProgressModal(bookId) {
+export function updateProgressModal(bookId, entry = {}) {
     const modal = new ModalBuilder()
         .setCustomId(`trk_update_submit_${bookId}`)
         .setTitle("Update Progress");
 
+    const input = new TextInputBuilder()
+        .setCustomId("new_page")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true);
+
+    if (entry.format === "ebook") {
+        input.setLabel("Percent or location").setPlaceholder("45% or 1234/5000");
+    } else if (entry.format === "audio") {
+        input.setLabel("Time listened (h:mm)").setPlaceholder("3:25");
+    } else {
+        input.setLabel("Current Page");
+    }
+
+    modal.addComponents(new ActionRowBuilder().addComponents(input));
+
+    if (entry.format === "audio") {
+        const length = new TextInputBuilder()
+            .setCustomId("length")
+            .setLabel("Audiobook length (h:mm, optional)")
+            .setStyle(TextInputStyle.Short)
+            .setPlaceholder("10:30")
+            .setRequired(false);
+        if (entry.format_length) {
+            length.setValue(`${Math.floor(entry.format_length / 60)}:${String(entry.format_length % 60).padStart(2, "0")}`);
+        }
+        modal.addComponents(new ActionRowBuilder().addComponents(length));
+    }
+    return modal;
+}
+
+/**
+ * Rating and review form. `complete` marks the book completed on submit
+ * (opened from "Mark Complete"); otherwise it only edits the review.
+ */
+export function reviewModal(bookId, { complete = false, rating = null, review = null, spoiler = false } = {}) {
+    const modal = new ModalBuilder()
+        .setCustomId(`${complete ? "trk_complete_submit_" : "trk_review_submit_"}${bookId}`)
+        .setTitle(complete ? "Finished! Rate this book" : "Rate & Review");
+
+    const ratingInput = new TextInputBuilder()
+        .setCustomId("rating")
+        .setLabel("Rating (1–5, half stars like 3.5 are fine)")
+        .setStyle(TextInputStyle.Short)
+        .setPlaceholder("4.5")
+        .setMaxLength(5)
+        .setRequired(false);
+    if (rating !== null && rating !== undefined) ratingInput.setValue(String(Number(rating)));
+
+    const reviewInput = new TextInputBuilder()
+        .setCustomId("review")
+        .setLabel("Review (optional)")
+        .setStyle(TextInputStyle.Paragraph)
+        .setMaxLength(1000)
+        .setRequired(false);
+    if (review) reviewInput.setValue(review);
+
+    const spoilerInput = new TextInputBuilder()
+        .setCustomId("spoiler")
+        .setLabel("Does the review contain spoilers? (yes/no)")
+        .setStyle(TextInputStyle.Short)
+        .setPlaceholder("no")
+        .setMaxLength(3)
+        .setRequired(false);
+    if (spoiler) spoilerInput.setValue("yes");
+
+    modal.addComponents(
+        new ActionRowBuilder().addComponents(ratingInput),
+        new ActionRowBuilder().addComponents(reviewInput),
+        new ActionRowBuilder().addComponents(spoilerInput)
+    );
+    return modal;
+}
+
+export function dnfModal(bookId, currentPage = 0) {
+    const modal = new ModalBuilder()
+        .setCustomId(`trk_dnf_submit_${bookId}`)
+        .setTitle("Did Not Finish");
+
     modal.addComponents(
         new ActionRowBuilder().addComponents(
             new TextInputBuilder()
-                .setCustomId("new_page")
-                .setLabel("Current Page")
+                .setCustomId("page")
+                .setLabel("Page you stopped at")
                 .setStyle(TextInputStyle.Short)
+                .setValue(String(currentPage || 0))
                 .setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+                .setCustomId("reason")
+                .setLabel("Why did you stop? (optional)")
+                .setStyle(TextInputStyle.Paragraph)
+                .setMaxLength(300)
+                .setRequired(false)
+        )
+    );
+    return modal;
+}
+
+export function historyEditModal(entry, page = 0) {
+    const modal = new ModalBuilder()
+        .setCustomId(`trk_hist_submit_${entry.id}_${page}`)
+        .setTitle("Edit Update");
+
+    modal.addComponents(
+        new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+                .setCustomId("pages_read")
+                .setLabel(
+                    entry.startPage !== null
+                        ? `Pages read (from page ${entry.startPage})`.slice(0, 45)
+                        : "Pages read"
+                )
+                .setStyle(TextInputStyle.Short)
+                .setValue(String(entry.pagesRead))
+                .setRequired(true)
+        )
+    );
+    return modal;
+}
+
+export function newTagModal(bookId) {
+    const modal = new ModalBuilder()
+        .setCustomId(`trk_newtag_submit_${bookId}`)
+        .setTitle("New Tag");
+
+    modal.addComponents(
+        new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+                .setCustomId("name")
+                .setLabel("Tag name")
+                .setStyle(TextInputStyle.Short)
+                .setPlaceholder("comfort reads")
+                .setMaxLength(TAG_NAME_MAX_LENGTH)
+                .setRequired(true)
+        ),
+        new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+                .setCustomId("private")
+                .setLabel("Keep it private? (yes/no)")
+                .setStyle(TextInputStyle.Short)
+                .setValue("no")
+                .setMaxLength(3)
+                .setRequired(false)
         )
     );
     return modal;